@@ -5,40 +5,61 @@
  * Purpose: Protects admin routes by verifying JWT tokens.
  *
  * How it works:
- *   1. Extracts the JWT token from the Authorization header
+ *   1. Extracts the JWT token from the Authorization header, or else from
+ *      the dashboard's httpOnly access cookie (utils/adminSession.js)
+ *   1b. Cookie-authenticated requests that change something must carry
+ *       the session's X-CSRF-Token header (403 otherwise)
  *   2. Verifies the token using JWT_SECRET from environment
- *   3. Looks up the admin user from the database
+ *   3. Looks up the admin user from the database (deactivated admins are refused)
+ *   3b. Refuses tokens issued before the admin's last password change or
+ *       "log out everywhere" (token version in the JWT is out of date)
+ *   3c. When superadmins require 2FA, admins who have not enrolled yet
+ *       only get through protectAccount() (their own account / 2FA setup)
  *   4. Attaches the admin object to req.admin for use in route handlers
  *   5. If token is invalid/missing/expired → returns 401 Unauthorized
  *
  * Usage in routes:
- *   const { protect } = require('../middleware/authMiddleware');
+ *   const { protect, protectAccount, authorize } = require('../middleware/authMiddleware');
  *   router.get('/protected-route', protect, handlerFunction);
+ *   router.delete('/contacts/:id', protect, authorize('contacts:delete'), handlerFunction);
+ *   router.post('/me/2fa/setup', protectAccount, handlerFunction);
  *
- * Token format (Authorization header):
+ * Permissions per role are declared in utils/permissions.js.
+ *
+ * Token format (Authorization header, for scripts):
  *   "Bearer eyJhbGciOiJIUzI1NiIs..."
  * ============================================================================
  */
 
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const SecurityConfig = require('../models/SecurityConfig');
+const { ACCESS_COOKIE, checkCsrf } = require('../utils/adminSession');
 
 /**
- * Middleware to protect routes — only authenticated admins can access.
+ * Authenticate the admin behind the request.
  *
  * Steps:
- *   1. Check for Authorization header with "Bearer <token>"
- *   2. Verify the JWT token
+ *   1. Check for Authorization header with "Bearer <token>", then the cookie
+ *   2. Verify the JWT token (and the CSRF header for cookie requests)
  *   3. Find the admin in database
  *   4. Attach admin to request object
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.allowTwoFactorSetup] - Let admins who still
+ *        have to enroll in 2FA through (their own account routes only)
  */
-async function protect(req, res, next) {
+async function verifyAdmin(req, res, next, { allowTwoFactorSetup = false } = {}) {
   try {
     let token;
+    let fromCookie = false;
 
     // Extract token from "Bearer <token>" header
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies?.[ACCESS_COOKIE]) {
+      token = req.cookies[ACCESS_COOKIE];
+      fromCookie = true;
     }
 
     // No token found → unauthorized
@@ -52,6 +73,25 @@ async function protect(req, res, next) {
     // Verify the token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Only admin access tokens (no type) grant access — player tokens
+    // (middleware/playerAuth.js) and 2FA login challenges never do
+    if (decoded.type) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. Please login.',
+      });
+    }
+
+    // Browsers attach cookies to forged cross-site requests; the CSRF
+    // header is what proves the request came from the dashboard
+    if (fromCookie && !checkCsrf(req, decoded.sid)) {
+      return res.status(403).json({
+        success: false,
+        code: 'CSRF_FAILED',
+        message: 'Missing or invalid CSRF token. Reload the page and try again.',
+      });
+    }
+
     // Find admin by ID from token payload
     const admin = await Admin.findById(decoded.id);
 
@@ -62,6 +102,30 @@ async function protect(req, res, next) {
       });
     }
 
+    if (!admin.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'This admin account has been deactivated.',
+      });
+    }
+
+    // Tokens from before tokenVersion existed carry no version — treat as 0
+    if ((decoded.tv ?? 0) !== admin.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session ended. Please login again.',
+      });
+    }
+
+    // 2FA is required site-wide but this admin has not set it up yet
+    if (!admin.twoFactorEnabled && !allowTwoFactorSetup && (await SecurityConfig.getSettings()).requireTwoFactor) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Set up two-factor authentication to continue.',
+      });
+    }
+
     // Attach admin to request for use in route handlers
     req.admin = admin;
     next();
@@ -89,4 +153,41 @@ async function protect(req, res, next) {
   }
 }
 
-module.exports = { protect };
+/**
+ * Middleware factory — only admins whose role grants every listed
+ * permission may continue. Must run after protect().
+ *
+ * @param {...string} permissions - Keys of PERMISSIONS in utils/permissions.js
+ */
+function authorize(...permissions) {
+  return (req, res, next) => {
+    const missing = permissions.find(permission => !req.admin.can(permission));
+
+    if (missing) {
+      console.warn(`⚠️ ${req.admin.email} (${req.admin.role}) denied ${missing} on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action.',
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware to protect routes — only authenticated admins can access.
+ */
+function protect(req, res, next) {
+  return verifyAdmin(req, res, next);
+}
+
+/**
+ * Like protect(), but also lets in admins who still have to enroll in
+ * required 2FA. For the admin's own account routes (/me, password, 2FA).
+ */
+function protectAccount(req, res, next) {
+  return verifyAdmin(req, res, next, { allowTwoFactorSetup: true });
+}
+
+module.exports = { protect, protectAccount, authorize };
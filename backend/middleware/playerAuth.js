@@ -0,0 +1,92 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Player Authentication Middleware
+ * ============================================================================
+ * Purpose: Verifies player login tokens (issued by POST /api/v1/players/otp/verify).
+ *          Kept separate from authMiddleware.js — player tokens carry
+ *          type: 'player' and never grant admin access.
+ *
+ * Exports:
+ *   - signPlayerToken(playerId) — Create a 30-day player token
+ *   - protectPlayer            — Require a player; attaches req.player
+ *   - optionalPlayer           — Attach req.player if a valid token is sent,
+ *                                otherwise carry on as a guest
+ *
+ * Token format (Authorization header):
+ *   "Bearer eyJhbGciOiJIUzI1NiIs..."
+ * ============================================================================
+ */
+
+const jwt = require('jsonwebtoken');
+const Player = require('../models/Player');
+
+/**
+ * Create a JWT for a player.
+ */
+function signPlayerToken(playerId) {
+  return jwt.sign({ id: playerId, type: 'player' }, process.env.JWT_SECRET, { expiresIn: '30d' });
+}
+
+/**
+ * Resolve the player behind the request's Bearer token.
+ *
+ * @returns {Promise<Player|null>} - null if no token was sent
+ * @throws  JsonWebTokenError / TokenExpiredError for bad tokens
+ */
+async function playerFromRequest(req) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) return null;
+
+  const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+  if (decoded.type !== 'player') {
+    throw new jwt.JsonWebTokenError('not a player token');
+  }
+
+  return Player.findById(decoded.id);
+}
+
+/**
+ * Middleware — only logged-in players can access.
+ */
+async function protectPlayer(req, res, next) {
+  try {
+    const player = await playerFromRequest(req);
+
+    if (!player) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not logged in. Please log in with your phone or email.',
+      });
+    }
+
+    req.player = player;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has expired. Please log in again.',
+      });
+    }
+
+    console.error('🔴 Player auth error:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed.',
+    });
+  }
+}
+
+/**
+ * Middleware — attach req.player when possible; never blocks the request.
+ */
+async function optionalPlayer(req, res, next) {
+  try {
+    req.player = await playerFromRequest(req);
+  } catch {
+    req.player = null;
+  }
+  next();
+}
+
+module.exports = { signPlayerToken, protectPlayer, optionalPlayer };
@@ -0,0 +1,113 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Upload Middleware (Multer)
+ * ============================================================================
+ * Purpose: File uploads:
+ *   - paymentScreenshotUpload — UPI payment screenshot sent with a registration
+ *   - statementUpload         — CSV bank/UPI statement (admin reconciliation)
+ *
+ * How paymentScreenshotUpload works:
+ *   1. Multer keeps the file in memory (max 2 MB, one file, field "screenshot")
+ *   2. Only JPEG, PNG and WebP are accepted — checked by the declared type
+ *      AND the file's first bytes, so renamed files are rejected
+ *   3. Multipart forms send the rest of the registration as a JSON string
+ *      in the "payload" field; it is parsed back into req.body (and
+ *      sanitized like every other body — the global pass in server.js ran
+ *      before it existed) so the normal validators run unchanged. A payload
+ *      that is not a JSON object is a 400
+ *   4. Plain JSON requests pass straight through
+ *
+ * The file is NOT written anywhere here — the route saves it through
+ * utils/storage.js once the registration itself is valid.
+ * ============================================================================
+ */
+
+const multer = require('multer');
+const { sanitizeObject } = require('../utils/sanitize');
+
+const MAX_SCREENSHOT_BYTES = 2 * 1024 * 1024;  // 2 MB
+const MAX_STATEMENT_BYTES = 5 * 1024 * 1024;   // 5 MB
+
+// Accepted image types → file extension + magic-byte check
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SCREENSHOT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES[file.mimetype]) return cb(null, true);
+    cb(Object.assign(new Error('Unsupported file type'), { code: 'UNSUPPORTED_TYPE' }));
+  },
+}).single('screenshot');
+
+/**
+ * Middleware — parse an optional payment screenshot.
+ * On success req.file (if sent) has an extra `extension` property.
+ */
+function paymentScreenshotUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (err) {
+      const messages = {
+        LIMIT_FILE_SIZE: 'Payment screenshot must be 2 MB or smaller.',
+        UNSUPPORTED_TYPE: 'Payment screenshot must be a JPEG, PNG or WebP image.',
+      };
+      return res.status(400).json({ success: false, message: messages[err.code] || 'Could not read the uploaded screenshot.' });
+    }
+
+    if (req.file) {
+      const type = IMAGE_TYPES[req.file.mimetype];
+      if (!type.matches(req.file.buffer)) {
+        return res.status(400).json({ success: false, message: 'Payment screenshot must be a JPEG, PNG or WebP image.' });
+      }
+      req.file.extension = type.extension;
+    }
+
+    // Multipart: the registration fields arrive as one JSON string
+    if (typeof req.body?.payload === 'string') {
+      let payload;
+      try {
+        payload = JSON.parse(req.body.payload);
+      } catch {
+        payload = null;
+      }
+      if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+        return res.status(400).json({ success: false, message: 'Invalid registration data.' });
+      }
+      req.body = sanitizeObject(payload);
+    }
+
+    next();
+  });
+}
+
+const statement = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_STATEMENT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    // Browsers label CSVs inconsistently, so go by the file name
+    if (/\.csv$/i.test(file.originalname)) return cb(null, true);
+    cb(Object.assign(new Error('Unsupported file type'), { code: 'UNSUPPORTED_TYPE' }));
+  },
+}).single('statement');
+
+/**
+ * Middleware — parse a CSV statement upload into req.file.
+ */
+function statementUpload(req, res, next) {
+  statement(req, res, (err) => {
+    if (err) {
+      const messages = {
+        LIMIT_FILE_SIZE: 'Statement must be 5 MB or smaller.',
+        UNSUPPORTED_TYPE: 'Statement must be a .csv file.',
+      };
+      return res.status(400).json({ success: false, message: messages[err.code] || 'Could not read the uploaded statement.' });
+    }
+    next();
+  });
+}
+
+module.exports = { paymentScreenshotUpload, statementUpload };
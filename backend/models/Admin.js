@@ -14,18 +14,38 @@
  *   - email: Admin login email (unique)
  *   - password: Hashed password (never stored as plain text)
  *   - name: Display name for the dashboard
- *   - role: admin | superadmin (for future role expansion)
+ *   - role: viewer | moderator | admin | superadmin
+ *           (what each role may do is listed in utils/permissions.js)
  *   - lastLogin: Tracks when admin last logged in
+ *   - active: false = deactivated (cannot log in, existing tokens stop working)
+ *   - invitedBy: Superadmin who invited this admin (null for seeded accounts)
+ *   - passwordToken / passwordTokenExpires: One-time "set your password"
+ *     link for invites, resets and "forgot password" (SHA-256 hash, never the token)
+ *   - tokenVersion: Copied into every JWT; bumping it signs out every session
+ *   - twoFactor*: Optional authenticator-app (TOTP) second factor — the
+ *     secret, a secret awaiting confirmation, hashed one-time recovery
+ *     codes, and the last accepted time step (a code works only once)
  *
  * Security:
  *   - Passwords are hashed with bcrypt (12 salt rounds)
  *   - Plain text password is NEVER stored in the database
  *   - The password field is excluded from queries by default (select: false)
+ *   - Invites and forced resets replace the password with a random one, so
+ *     the old password stops working until the link is used
+ *   - Any password change bumps tokenVersion, so existing tokens stop
+ *     working (middleware/authMiddleware.js compares it)
+ *   - 2FA secrets and recovery codes are excluded from queries by default
  * ============================================================================
  */
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { ROLES, roleCan } = require('../utils/permissions');
+const totp = require('../utils/totp');
+
+// Recovery codes issued per enrollment
+const RECOVERY_CODE_COUNT = 10;
 
 const adminSchema = new mongoose.Schema(
   {
@@ -54,10 +74,10 @@ const adminSchema = new mongoose.Schema(
       maxlength: [100, 'Name cannot exceed 100 characters'],
     },
 
-    // Role for access control (future expansion)
+    // Role for access control (see utils/permissions.js)
     role: {
       type: String,
-      enum: ['admin', 'superadmin'],
+      enum: ROLES,
       default: 'admin',
     },
 
@@ -66,6 +86,71 @@ const adminSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+
+    // Deactivated admins keep their history but cannot sign in
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+
+    // One-time password link (hash only)
+    passwordToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    passwordTokenExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+
+    // JWTs carry this number — incrementing it revokes them all
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    // ── Two-factor authentication (TOTP) ──
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    // base32 secret shared with the authenticator app
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    // Secret shown during setup, until the first code confirms it
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+
+    // Time step of the last accepted code (refuses replays)
+    twoFactorLastStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
@@ -80,6 +165,9 @@ adminSchema.pre('save', async function () {
   // Skip if password wasn't changed
   if (!this.isModified('password')) return;
 
+  // A new password signs out every existing session
+  if (!this.isNew) this.tokenVersion += 1;
+
   // Hash password with 12 salt rounds
   const salt = await bcrypt.genSalt(12);
   this.password = await bcrypt.hash(this.password, salt);
@@ -96,4 +184,171 @@ adminSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Does this admin's role grant the permission?
+ *
+ * @param {string} permission - e.g. "registrations:approve"
+ * @returns {boolean}
+ */
+adminSchema.methods.can = function (permission) {
+  return roleCan(this.role, permission);
+};
+
+// How long an invite / reset link stays valid
+const PASSWORD_TOKEN_HOURS = 48;
+
+adminSchema.statics.PASSWORD_TOKEN_HOURS = PASSWORD_TOKEN_HOURS;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a one-time "set your password" link token. Call save() afterwards.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.lockPassword=true] - Replace the current password
+ *        with a random one (invites, forced resets). "Forgot password" keeps
+ *        it, so a stranger requesting a reset cannot lock the admin out.
+ * @returns {string} - The raw token (only ever sent to the admin)
+ */
+adminSchema.methods.issuePasswordToken = function ({ lockPassword = true } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  if (lockPassword) this.password = crypto.randomBytes(24).toString('hex');
+  this.passwordToken = hashToken(token);
+  this.passwordTokenExpires = new Date(Date.now() + PASSWORD_TOKEN_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+/**
+ * The active admin a password link token belongs to, if it has not expired.
+ *
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<Document|null>}
+ */
+adminSchema.statics.findByPasswordToken = function (token) {
+  return this.findOne({
+    passwordToken: hashToken(token),
+    passwordTokenExpires: { $gt: new Date() },
+    active: true,
+  });
+};
+
+/**
+ * Fields shown in the admin management list.
+ */
+adminSchema.methods.toSummaryJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    active: this.active,
+    twoFactorEnabled: this.twoFactorEnabled,
+    lastLogin: this.lastLogin,
+    // Only known when passwordTokenExpires was selected
+    passwordLinkPending: Boolean(this.passwordTokenExpires && this.passwordTokenExpires > new Date()),
+    invitedBy: this.invitedBy?.name ? { name: this.invitedBy.name, email: this.invitedBy.email } : null,
+    createdAt: this.createdAt,
+  };
+};
+
+// Select these to use the 2FA methods below
+adminSchema.statics.TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+/**
+ * Begin 2FA setup with a fresh secret (not active until confirmed with
+ * enableTwoFactor()). Call save() afterwards.
+ *
+ * @returns {string} - base32 secret for the authenticator app
+ */
+adminSchema.methods.startTwoFactorSetup = function () {
+  this.twoFactorPendingSecret = totp.generateSecret();
+  return this.twoFactorPendingSecret;
+};
+
+/**
+ * Check an authenticator code. Each time step is accepted only once.
+ *
+ * @param {string} code
+ * @param {string} [secret] - Defaults to the active secret
+ * @returns {boolean}
+ */
+adminSchema.methods.checkTotp = function (code, secret = this.twoFactorSecret) {
+  if (!secret) return false;
+
+  const step = totp.verify(secret, code);
+  if (step === null || (this.twoFactorLastStep !== null && step <= this.twoFactorLastStep)) return false;
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+/**
+ * Replace the recovery codes with new ones.
+ *
+ * @returns {string[]} - Plain codes, shown to the admin once
+ */
+adminSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+/**
+ * Confirm setup with the first code from the app and switch 2FA on.
+ * Call save() afterwards.
+ *
+ * @returns {string[]|null} - New recovery codes, or null if the code is wrong
+ */
+adminSchema.methods.enableTwoFactor = function (code) {
+  if (!this.twoFactorPendingSecret || !this.checkTotp(code, this.twoFactorPendingSecret)) return null;
+
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorEnabled = true;
+  return this.generateRecoveryCodes();
+};
+
+/**
+ * Second login step: an authenticator code or an unused recovery code
+ * (which is then used up). Call save() afterwards.
+ *
+ * @returns {string|null} - "totp", "recovery", or null if neither matched
+ */
+adminSchema.methods.verifySecondFactor = function (code) {
+  if (!this.twoFactorEnabled) return null;
+  if (this.checkTotp(code)) return 'totp';
+
+  const hash = hashToken(String(code || '').trim().toLowerCase());
+  const index = this.twoFactorRecoveryCodes.indexOf(hash);
+  if (index === -1) return null;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return 'recovery';
+};
+
+/**
+ * Switch 2FA off and forget the secret and recovery codes.
+ * Call save() afterwards.
+ */
+adminSchema.methods.disableTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastStep = null;
+};
+
+/**
+ * Sign out every session of this admin. Call save() afterwards.
+ */
+adminSchema.methods.revokeSessions = function () {
+  this.tokenVersion += 1;
+};
+
 module.exports = mongoose.model('Admin', adminSchema);
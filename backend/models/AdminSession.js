@@ -0,0 +1,86 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Session Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: One document per dashboard sign-in. Holds the hash of the
+ *          rotating refresh token kept in the admin's httpOnly cookie
+ *          (see utils/adminSession.js).
+ *
+ * Fields:
+ *   - tokenHash: SHA-256 of the current refresh token (the token itself is
+ *     never stored)
+ *   - previousTokenHash / rotatedAt: The token replaced by the last
+ *     rotation. Presenting it again shortly after is a harmless race between
+ *     tabs; later, it means the token was copied, and the session is ended
+ *   - tokenVersion: The admin's tokenVersion at sign-in. A password change
+ *     or "log out everywhere" bumps the admin's version and ends the session
+ *   - expiresAt: Sliding expiry, pushed back on each refresh. MongoDB
+ *     deletes expired sessions (TTL index)
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const adminSessionSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true,
+      index: true,
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    previousTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    tokenVersion: {
+      type: Number,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+
+    // Shown to help spot unfamiliar sessions in the server log
+    userAgent: {
+      type: String,
+      default: '',
+      maxlength: 300,
+    },
+
+    ip: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * SHA-256 hex of a refresh token, as stored in tokenHash.
+ */
+adminSessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
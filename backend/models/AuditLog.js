@@ -0,0 +1,113 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Audit Log Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Who did what in the admin dashboard, and when. One entry per
+ *          admin action that changes data, plus logins and exports of
+ *          player data (written through utils/auditLog.js).
+ *
+ * Fields:
+ *   - actor / actorEmail: The admin who acted. The email is copied so the
+ *     entry still reads right after renames; for a failed login it is the
+ *     email that was tried (actor stays null when no such admin exists)
+ *   - action: What happened, as "<thing>.<verb>" (e.g. registration.update,
+ *     contact.delete, admin.login)
+ *   - targetModel / targetId: The document acted on (null for actions on
+ *     many documents — see details)
+ *   - before / after: Only the fields that changed, old and new values
+ *     (secrets such as password hashes are never recorded)
+ *   - details: Extra context (reason, counts, ids of many documents)
+ *   - ip: Request IP
+ *
+ * Entries are append-only: there is no route to edit or delete them, and
+ * the model refuses every update, replace and delete (queries, documents
+ * and bulkWrite) as well as saving an existing entry again. Only
+ * create() / insertMany() get through.
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+
+    actorEmail: {
+      type: String,
+      default: '',
+      lowercase: true,
+      trim: true,
+    },
+
+    action: {
+      type: String,
+      required: true,
+    },
+
+    targetModel: {
+      type: String,
+      default: null,
+    },
+
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    ip: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  }
+);
+
+// The audit view lists newest first, filtered by any of these
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+// ── Append-only: refuse every change through the model ──────────────────
+function refuseChange() {
+  throw new Error('Audit log entries cannot be changed');
+}
+
+auditLogSchema.pre(
+  ['updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  refuseChange
+);
+
+// updateOne/deleteOne exist on queries and on documents — refuse both
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, refuseChange);
+
+auditLogSchema.pre('bulkWrite', refuseChange);
+
+// New entries only — an existing entry is never saved again
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) refuseChange();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
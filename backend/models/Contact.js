@@ -16,7 +16,8 @@
  * How it works:
  *   - When a contact form is submitted, this model saves data to MongoDB
  *   - The "contacts" collection stores all messages
- *   - Admin can later query by status to find unread messages
+ *   - Admin can later query by status to find unread messages, or search
+ *     names, emails, phones and message text (utils/search.js)
  * ============================================================================
  */
 
@@ -81,6 +82,22 @@ const contactSchema = new mongoose.Schema(
   }
 );
 
+// Admin search (utils/search.js): whole words anywhere, and email/phone prefixes
+contactSchema.index(
+  { name: 'text', email: 'text', phone: 'text', message: 'text' },
+  {
+    name: 'contact_search',
+    default_language: 'none',
+    weights: { name: 5, email: 5, phone: 5 },
+  }
+);
+contactSchema.index({ email: 1 });
+contactSchema.index({ phone: 1 });
+
+// Newest first, optionally by status (the admin list, paged by cursor)
+contactSchema.index({ createdAt: -1, _id: -1 });
+contactSchema.index({ status: 1, createdAt: -1 });
+
 // Create and export the model
 // Mongoose will create a "contacts" collection in MongoDB
 module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,115 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - One-Time Code Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Short-lived login codes for player accounts.
+ *
+ * Fields:
+ *   - channel: phone | email
+ *   - destination: Normalised phone (10 digits) or lowercase email
+ *   - codeHash: SHA-256 of the code (the code itself is never stored)
+ *   - attempts: Wrong guesses so far
+ *   - expiresAt: MongoDB removes the document automatically after this
+ *
+ * How it works:
+ *   - Requesting a code replaces any earlier code for the destination
+ *   - A code is deleted as soon as it is used or guessed wrong too often
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Code lifetime and guess limit
+const CODE_TTL_MS = 10 * 60 * 1000;  // 10 minutes
+const MAX_ATTEMPTS = 5;
+
+const otpCodeSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['phone', 'email'],
+      required: true,
+    },
+
+    destination: {
+      type: String,
+      required: true,
+    },
+
+    codeHash: {
+      type: String,
+      required: true,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + CODE_TTL_MS),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Hash a code for storage / comparison.
+ */
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/**
+ * Create a fresh 6-digit code for a destination, replacing older ones.
+ *
+ * @returns {Promise<string>} - The plain code (to hand to the sender)
+ */
+otpCodeSchema.statics.issue = async function (channel, destination) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  await this.deleteMany({ channel, destination });
+  await this.create({ channel, destination, codeHash: hashCode(code) });
+
+  return code;
+};
+
+/**
+ * Check a code. Succeeds at most once; too many wrong guesses burn it.
+ *
+ * Both steps are single atomic operations, so parallel requests can
+ * neither guess more than MAX_ATTEMPTS times nor redeem one code twice:
+ *   1. Count the attempt — only while attempts < MAX_ATTEMPTS
+ *   2. Delete the code — only if the hash matches; the request that
+ *      deletes it is the one that succeeds
+ *
+ * @returns {Promise<boolean>} - true if the code was valid
+ */
+otpCodeSchema.statics.consume = async function (channel, destination, code) {
+  const otp = await this.findOneAndUpdate(
+    { channel, destination, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) return false;
+
+  const used = await this.findOneAndDelete({ _id: otp._id, codeHash: hashCode(code) });
+  if (used) return true;
+
+  if (otp.attempts >= MAX_ATTEMPTS) await this.deleteOne({ _id: otp._id });
+  return false;
+};
+
+// Exposed so senders can tell players how long the code lasts
+otpCodeSchema.statics.TTL_MINUTES = CODE_TTL_MS / 60000;
+otpCodeSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+// One active code per destination; expired codes are removed by MongoDB
+otpCodeSchema.index({ channel: 1, destination: 1 });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
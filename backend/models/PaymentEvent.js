@@ -0,0 +1,72 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Payment Event Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Log of payment gateway webhooks that have been processed, so a
+ *          webhook the provider delivers twice is only applied once.
+ *
+ * Fields:
+ *   - provider: Gateway name (see utils/paymentGateway.js)
+ *   - eventId: The provider's ID for the webhook event (unique per provider)
+ *   - type: captured | failed
+ *   - orderId / paymentId: What the event was about
+ *   - amount: Amount in paise reported by the provider
+ *   - registration: Registration the event was applied to (null if none matched)
+ *
+ * How it works:
+ *   - A webhook is skipped when its (provider, eventId) is already here
+ *   - The event is recorded only after it has been applied, so a webhook
+ *     that failed half-way is processed again when the provider retries
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+
+    eventId: {
+      type: String,
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: ['captured', 'failed'],
+      required: true,
+    },
+
+    orderId: {
+      type: String,
+      required: true,
+    },
+
+    paymentId: {
+      type: String,
+      default: null,
+    },
+
+    amount: {
+      type: Number,
+      default: null,
+    },
+
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One record per provider event — the idempotency key
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
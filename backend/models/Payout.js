@@ -0,0 +1,136 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Payout Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Tracks prize money going out — one payout per registration that
+ *          won something in a tournament.
+ *
+ * Fields:
+ *   - tournament / registration / result: What the payout is for
+ *   - game: Copied from the registration (used for margin stats)
+ *   - amount: Amount owed in ₹ (Result.winnings.total)
+ *   - upiHandle: Where the money is sent (e.g. "name@upi")
+ *   - status: pending → paid, or failed (can be retried)
+ *   - referenceNumber: UPI / bank reference of the transfer
+ *   - paidAt / paidBy: When and by which admin it was marked paid
+ *
+ * How it works:
+ *   - Saving match results calls syncFromResult(), which creates or updates
+ *     the pending payout for that entry
+ *   - Paid payouts are never rewritten by later result edits
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema(
+  {
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: [true, 'Tournament is required'],
+    },
+
+    // One payout per registration (unique index below)
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration',
+      required: [true, 'Registration is required'],
+    },
+
+    result: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Result',
+      required: [true, 'Result is required'],
+    },
+
+    // Denormalised for per-game margin stats
+    game: {
+      type: String,
+      enum: ['pubg', 'freefire', 'cod'],
+      required: true,
+    },
+
+    // Amount owed in ₹
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative'],
+    },
+
+    // UPI handle the prize is sent to
+    upiHandle: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'UPI handle cannot exceed 100 characters'],
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed'],
+      default: 'pending',
+    },
+
+    // Transfer reference number
+    referenceNumber: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference number cannot exceed 100 characters'],
+      default: null,
+    },
+
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Create, update or remove the payout for a saved result.
+ * Paid payouts are left untouched; an entry whose winnings drop to 0 has
+ * its unpaid payout removed.
+ *
+ * @param {Object} result - Saved Result document
+ * @param {Object} registration - The Registration the result is for
+ * @returns {Promise<Object|null>} - The payout, or null if nothing is owed
+ */
+payoutSchema.statics.syncFromResult = async function (result, registration) {
+  const payout = await this.findOne({ registration: registration._id });
+
+  if (payout && payout.status === 'paid') return payout;
+
+  if (result.winnings.total <= 0) {
+    if (payout) await payout.deleteOne();
+    return null;
+  }
+
+  const target = payout || new this({
+    tournament: result.tournament,
+    registration: registration._id,
+    game: registration.game,
+  });
+  target.result = result._id;
+  target.amount = result.winnings.total;
+  await target.save();
+  return target;
+};
+
+// One payout per registration
+payoutSchema.index({ registration: 1 }, { unique: true });
+
+// Index for the admin list and margin stats
+payoutSchema.index({ status: 1, paidAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
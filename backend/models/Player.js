@@ -0,0 +1,104 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Player Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Lightweight accounts for returning players. Players log in with
+ *          a one-time code sent to their phone or email — there are no
+ *          passwords. This is completely separate from the Admin model.
+ *
+ * Fields:
+ *   - phone: 10-digit mobile number (unique when set)
+ *   - email: Email address (unique when set)
+ *   - name: Display name
+ *   - games: Saved in-game name + ID per game, used to prefill register.html
+ *   - lastLogin: When the player last verified a code
+ *
+ * How it works:
+ *   - A player is created the first time a code is verified for a new
+ *     phone/email (see routes/playerRoutes.js)
+ *   - Registrations made while logged in are linked via Registration.player
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Saved in-game identity for one game
+const gameProfileSchema = new mongoose.Schema(
+  {
+    inGameName: { type: String, trim: true, maxlength: [50, 'In-game name cannot exceed 50 characters'], default: null },
+    inGameId: { type: String, trim: true, maxlength: [30, 'In-game ID cannot exceed 30 characters'], default: null },
+  },
+  {
+    _id: false,
+  }
+);
+
+const playerSchema = new mongoose.Schema(
+  {
+    // 10-digit mobile number (normalised, no country code)
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^\d{10}$/, 'Phone must be a 10-digit number'],
+    },
+
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+
+    // Display name
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+      default: null,
+    },
+
+    // Saved in-game identities (prefill the registration form)
+    games: {
+      pubg: { type: gameProfileSchema, default: () => ({}) },
+      freefire: { type: gameProfileSchema, default: () => ({}) },
+      cod: { type: gameProfileSchema, default: () => ({}) },
+    },
+
+    lastLogin: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Pre-save validation ──────────────────────────────────────────────────
+// Every account needs at least one way to log in
+playerSchema.pre('save', function () {
+  if (!this.phone && !this.email) {
+    throw new Error('A phone number or email is required');
+  }
+});
+
+/**
+ * Public profile returned to the logged-in player.
+ *
+ * @returns {Object}
+ */
+playerSchema.methods.toProfileJSON = function () {
+  return {
+    id: this._id,
+    phone: this.phone || null,
+    email: this.email || null,
+    name: this.name,
+    games: this.games,
+    lastLogin: this.lastLogin,
+  };
+};
+
+// Unique only when set — a player may have a phone, an email, or both
+playerSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phone: { $type: 'string' } } });
+playerSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+
+module.exports = mongoose.model('Player', playerSchema);
@@ -0,0 +1,133 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Pricing Config Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: The single source of truth for entry fees and prize tables.
+ *
+ * How it works:
+ *   1. DEFAULT_PRICING below holds the standard fee + prizes per mode
+ *   2. Admins can override any game/mode combination from the dashboard;
+ *      overrides are stored as "tiers" on one singleton document
+ *   3. A Tournament may override the fee and/or any prize for that event
+ *      only (Tournament.entryFee / Tournament.prizes)
+ *
+ *   Resolution order (first non-null wins):
+ *     Tournament override → admin tier for game/mode → DEFAULT_PRICING
+ *
+ * Usage:
+ *   const table = await PricingConfig.getTable();
+ *   const { entryFee, prizes } = PricingConfig.resolve(table, 'pubg', 'solo', tournament);
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const GAMES = ['pubg', 'freefire', 'cod'];
+const MODES = ['solo', 'duo', 'squad'];
+
+// Players per entry for each mode
+const PLAYER_COUNT = { solo: 1, duo: 2, squad: 4 };
+
+// Standard pricing per mode (applies to every game unless overridden)
+const DEFAULT_PRICING = {
+  solo:  { entryFee: 5,  prizes: { winner: 500, runnerUp: 250, perKill: 10 } },
+  duo:   { entryFee: 10, prizes: { winner: 500, runnerUp: 250, perKill: 10 } },
+  squad: { entryFee: 20, prizes: { winner: 500, runnerUp: 250, perKill: 10 } },
+};
+
+// One overridden game/mode combination
+const tierSchema = new mongoose.Schema(
+  {
+    game: { type: String, required: true, enum: GAMES },
+    mode: { type: String, required: true, enum: MODES },
+    entryFee: { type: Number, required: true, min: [5, 'Entry fee must be at least ₹5'] },
+    prizes: {
+      winner: { type: Number, required: true, min: 0 },
+      runnerUp: { type: Number, required: true, min: 0 },
+      perKill: { type: Number, required: true, min: 0 },
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const pricingConfigSchema = new mongoose.Schema(
+  {
+    // Singleton key — there is only ever one pricing document
+    key: {
+      type: String,
+      default: 'default',
+      unique: true,
+    },
+
+    // Admin overrides per game/mode
+    tiers: {
+      type: [tierSchema],
+      default: [],
+    },
+
+    // Who last changed the prices
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Build the full pricing table for every game and mode.
+ *
+ * @returns {Promise<Object>} - { pubg: { solo: { players, entryFee, prizes }, ... }, ... }
+ */
+pricingConfigSchema.statics.getTable = async function () {
+  const config = await this.findOne({ key: 'default' }).lean();
+
+  const table = {};
+  GAMES.forEach(game => {
+    table[game] = {};
+    MODES.forEach(mode => {
+      const tier = config?.tiers?.find(t => t.game === game && t.mode === mode);
+      const base = tier || DEFAULT_PRICING[mode];
+      table[game][mode] = {
+        players: PLAYER_COUNT[mode],
+        entryFee: base.entryFee,
+        prizes: { ...base.prizes },
+      };
+    });
+  });
+
+  return table;
+};
+
+/**
+ * Resolve the effective fee and prizes for a game/mode, applying any
+ * tournament-level overrides on top of the pricing table.
+ *
+ * @param {Object} table - Result of getTable()
+ * @param {string} game
+ * @param {string} mode
+ * @param {Object} [tournament] - Tournament document (optional)
+ * @returns {{ entryFee: number, prizes: { winner: number, runnerUp: number, perKill: number } }}
+ */
+pricingConfigSchema.statics.resolve = function (table, game, mode, tournament = null) {
+  const base = table[game][mode];
+  const prizes = { ...base.prizes };
+
+  if (tournament?.prizes) {
+    ['winner', 'runnerUp', 'perKill'].forEach(p => {
+      if (tournament.prizes[p] != null) prizes[p] = tournament.prizes[p];
+    });
+  }
+
+  return {
+    entryFee: tournament?.entryFee ?? base.entryFee,
+    prizes,
+  };
+};
+
+module.exports = mongoose.model('PricingConfig', pricingConfigSchema);
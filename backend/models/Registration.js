@@ -5,25 +5,46 @@
  * Purpose: Defines the MongoDB schema for tournament registrations.
  *
  * Fields:
+ *   - tournament: The Tournament this entry belongs to
  *   - game: Which game (pubg, freefire, cod)
  *   - mode: Tournament mode (solo, duo, squad)
  *   - teamName: Team name (required for duo/squad, optional for solo)
+ *   - team: Saved Team the entry was made with (duo/squad; null for legacy)
  *   - players: Array of player objects (1 for solo, 2 for duo, 4 for squad)
  *     Each player has: inGameName, inGameId, phone, email (Player 1 only)
- *   - transactionId: UPI payment transaction ID (unique, prevents duplicates)
+ *     For team entries this is a snapshot of the roster at entry time
+ *   - transactionId: UPI payment transaction ID (unique, prevents duplicates);
+ *     the gateway order ID for online payments
+ *   - onlinePayment: Gateway order + payment state (null for manual UPI entries)
+ *   - paymentScreenshot: Uploaded UPI screenshot (storage key, see utils/storage.js)
+ *   - verifiedBy / verifiedAt: Admin who approved the payment, and when
  *   - entryFee: Amount paid (stored for record-keeping)
- *   - status: Registration status (pending → confirmed → cancelled)
+ *   - status: pending → approved | rejected; later withdrawn (player pulled
+ *     out before payment was verified, or the online payment failed or
+ *     expired), refund_pending → refunded
+ *   - withdrawnAt: When the player withdrew
+ *   - refund: Why a refund is owed, and the payment reference once sent
+ *   - player: Player account that submitted it (null for guest entries)
  *   - createdAt: Auto-generated timestamp
  *
  * How it works:
  *   - When registration form is submitted, this model saves to MongoDB
  *   - transactionId has a unique index to prevent duplicate registrations
  *   - Pre-save hook validates player count matches the mode
+ *   - matchesLeadPhone() backs the public status lookup
+ *   - A text index plus identifier indexes back the admin search
+ *     (utils/search.js)
+ *   - withdraw() applies a player withdrawal (see Tournament.isWithdrawalOpen())
+ *   - Only pending/approved entries hold a tournament slot
  * ============================================================================
  */
 
 const mongoose = require('mongoose');
 
+// Every registration status, and the ones a refund can be recorded from
+const STATUSES = ['pending', 'approved', 'rejected', 'withdrawn', 'refund_pending', 'refunded'];
+const REFUNDABLE_STATUSES = ['approved', 'rejected', 'withdrawn', 'refund_pending'];
+
 // Sub-schema for individual player details
 const playerSchema = new mongoose.Schema(
   {
@@ -64,9 +85,87 @@ const playerSchema = new mongoose.Schema(
   }
 );
 
+// Sub-schema for the uploaded payment screenshot (file lives in utils/storage.js)
+const screenshotSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    mimetype: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Sub-schema for a payment made through the gateway (utils/paymentGateway.js)
+const onlinePaymentSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    orderId: { type: String, required: true },
+    paymentId: { type: String, default: null },
+    amount: { type: Number, required: true },  // paise
+    currency: { type: String, default: 'INR' },
+    status: {
+      type: String,
+      // expired: never paid within utils/orderExpiry.js's time limit
+      enum: ['created', 'captured', 'failed', 'expired'],
+      default: 'created',
+    },
+    capturedAt: { type: Date, default: null },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Sub-schema for a refund owed to (or sent to) the player
+const refundSchema = new mongoose.Schema(
+  {
+    // withdrawn | tournament_cancelled | admin (recorded directly by an admin)
+    reason: {
+      type: String,
+      enum: ['withdrawn', 'tournament_cancelled', 'admin'],
+      required: true,
+    },
+    requestedAt: { type: Date, default: Date.now },
+
+    // Amount sent in ₹ (null = the full entry fee)
+    amount: { type: Number, min: [0, 'Refund cannot be negative'], default: null },
+    referenceNumber: { type: String, trim: true, maxlength: [100, 'Reference cannot exceed 100 characters'], default: null },
+    note: { type: String, trim: true, maxlength: [500, 'Note cannot exceed 500 characters'], default: null },
+    refundedAt: { type: Date, default: null },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  },
+  {
+    _id: false,
+  }
+);
+
 // Main registration schema
 const registrationSchema = new mongoose.Schema(
   {
+    // Tournament this registration is for (null for legacy entries)
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      default: null,
+    },
+
+    // Saved team this entry was made with (duo/squad)
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      default: null,
+    },
+
+    // Player account that registered (set when logged in; null for guests)
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      default: null,
+    },
+
     // Which game the registration is for
     game: {
       type: String,
@@ -115,6 +214,18 @@ const registrationSchema = new mongoose.Schema(
       unique: true,
     },
 
+    // UPI payment screenshot (null for entries made before uploads)
+    paymentScreenshot: {
+      type: screenshotSchema,
+      default: null,
+    },
+
+    // Online payment through the gateway (null for manual UPI entries)
+    onlinePayment: {
+      type: onlinePaymentSchema,
+      default: null,
+    },
+
     // Entry fee paid (stored for records)
     entryFee: {
       type: Number,
@@ -125,9 +236,33 @@ const registrationSchema = new mongoose.Schema(
     // Registration status for admin tracking
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected'],
+      enum: STATUSES,
       default: 'pending',
     },
+
+    // Player withdrawal (status withdrawn or refund_pending)
+    withdrawnAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Refund owed / sent (null when no refund is involved)
+    refund: {
+      type: refundSchema,
+      default: null,
+    },
+
+    // Admin who verified the payment on approval (null when the gateway did)
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -150,10 +285,89 @@ registrationSchema.pre('save', function () {
   }
 });
 
+/**
+ * Check a phone number against the lead player's (Player 1) phone.
+ * Compares the last 10 digits so "+91 98765 43210" matches "9876543210".
+ *
+ * @param {string} phone
+ * @returns {boolean}
+ */
+registrationSchema.methods.matchesLeadPhone = function (phone) {
+  const lastTen = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+  const given = lastTen(phone);
+  return given.length === 10 && given === lastTen(this.players[0]?.phone);
+};
+
+/**
+ * Withdraw the entry (caller checks the tournament's withdrawal deadline).
+ * A verified payment is owed back, so the entry goes straight to
+ * refund_pending; an unverified one is just withdrawn — an admin can still
+ * record a refund for it once the payment is confirmed.
+ *
+ * @param {Date} [now]
+ */
+registrationSchema.methods.withdraw = function (now = new Date()) {
+  const paid = this.status === 'approved' || this.onlinePayment?.status === 'captured';
+
+  this.status = paid ? 'refund_pending' : 'withdrawn';
+  this.withdrawnAt = now;
+  this.refund = paid ? { reason: 'withdrawn', requestedAt: now } : null;
+};
+
+registrationSchema.statics.STATUSES = STATUSES;
+registrationSchema.statics.REFUNDABLE_STATUSES = REFUNDABLE_STATUSES;
+
 // Note: transactionId index is already created by `unique: true` in the schema.
 // Only compound indexes need explicit declaration.
 
+// Admin list: newest first, paged by cursor (utils/listQuery.js)
+registrationSchema.index({ createdAt: -1, _id: -1 });
+
 // Compound index for querying registrations by game and mode
 registrationSchema.index({ game: 1, mode: 1, createdAt: -1 });
 
+// Compound index for counting filled slots per tournament
+registrationSchema.index({ tournament: 1, status: 1 });
+
+// Player registration history
+registrationSchema.index({ player: 1, createdAt: -1 });
+
+// Team entries (roster lock + one entry per team per tournament)
+registrationSchema.index({ team: 1, status: 1 });
+
+// Admin search (utils/search.js): whole words of names and identifiers...
+registrationSchema.index(
+  {
+    teamName: 'text',
+    'players.inGameName': 'text',
+    'players.inGameId': 'text',
+    'players.phone': 'text',
+    'players.email': 'text',
+    transactionId: 'text',
+  },
+  {
+    name: 'registration_search',
+    // IGNs and team names are not English — no stemming or stop words
+    default_language: 'none',
+    weights: { teamName: 5, 'players.inGameName': 5, transactionId: 3 },
+  }
+);
+
+// ...and prefixes of identifiers (transactionId is covered by its unique index)
+registrationSchema.index({ 'players.inGameId': 1 });
+registrationSchema.index({ 'players.phone': 1 });
+registrationSchema.index({ 'players.email': 1 });
+
+// Unpaid online orders, oldest first (utils/orderExpiry.js)
+registrationSchema.index(
+  { createdAt: 1 },
+  { partialFilterExpression: { 'onlinePayment.status': 'created' } }
+);
+
+// Gateway webhooks find their registration by order ID
+registrationSchema.index(
+  { 'onlinePayment.orderId': 1 },
+  { unique: true, partialFilterExpression: { 'onlinePayment.orderId': { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Registration', registrationSchema);
@@ -0,0 +1,137 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Result Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Stores the outcome of a tournament for one registration — final
+ *          placement, kills per player and the winnings that follow.
+ *
+ * Fields:
+ *   - tournament: The Tournament the match belongs to
+ *   - registration: The team/player entry this result is for
+ *   - placement: Final position (1 = winner, 2 = runner-up, null = unplaced)
+ *   - kills: Kills per player, matched by Registration.players[].inGameId
+ *   - totalKills: Sum of all player kills
+ *   - winnings: { placement, kills, total } in ₹
+ *   - prizesUsed: Snapshot of the prize table the winnings were computed from
+ *   - enteredBy: Admin who last saved the result
+ *
+ * How it works:
+ *   - One result per registration per tournament (unique index)
+ *   - Winnings are always computed server-side by calculateWinnings() from
+ *     the tournament's resolved prizes (see PricingConfig.resolve())
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Sub-schema for one player's kill count
+const killSchema = new mongoose.Schema(
+  {
+    // Matches Registration.players[].inGameId
+    inGameId: {
+      type: String,
+      required: [true, 'In-game ID is required'],
+      trim: true,
+    },
+
+    // Copied from the registration for display
+    inGameName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    kills: {
+      type: Number,
+      min: [0, 'Kills cannot be negative'],
+      default: 0,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const resultSchema = new mongoose.Schema(
+  {
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: [true, 'Tournament is required'],
+    },
+
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration',
+      required: [true, 'Registration is required'],
+    },
+
+    // Final position in the match (null = did not place)
+    placement: {
+      type: Number,
+      min: [1, 'Placement must be 1 or higher'],
+      default: null,
+    },
+
+    // Kills per player
+    kills: {
+      type: [killSchema],
+      default: [],
+    },
+
+    totalKills: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Computed winnings in ₹
+    winnings: {
+      placement: { type: Number, default: 0 },
+      kills: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+
+    // Prize table used for the calculation (kept for audit)
+    prizesUsed: {
+      winner: { type: Number, default: 0 },
+      runnerUp: { type: Number, default: 0 },
+      perKill: { type: Number, default: 0 },
+    },
+
+    // Admin who last saved this result
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Compute winnings for a placement and kill count.
+ * Winner and runner-up get their placement prize; every kill earns perKill.
+ *
+ * @param {{ winner: number, runnerUp: number, perKill: number }} prizes
+ * @param {number|null} placement
+ * @param {number} totalKills
+ * @returns {{ placement: number, kills: number, total: number }}
+ */
+resultSchema.statics.calculateWinnings = function (prizes, placement, totalKills) {
+  const placementPrize = placement === 1 ? prizes.winner : placement === 2 ? prizes.runnerUp : 0;
+  const killPrize = totalKills * prizes.perKill;
+
+  return {
+    placement: placementPrize,
+    kills: killPrize,
+    total: placementPrize + killPrize,
+  };
+};
+
+// One result per registration per tournament
+resultSchema.index({ tournament: 1, registration: 1 }, { unique: true });
+
+module.exports = mongoose.model('Result', resultSchema);
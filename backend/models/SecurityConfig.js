@@ -0,0 +1,56 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Security Config Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Site-wide admin security settings that superadmins change from
+ *          the dashboard (Admins tab).
+ *
+ * Fields:
+ *   - requireTwoFactor: Every admin must use an authenticator app. Admins
+ *     without 2FA can still sign in, but may only enroll until they do
+ *     (see middleware/authMiddleware.js)
+ *   - updatedBy: Superadmin who last changed a setting
+ *
+ * Usage:
+ *   const { requireTwoFactor } = await SecurityConfig.getSettings();
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const securityConfigSchema = new mongoose.Schema(
+  {
+    // Singleton key — there is only ever one security settings document
+    key: {
+      type: String,
+      default: 'default',
+      unique: true,
+    },
+
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Current settings, with defaults when nothing has been saved yet.
+ *
+ * @returns {Promise<{ requireTwoFactor: boolean }>}
+ */
+securityConfigSchema.statics.getSettings = async function () {
+  const config = await this.findOne({ key: 'default' }).lean();
+  return { requireTwoFactor: Boolean(config?.requireTwoFactor) };
+};
+
+module.exports = mongoose.model('SecurityConfig', securityConfigSchema);
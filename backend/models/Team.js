@@ -0,0 +1,224 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Team Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Persistent duo/squad teams owned by player accounts, so the same
+ *          squad is one team across tournaments instead of free-text names.
+ *
+ * Fields:
+ *   - name: Display name ("Team Alpha")
+ *   - nameKey: Name folded for uniqueness ("teamalpha") — unique per game
+ *   - game: pubg | freefire | cod
+ *   - captain: Player account that manages the team
+ *   - members: Roster — Player account + in-game name/ID + contact details
+ *   - inviteCode: Code other players use to join (captain can reset it)
+ *
+ * How it works:
+ *   - Members are identified by in-game ID (unique within a team)
+ *   - Registering copies the chosen members into Registration.players,
+ *     so later roster changes never alter past entries
+ *   - The roster is locked while the team has a live entry in a tournament
+ *     (see isRosterLocked())
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Squad of 4 + 2 substitutes
+const MAX_MEMBERS = 6;
+
+// A team stays locked for this long after a tournament's start time
+const LOCK_HOURS_AFTER_START = 6;
+
+// Invite codes avoid look-alike characters (0/O, 1/I)
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Sub-schema for one roster entry
+const memberSchema = new mongoose.Schema(
+  {
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      required: true,
+    },
+
+    inGameName: {
+      type: String,
+      required: [true, 'In-game name is required'],
+      trim: true,
+      maxlength: [50, 'In-game name cannot exceed 50 characters'],
+    },
+
+    inGameId: {
+      type: String,
+      required: [true, 'In-game ID is required'],
+      trim: true,
+      maxlength: [30, 'In-game ID cannot exceed 30 characters'],
+    },
+
+    phone: {
+      type: String,
+      required: [true, 'Phone number is required'],
+      trim: true,
+    },
+
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Team name is required'],
+      trim: true,
+      maxlength: [50, 'Team name cannot exceed 50 characters'],
+    },
+
+    // Folded name — "Team Alpha", "team alpha" and "TeamAlpha" are one team
+    nameKey: {
+      type: String,
+      required: true,
+    },
+
+    game: {
+      type: String,
+      required: [true, 'Game is required'],
+      enum: {
+        values: ['pubg', 'freefire', 'cod'],
+        message: '{VALUE} is not a valid game',
+      },
+    },
+
+    captain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      required: true,
+    },
+
+    members: {
+      type: [memberSchema],
+      validate: {
+        validator: (members) => members.length <= MAX_MEMBERS,
+        message: `A team can have at most ${MAX_MEMBERS} members`,
+      },
+    },
+
+    inviteCode: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Fold a team name for duplicate checks: lowercase, letters/digits only.
+ */
+teamSchema.statics.nameKeyFor = function (name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Random 8-character invite code.
+ */
+teamSchema.statics.generateInviteCode = function () {
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// Keep nameKey in step with name
+teamSchema.pre('validate', function () {
+  if (this.isModified('name')) {
+    this.nameKey = this.constructor.nameKeyFor(this.name);
+  }
+});
+
+// In-game IDs must be unique within the roster
+teamSchema.pre('save', function () {
+  const ids = this.members.map(m => m.inGameId.toLowerCase());
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Each member needs a different in-game ID');
+  }
+});
+
+teamSchema.methods.isCaptain = function (playerId) {
+  return String(this.captain) === String(playerId);
+};
+
+/**
+ * The roster entry belonging to a player account (or undefined).
+ */
+teamSchema.methods.memberFor = function (playerId) {
+  return this.members.find(m => String(m.player) === String(playerId));
+};
+
+/**
+ * Is the roster frozen? True while the team has a pending/approved entry
+ * in a scheduled tournament that hasn't finished (start + LOCK_HOURS_AFTER_START).
+ *
+ * @returns {Promise<boolean>}
+ */
+teamSchema.methods.isRosterLocked = async function (now = new Date()) {
+  // Resolved lazily to avoid a circular require with the Registration model
+  const Registration = mongoose.model('Registration');
+
+  const entries = await Registration.find({ team: this._id, status: { $in: ['pending', 'approved'] } })
+    .select('tournament')
+    .populate('tournament', 'status startTime');
+
+  const lockedUntil = (t) => t.startTime.getTime() + LOCK_HOURS_AFTER_START * 60 * 60 * 1000;
+  return entries.some(({ tournament: t }) => t && t.status === 'scheduled' && lockedUntil(t) > now.getTime());
+};
+
+/**
+ * Team as seen by one of its members. Only the captain sees the invite code
+ * and members' contact details.
+ */
+teamSchema.methods.toMemberJSON = function (playerId, locked) {
+  const isCaptain = this.isCaptain(playerId);
+
+  return {
+    id: this._id,
+    name: this.name,
+    game: this.game,
+    isCaptain,
+    locked,
+    inviteCode: isCaptain ? this.inviteCode : null,
+    maxMembers: MAX_MEMBERS,
+    members: this.members.map(m => ({
+      id: m._id,
+      inGameName: m.inGameName,
+      inGameId: m.inGameId,
+      isCaptain: String(m.player) === String(this.captain),
+      isYou: String(m.player) === String(playerId),
+      phone: isCaptain ? m.phone : undefined,
+      email: isCaptain ? m.email : undefined,
+    })),
+  };
+};
+
+teamSchema.statics.MAX_MEMBERS = MAX_MEMBERS;
+
+// One team per name per game; players look up their own teams
+teamSchema.index({ game: 1, nameKey: 1 }, { unique: true });
+teamSchema.index({ 'members.player': 1 });
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -0,0 +1,350 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Tournament Model (Mongoose Schema)
+ * ============================================================================
+ * Purpose: Defines a single scheduled tournament (e.g. "Sunday PUBG Solo")
+ *          that teams register into.
+ *
+ * Fields:
+ *   - title: Display name shown on the site (optional)
+ *   - game: Which game (pubg, freefire, cod)
+ *   - mode: Tournament mode (solo, duo, squad)
+ *   - startTime: When the match starts
+ *   - registrationOpensAt / registrationClosesAt: Registration window
+ *   - withdrawalClosesAt: Last moment players may withdraw (null → when
+ *     registration closes)
+ *   - maxSlots: Maximum number of entries (players for solo, teams otherwise)
+ *   - filledSlots: Slots taken by pending + approved registrations (counter)
+ *   - entryFee: Fee override for this event (null → pricing config)
+ *   - prizes: Prize overrides { winner, runnerUp, perKill } (null → pricing config)
+ *   - status: scheduled | cancelled | archived
+ *   - room: Custom room ID/password + when it is revealed to approved teams
+ *
+ * How it works:
+ *   - Registrations reference a tournament via Registration.tournament
+ *   - A registration takes its slot with reserveSlot() — one conditional
+ *     $inc, so two entries can never both get the last slot — and hands it
+ *     back with releaseSlots() when it is rejected, withdrawn, refunded or
+ *     the tournament is cancelled
+ *   - syncFilledSlots() rebuilds the counter from the registrations (run at
+ *     startup); listings still show the live count from getFilledSlots()
+ *   - isRegistrationOpen() decides whether new entries are accepted
+ *   - isWithdrawalOpen() decides whether players may still pull out
+ *   - Effective fee/prizes come from PricingConfig.resolve()
+ *   - Room details are NEVER part of toPublicJSON(); they reach approved
+ *     registrations only via the status lookup and email (isRoomRevealed())
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+const PricingConfig = require('./PricingConfig');
+
+// Registration statuses that occupy a slot in the tournament
+const SLOT_HOLDING_STATUSES = ['pending', 'approved'];
+
+// Sub-schema for per-event prize overrides (null = use pricing config)
+const prizeSchema = new mongoose.Schema(
+  {
+    // Prize for the #1 player/team
+    winner: { type: Number, min: [0, 'Prize cannot be negative'], default: null },
+
+    // Prize for the #2 player/team
+    runnerUp: { type: Number, min: [0, 'Prize cannot be negative'], default: null },
+
+    // Bonus paid per kill (all players)
+    perKill: { type: Number, min: [0, 'Prize cannot be negative'], default: null },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Sub-schema for the custom room (shared only with approved teams)
+const roomSchema = new mongoose.Schema(
+  {
+    roomId: { type: String, trim: true, maxlength: [50, 'Room ID cannot exceed 50 characters'], default: null },
+    password: { type: String, trim: true, maxlength: [50, 'Room password cannot exceed 50 characters'], default: null },
+
+    // When approved teams may see the room (null = as soon as it is set)
+    revealAt: { type: Date, default: null },
+
+    // When the room email went out (null = not sent yet)
+    emailedAt: { type: Date, default: null },
+  },
+  {
+    _id: false,
+  }
+);
+
+const tournamentSchema = new mongoose.Schema(
+  {
+    // Display name (e.g. "Sunday Showdown")
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters'],
+      default: null,
+    },
+
+    // Which game the tournament is for
+    game: {
+      type: String,
+      required: [true, 'Game is required'],
+      enum: {
+        values: ['pubg', 'freefire', 'cod'],
+        message: 'Game must be one of: pubg, freefire, cod',
+      },
+    },
+
+    // Tournament mode
+    mode: {
+      type: String,
+      required: [true, 'Mode is required'],
+      enum: {
+        values: ['solo', 'duo', 'squad'],
+        message: 'Mode must be one of: solo, duo, squad',
+      },
+    },
+
+    // Match start time
+    startTime: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+
+    // Registration window
+    registrationOpensAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    registrationClosesAt: {
+      type: Date,
+      required: [true, 'Registration close time is required'],
+    },
+
+    // Withdrawal cutoff (null = registrationClosesAt)
+    withdrawalClosesAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Maximum number of entries accepted
+    maxSlots: {
+      type: Number,
+      required: [true, 'Max slots is required'],
+      min: [1, 'Max slots must be at least 1'],
+    },
+
+    // Slot-holding registrations (see reserveSlot / releaseSlots)
+    filledSlots: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Entry fee override for this event (null = pricing config)
+    entryFee: {
+      type: Number,
+      min: [5, 'Entry fee must be at least ₹5'],
+      default: null,
+    },
+
+    // Prize overrides for this event
+    prizes: {
+      type: prizeSchema,
+      default: () => ({}),
+    },
+
+    // Lifecycle status
+    status: {
+      type: String,
+      enum: ['scheduled', 'cancelled', 'archived'],
+      default: 'scheduled',
+    },
+
+    // Custom room details
+    room: {
+      type: roomSchema,
+      default: () => ({}),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ── Schedule validation ──────────────────────────────────────────────────
+// Registration must open before it closes, and close no later than the start
+// (reported as a ValidationError, like the field validators)
+tournamentSchema.pre('validate', function () {
+  if (this.registrationOpensAt && this.registrationOpensAt >= this.registrationClosesAt) {
+    this.invalidate('registrationOpensAt', 'Registration must open before it closes');
+  }
+
+  if (this.registrationClosesAt > this.startTime) {
+    this.invalidate('registrationClosesAt', 'Registration must close before the tournament starts');
+  }
+
+  if (this.withdrawalClosesAt && this.withdrawalClosesAt > this.startTime) {
+    this.invalidate('withdrawalClosesAt', 'Withdrawals must close before the tournament starts');
+  }
+});
+
+/**
+ * Check whether the tournament is currently accepting registrations.
+ * Does NOT check slot availability — see getFilledSlots() for that.
+ *
+ * @param {Date} [now] - Point in time to check against (defaults to now)
+ * @returns {boolean}
+ */
+tournamentSchema.methods.isRegistrationOpen = function (now = new Date()) {
+  if (this.status !== 'scheduled') return false;
+  if (this.registrationOpensAt && now < this.registrationOpensAt) return false;
+  return now < this.registrationClosesAt;
+};
+
+/**
+ * Last moment players may withdraw their entry.
+ *
+ * @returns {Date}
+ */
+tournamentSchema.methods.withdrawalDeadline = function () {
+  return this.withdrawalClosesAt || this.registrationClosesAt;
+};
+
+/**
+ * Check whether players can still withdraw from the tournament.
+ *
+ * @param {Date} [now] - Point in time to check against (defaults to now)
+ * @returns {boolean}
+ */
+tournamentSchema.methods.isWithdrawalOpen = function (now = new Date()) {
+  return this.status === 'scheduled' && now < this.withdrawalDeadline();
+};
+
+/**
+ * Check whether room details can be shown to approved teams.
+ * Requires a room ID, a scheduled tournament and a passed reveal time.
+ *
+ * @param {Date} [now] - Point in time to check against (defaults to now)
+ * @returns {boolean}
+ */
+tournamentSchema.methods.isRoomRevealed = function (now = new Date()) {
+  if (this.status !== 'scheduled' || !this.room?.roomId) return false;
+  return !this.room.revealAt || now >= this.room.revealAt;
+};
+
+/**
+ * Build the public representation of a tournament, including live slots
+ * and the effective (resolved) entry fee and prizes.
+ *
+ * @param {number} filledSlots - Number of slot-holding registrations
+ * @param {Object} pricingTable - Result of PricingConfig.getTable()
+ * @returns {Object}
+ */
+tournamentSchema.methods.toPublicJSON = function (filledSlots, pricingTable) {
+  const { entryFee, prizes } = PricingConfig.resolve(pricingTable, this.game, this.mode, this);
+
+  return {
+    id: this._id,
+    title: this.title,
+    game: this.game,
+    mode: this.mode,
+    startTime: this.startTime,
+    registrationOpensAt: this.registrationOpensAt,
+    registrationClosesAt: this.registrationClosesAt,
+    withdrawalClosesAt: this.withdrawalDeadline(),
+    maxSlots: this.maxSlots,
+    slotsFilled: filledSlots,
+    slotsLeft: Math.max(this.maxSlots - filledSlots, 0),
+    entryFee,
+    prizes,
+    status: this.status,
+    isOpen: this.isRegistrationOpen() && filledSlots < this.maxSlots,
+  };
+};
+
+/**
+ * Count slot-holding registrations for one or more tournaments.
+ *
+ * @param {Array<ObjectId|string>} tournamentIds
+ * @returns {Promise<Map<string, number>>} - tournamentId → filled slots
+ */
+tournamentSchema.statics.getFilledSlots = async function (tournamentIds) {
+  // Resolved lazily to avoid a circular require with the Registration model
+  const Registration = mongoose.model('Registration');
+
+  const counts = await Registration.aggregate([
+    {
+      $match: {
+        tournament: { $in: tournamentIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+        status: { $in: SLOT_HOLDING_STATUSES },
+      },
+    },
+    { $group: { _id: '$tournament', count: { $sum: 1 } } },
+  ]);
+
+  const filled = new Map();
+  counts.forEach(c => filled.set(String(c._id), c.count));
+  return filled;
+};
+
+/**
+ * Take one slot for a registration, if the tournament has one left.
+ *
+ * @param {ObjectId|string} tournamentId
+ * @returns {Promise<Document|null>} - The tournament, or null when it is full
+ */
+tournamentSchema.statics.reserveSlot = function (tournamentId) {
+  return this.findOneAndUpdate(
+    { _id: tournamentId, $expr: { $lt: [{ $ifNull: ['$filledSlots', 0] }, '$maxSlots'] } },
+    { $inc: { filledSlots: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Give back slots taken with reserveSlot(). Never goes below zero.
+ *
+ * @param {ObjectId|string|null} tournamentId - null for legacy entries (no-op)
+ * @param {number} [count]
+ */
+tournamentSchema.statics.releaseSlots = async function (tournamentId, count = 1) {
+  if (!tournamentId || count <= 0) return;
+  await this.updateOne(
+    { _id: tournamentId },
+    [{ $set: { filledSlots: { $max: [0, { $subtract: [{ $ifNull: ['$filledSlots', 0] }, count] }] } } }],
+    { updatePipeline: true }
+  );
+};
+
+/**
+ * Rebuild filledSlots of every scheduled tournament from its registrations
+ * (counters of tournaments created before the counter existed, or left off
+ * by a crash between a registration change and its release).
+ *
+ * @returns {Promise<number>} Number of tournaments corrected
+ */
+tournamentSchema.statics.syncFilledSlots = async function () {
+  const tournaments = await this.find({ status: 'scheduled' }, 'filledSlots');
+  const filled = await this.getFilledSlots(tournaments.map(t => t._id));
+
+  const stale = tournaments.filter(t => t.filledSlots !== (filled.get(String(t._id)) || 0));
+  if (stale.length) {
+    await this.bulkWrite(stale.map(t => ({
+      updateOne: {
+        filter: { _id: t._id },
+        update: { filledSlots: filled.get(String(t._id)) || 0 },
+      },
+    })));
+  }
+  return stale.length;
+};
+
+tournamentSchema.statics.SLOT_HOLDING_STATUSES = SLOT_HOLDING_STATUSES;
+
+// Index for the public listing (upcoming tournaments per game/mode)
+tournamentSchema.index({ game: 1, mode: 1, startTime: 1 });
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
@@ -0,0 +1,104 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Audit Log Routes
+ * ============================================================================
+ * Purpose: Read-only view of the audit log (models/AuditLog.js) — who
+ *          changed what, when and from where. ALL routes require the
+ *          audit:view permission (superadmins).
+ *
+ * Endpoints:
+ *   GET /api/v1/admin/audit   — List entries, newest first
+ *
+ * Filters (query string, all optional):
+ *   actor       — Admin email (also matches emails tried at failed logins)
+ *   action      — e.g. registration.update (see filters.actions in the response)
+ *   targetModel — e.g. Registration
+ *   targetId    — ID of one document, for its full history
+ *   from / to   — Date range (YYYY-MM-DD or ISO timestamps, inclusive;
+ *                 bare dates are IST days — see utils/listQuery.js)
+ *   page / limit
+ *
+ * Entries are written by utils/auditLog.js; nothing here changes them.
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { parseDate } = require('../utils/listQuery');
+
+const router = express.Router();
+
+// Every route in this file requires a logged-in admin who may read the audit log
+router.use(protect, authorize('audit:view'));
+
+const MAX_LIMIT = 100;
+
+
+/* ========================================================================
+   GET / — List Audit Entries
+   ======================================================================== */
+
+router.get('/', async (req, res) => {
+  try {
+    const { actor, action, targetModel, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_LIMIT);
+
+    // Build filter from query params (strings only — nothing else reaches the query)
+    const filter = {};
+    if (typeof actor === 'string' && actor.trim()) filter.actorEmail = actor.trim().toLowerCase();
+    if (typeof action === 'string' && action) filter.action = action;
+    if (typeof targetModel === 'string' && targetModel) filter.targetModel = targetModel;
+    if (targetId) {
+      if (!mongoose.isValidObjectId(targetId)) {
+        return res.status(400).json({ success: false, message: 'Invalid target ID.' });
+      }
+      filter.targetId = targetId;
+    }
+
+    const since = parseDate(from);
+    const until = parseDate(to, true);
+    if ((from && !since) || (to && !until)) {
+      return res.status(400).json({ success: false, message: 'Dates must look like YYYY-MM-DD.' });
+    }
+    if (since || until) {
+      filter.createdAt = {};
+      if (since) filter.createdAt.$gte = since;
+      if (until) filter.createdAt.$lte = until;
+    }
+
+    const [entries, total, actions, targetModels] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct('action'),
+      AuditLog.distinct('targetModel'),
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      filters: {
+        actions: actions.sort(),
+        targetModels: targetModels.filter(Boolean).sort(),
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('🔴 Audit log list error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load the audit log.' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Config Routes
+ * ============================================================================
+ * Purpose: Lets admins change site-wide configuration from the dashboard.
+ *          ALL routes are protected by JWT authentication.
+ *
+ * Endpoints:
+ *   GET /api/v1/admin/config/pricing  — Current pricing table
+ *   PUT /api/v1/admin/config/pricing  — Replace fee + prizes for game/modes
+ *
+ * PUT body:
+ *   {
+ *     "tiers": [
+ *       { "game": "pubg", "mode": "solo", "entryFee": 5,
+ *         "prizes": { "winner": 500, "runnerUp": 250, "perKill": 10 } },
+ *       ...
+ *     ]
+ *   }
+ *   Only the game/mode combinations sent are changed; the rest keep their
+ *   current values.
+ * ============================================================================
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PricingConfig = require('../models/PricingConfig');
+const { recordAudit, snapshot } = require('../utils/auditLog');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every route in this file requires a logged-in admin
+router.use(protect);
+
+
+/* ========================================================================
+   GET /pricing — Current Pricing Table
+   ======================================================================== */
+
+router.get('/pricing', authorize('pricing:view'), async (req, res) => {
+  try {
+    const [table, config] = await Promise.all([
+      PricingConfig.getTable(),
+      PricingConfig.findOne({ key: 'default' }).populate('updatedBy', 'name email'),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        games: table,
+        updatedAt: config?.updatedAt || null,
+        updatedBy: config?.updatedBy?.name || null,
+      },
+    });
+  } catch (error) {
+    console.error('🔴 Admin pricing load error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load pricing.' });
+  }
+});
+
+
+/* ========================================================================
+   PUT /pricing — Update Pricing
+   ======================================================================== */
+
+router.put(
+  '/pricing',
+  authorize('pricing:manage'),
+  [
+    body('tiers')
+      .isArray({ min: 1, max: 9 }).withMessage('Tiers array is required (1–9 entries)'),
+
+    body('tiers.*.game')
+      .isIn(['pubg', 'freefire', 'cod']).withMessage('Invalid game in pricing'),
+
+    body('tiers.*.mode')
+      .isIn(['solo', 'duo', 'squad']).withMessage('Invalid mode in pricing'),
+
+    body('tiers.*.entryFee')
+      .isInt({ min: 5 }).withMessage('Entry fee must be at least ₹5'),
+
+    body('tiers.*.prizes.winner')
+      .isInt({ min: 0 }).withMessage('Winner prize must be 0 or more'),
+
+    body('tiers.*.prizes.runnerUp')
+      .isInt({ min: 0 }).withMessage('Runner-up prize must be 0 or more'),
+
+    body('tiers.*.prizes.perKill')
+      .isInt({ min: 0 }).withMessage('Per-kill prize must be 0 or more'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      let config = await PricingConfig.findOne({ key: 'default' });
+      if (!config) config = new PricingConfig({ key: 'default' });
+      const before = config.isNew ? null : snapshot(config);
+
+      // Replace each submitted game/mode tier, keep the others
+      req.body.tiers.forEach(({ game, mode, entryFee, prizes }) => {
+        const tier = {
+          game,
+          mode,
+          entryFee: Number(entryFee),
+          prizes: {
+            winner: Number(prizes.winner),
+            runnerUp: Number(prizes.runnerUp),
+            perKill: Number(prizes.perKill),
+          },
+        };
+        const index = config.tiers.findIndex(t => t.game === game && t.mode === mode);
+        if (index === -1) config.tiers.push(tier);
+        else config.tiers.set(index, tier);
+      });
+
+      config.updatedBy = req.admin._id;
+      await config.save();
+
+      console.log(`💰 Pricing updated (${req.body.tiers.length} tier(s)) by ${req.admin.email}`);
+      await recordAudit(req, { action: 'pricing.update', target: config, before, after: snapshot(config) });
+
+      res.json({ success: true, data: { games: await PricingConfig.getTable() } });
+    } catch (error) {
+      console.error('🔴 Admin pricing update error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to update pricing.' });
+    }
+  }
+);
+
+
+module.exports = router;
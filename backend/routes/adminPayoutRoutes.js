@@ -0,0 +1,195 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Payout Routes
+ * ============================================================================
+ * Purpose: The payout ledger — prize money owed to winners and whether it
+ *          has been sent. ALL routes are protected by JWT authentication.
+ *
+ * Endpoints:
+ *   GET   /api/v1/admin/payouts             — List payouts
+ *   PATCH /api/v1/admin/payouts/:id         — Update UPI handle / status / reference
+ *   POST  /api/v1/admin/payouts/mark-paid   — Mark several payouts paid at once
+ *
+ * Query params (list):
+ *   - status: pending | paid | failed   (optional)
+ *   - game: pubg | freefire | cod       (optional)
+ *   - tournament: Tournament ID         (optional)
+ *   - page, limit
+ *
+ * Note: Payouts are created automatically when results are saved
+ *       (see routes/adminResultRoutes.js).
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Payout = require('../models/Payout');
+const { recordAudit, recordBulkAudit, snapshot } = require('../utils/auditLog');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every route in this file requires a logged-in admin
+router.use(protect);
+
+// Maximum payouts per bulk request
+const MAX_BULK = 100;
+
+
+/* ========================================================================
+   GET / — List Payouts
+   ======================================================================== */
+
+router.get('/', authorize('payouts:view'), async (req, res) => {
+  try {
+    const { status, game, tournament } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    // Build filter from query params
+    const filter = {};
+    if (status && ['pending', 'paid', 'failed'].includes(status)) filter.status = status;
+    if (game && ['pubg', 'freefire', 'cod'].includes(game)) filter.game = game;
+    if (tournament && mongoose.isValidObjectId(tournament)) filter.tournament = tournament;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('tournament', 'title game mode startTime')
+        .populate('registration', 'teamName players.inGameName players.phone')
+        .populate('result', 'placement totalKills'),
+      Payout.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: payouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('🔴 Payouts list error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load payouts.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /mark-paid — Bulk Mark Paid
+   ======================================================================== */
+
+/**
+ * Body: { ids: [payoutId, ...], referenceNumber? }
+ * Only pending/failed payouts are changed; already-paid ones are skipped.
+ */
+router.post(
+  '/mark-paid',
+  authorize('payouts:manage'),
+  [
+    body('ids')
+      .isArray({ min: 1, max: MAX_BULK }).withMessage(`Select between 1 and ${MAX_BULK} payouts`),
+
+    body('ids.*')
+      .isMongoId().withMessage('Invalid payout ID'),
+
+    body('referenceNumber')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Reference number cannot exceed 100 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const update = { status: 'paid', paidAt: new Date(), paidBy: req.admin._id };
+      if (req.body.referenceNumber) update.referenceNumber = req.body.referenceNumber;
+
+      const filter = { _id: { $in: req.body.ids }, status: { $in: ['pending', 'failed'] } };
+      const affected = await Payout.find(filter);
+      const result = await Payout.updateMany(filter, update);
+
+      console.log(`💸 ${result.modifiedCount} payout(s) marked paid by ${req.admin.email}`);
+      await recordBulkAudit(req, affected, 'payout.mark_paid');
+
+      res.json({
+        success: true,
+        data: { requested: req.body.ids.length, updated: result.modifiedCount },
+      });
+    } catch (error) {
+      console.error('🔴 Payout bulk update error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to update payouts.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   PATCH /:id — Update a Payout
+   ======================================================================== */
+
+router.patch(
+  '/:id',
+  authorize('payouts:manage'),
+  [
+    body('upiHandle')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('UPI handle cannot exceed 100 characters'),
+
+    body('status')
+      .optional()
+      .isIn(['pending', 'paid', 'failed']).withMessage('Status must be: pending, paid, or failed'),
+
+    body('referenceNumber')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Reference number cannot exceed 100 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const payout = mongoose.isValidObjectId(req.params.id) ? await Payout.findById(req.params.id) : null;
+      if (!payout) {
+        return res.status(404).json({ success: false, message: 'Payout not found.' });
+      }
+
+      const before = snapshot(payout);
+      const { upiHandle, status, referenceNumber } = req.body;
+      if (upiHandle !== undefined) payout.upiHandle = upiHandle || null;
+      if (referenceNumber !== undefined) payout.referenceNumber = referenceNumber || null;
+
+      if (status && status !== payout.status) {
+        payout.status = status;
+        payout.paidAt = status === 'paid' ? new Date() : null;
+        payout.paidBy = status === 'paid' ? req.admin._id : null;
+      }
+
+      await payout.save();
+
+      console.log(`💸 Payout ${payout._id} → ${payout.status} by ${req.admin.email}`);
+      await recordAudit(req, { action: 'payout.update', target: payout, before, after: snapshot(payout) });
+      res.json({ success: true, data: payout });
+    } catch (error) {
+      console.error('🔴 Payout update error:', error.message);
+      res.status(400).json({ success: false, message: error.message || 'Failed to update payout.' });
+    }
+  }
+);
+
+
+module.exports = router;
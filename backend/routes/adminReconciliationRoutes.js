@@ -0,0 +1,308 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Payment Reconciliation Routes
+ * ============================================================================
+ * Purpose: Match a bank/UPI settlement statement (CSV) against pending
+ *          registrations so payments can be approved in bulk instead of one
+ *          by one. ALL routes are protected by JWT authentication.
+ *
+ * Endpoints:
+ *   POST /api/v1/admin/reconciliation/preview  — Upload a CSV, get the match report
+ *   POST /api/v1/admin/reconciliation/approve  — Approve the exact matches (the
+ *                                                statement is matched again)
+ *
+ * Statement CSV:
+ *   A header row with these columns (common bank/UPI export names work too):
+ *     UTR, Amount, Timestamp, Payer VPA
+ *
+ * Match report:
+ *   - matches: statement rows whose UTR equals a pending registration's
+ *     transactionId — "exact" when the amount equals the entry fee,
+ *     "amount_mismatch" otherwise
+ *   - unmatchedRows: statement rows with no pending registration (with a reason)
+ *   - unmatchedRegistrations: pending registrations missing from the statement
+ *
+ * Nothing is changed by /preview — approval only happens via /approve,
+ * which re-uploads the statement so the server decides what is an exact
+ * match, not the browser.
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Registration = require('../models/Registration');
+const { parseCsv } = require('../utils/csv');
+const { sendLateRoomEmail } = require('../utils/roomDelivery');
+const { applyBulkStatus } = require('../utils/bulkActions');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { statementUpload } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// Every route in this file requires a logged-in admin who may verify payments
+router.use(protect, authorize('registrations:approve'));
+
+// Maximum statement rows / registrations per request
+const MAX_ROWS = 10000;
+const MAX_BULK = 500;
+
+// Accepted header names per column (compared lower-case, letters/digits only)
+const COLUMN_ALIASES = {
+  utr: ['utr', 'utrno', 'utrnumber', 'rrn', 'referenceno', 'referencenumber', 'refno', 'upirefno', 'transactionid', 'txnid'],
+  amount: ['amount', 'amt', 'creditamount', 'credit', 'amountinr'],
+  timestamp: ['timestamp', 'date', 'datetime', 'transactiondate', 'txndate', 'time'],
+  payerVpa: ['payervpa', 'vpa', 'payerupiid', 'upiid', 'fromvpa', 'payer'],
+};
+
+/**
+ * Normalise a UTR / transaction ID for matching (case and spacing ignored).
+ */
+function refKey(value) {
+  return String(value || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Turn the CSV into statement rows. Throws with a readable message when
+ * the header is missing a required column.
+ */
+function readStatement(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error('The statement is empty.');
+
+  const keys = header.map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const columns = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[column] = keys.findIndex(k => aliases.includes(k));
+  }
+
+  if (columns.utr === -1 || columns.amount === -1) {
+    throw new Error('The statement needs a UTR column and an Amount column.');
+  }
+  if (lines.length > MAX_ROWS) {
+    throw new Error(`The statement has more than ${MAX_ROWS} rows. Split it into smaller files.`);
+  }
+
+  const cell = (cells, column) => (columns[column] === -1 ? '' : (cells[columns[column]] || '').trim());
+
+  return lines.map((cells, i) => {
+    const amountText = cell(cells, 'amount').replace(/[^0-9.-]/g, '');
+    return {
+      row: i + 1,  // 1-based, header not counted
+      utr: cell(cells, 'utr'),
+      amount: amountText === '' ? null : Number(amountText),
+      timestamp: cell(cells, 'timestamp') || null,
+      payerVpa: cell(cells, 'payerVpa') || null,
+    };
+  });
+}
+
+/**
+ * Registration fields shown in the report.
+ */
+function summarise(reg) {
+  return {
+    id: reg._id,
+    teamName: reg.teamName || reg.players?.[0]?.inGameName || null,
+    game: reg.game,
+    mode: reg.mode,
+    transactionId: reg.transactionId,
+    entryFee: reg.entryFee,
+    status: reg.status,
+    tournament: reg.tournament ? { id: reg.tournament._id, title: reg.tournament.title, startTime: reg.tournament.startTime } : null,
+    registeredAt: reg.createdAt,
+  };
+}
+
+
+/**
+ * Match statement rows against the pending registrations in scope.
+ *
+ * @param {Object[]} rows - From readStatement()
+ * @param {string} [tournamentId] - Only consider this tournament's registrations
+ * @returns {Promise<{ matches: Object[], unmatchedRows: Object[], unmatchedRegistrations: Document[] }>}
+ *          matches are { row, registration, exact } with the registration document
+ */
+async function matchStatement(rows, tournamentId) {
+  // Pending registrations in scope, keyed by normalised transaction ID
+  const scope = { status: 'pending' };
+  if (tournamentId) scope.tournament = tournamentId;
+
+  const pending = await Registration.find(scope)
+    .sort({ createdAt: 1 })
+    .populate('tournament', 'title startTime');
+  const pendingByRef = new Map(pending.map(reg => [refKey(reg.transactionId), reg]));
+
+  // Already-decided registrations explain otherwise unmatched rows
+  const refs = rows.map(r => r.utr).filter(Boolean);
+  const decided = await Registration.find({
+    transactionId: { $in: [...new Set([...refs, ...refs.map(refKey)])] },
+    status: { $ne: 'pending' },
+  }).select('transactionId status');
+  const decidedByRef = new Map(decided.map(reg => [refKey(reg.transactionId), reg]));
+
+  const matches = [];
+  const unmatchedRows = [];
+  const seen = new Set();
+  const matchedIds = new Set();
+
+  for (const row of rows) {
+    const key = refKey(row.utr);
+
+    if (!key) {
+      unmatchedRows.push({ ...row, reason: 'missing_utr' });
+    } else if (seen.has(key)) {
+      unmatchedRows.push({ ...row, reason: 'duplicate_utr' });
+    } else if (pendingByRef.has(key)) {
+      const registration = pendingByRef.get(key);
+      const exact = row.amount !== null && Math.abs(row.amount - registration.entryFee) < 0.005;
+      matches.push({ row, registration, exact });
+      matchedIds.add(String(registration._id));
+    } else if (decidedByRef.has(key)) {
+      unmatchedRows.push({ ...row, reason: `already_${decidedByRef.get(key).status}` });
+    } else {
+      unmatchedRows.push({ ...row, reason: 'no_registration' });
+    }
+
+    if (key) seen.add(key);
+  }
+
+  const unmatchedRegistrations = pending.filter(reg => !matchedIds.has(String(reg._id)));
+  return { matches, unmatchedRows, unmatchedRegistrations };
+}
+
+/**
+ * Read the uploaded statement and tournament filter shared by /preview and
+ * /approve. Sends a 400 and returns null when either is unusable.
+ *
+ * @returns {{ rows: Object[], tournamentId?: string }|null}
+ */
+function readUpload(req, res) {
+  if (!req.file) {
+    res.status(400).json({ success: false, message: 'Please upload a CSV statement.' });
+    return null;
+  }
+
+  const { tournamentId } = req.body;
+  if (tournamentId && !mongoose.isValidObjectId(tournamentId)) {
+    res.status(400).json({ success: false, message: 'Invalid tournament.' });
+    return null;
+  }
+
+  try {
+    return { rows: readStatement(req.file.buffer.toString('utf8')), tournamentId };
+  } catch (parseError) {
+    res.status(400).json({ success: false, message: parseError.message });
+    return null;
+  }
+}
+
+
+/* ========================================================================
+   POST /preview — Match a Statement Against Pending Registrations
+   ======================================================================== */
+
+/**
+ * multipart/form-data:
+ *   - statement: the CSV file
+ *   - tournamentId: only consider this tournament's registrations (optional)
+ */
+router.post('/preview', statementUpload, async (req, res) => {
+  try {
+    const upload = readUpload(req, res);
+    if (!upload) return;
+
+    const { matches, unmatchedRows, unmatchedRegistrations } = await matchStatement(upload.rows, upload.tournamentId);
+    const exactCount = matches.filter(m => m.exact).length;
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          rows: upload.rows.length,
+          exact: exactCount,
+          amountMismatch: matches.length - exactCount,
+          unmatchedRows: unmatchedRows.length,
+          unmatchedRegistrations: unmatchedRegistrations.length,
+        },
+        matches: matches.map(({ row, registration, exact }) => ({
+          ...row,
+          result: exact ? 'exact' : 'amount_mismatch',
+          registration: summarise(registration),
+        })),
+        unmatchedRows,
+        unmatchedRegistrations: unmatchedRegistrations.map(summarise),
+      },
+    });
+  } catch (error) {
+    console.error('🔴 Reconciliation preview error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to reconcile statement.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /approve — Bulk Approve Exact Matches
+   ======================================================================== */
+
+/**
+ * multipart/form-data — the same statement and tournamentId as /preview, plus:
+ *   - ids: JSON array of the registration IDs the admin reviewed
+ *
+ * The statement is matched again here: only registrations that are still
+ * pending AND whose UTR and amount match a statement row exactly are
+ * approved. Anything else in ids is left alone and counted as skipped.
+ */
+router.post('/approve', statementUpload, async (req, res) => {
+  try {
+    let ids;
+    try {
+      ids = JSON.parse(req.body?.ids || 'null');
+    } catch {
+      ids = null;
+    }
+    if (!Array.isArray(ids) || ids.length < 1 || ids.length > MAX_BULK) {
+      return res.status(400).json({ success: false, message: `Select between 1 and ${MAX_BULK} registrations` });
+    }
+    if (!ids.every(id => typeof id === 'string' && mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid registration ID' });
+    }
+
+    const upload = readUpload(req, res);
+    if (!upload) return;
+
+    const requested = new Set(ids);
+    const { matches } = await matchStatement(upload.rows, upload.tournamentId);
+    const registrations = matches
+      .filter(m => m.exact && requested.has(String(m.registration._id)))
+      .map(m => m.registration);
+
+    // Same write as the dashboard's bulk actions: only documents this write
+    // changed (still pending at the time) are audited and emailed
+    const { report, updatedDocs } = await applyBulkStatus(req, {
+      Model: Registration,
+      docs: registrations,
+      missingIds: [],
+      status: 'approved',
+      update: { verifiedBy: req.admin._id, verifiedAt: new Date() },
+      fromStatuses: ['pending'],
+      action: 'registration.update',
+      auditDetails: { source: 'statement_reconciliation' },
+    });
+
+    // Late approvals still get the room email if it already went out (non-blocking)
+    updatedDocs.forEach(reg => {
+      sendLateRoomEmail(reg).catch(err => console.warn('⚠️ Room email for late approval failed:', err.message));
+    });
+
+    res.json({
+      success: true,
+      data: { requested: requested.size, updated: report.updated, skipped: requested.size - report.updated },
+    });
+  } catch (error) {
+    console.error('🔴 Reconciliation approve error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to approve registrations.' });
+  }
+});
+
+
+module.exports = router;
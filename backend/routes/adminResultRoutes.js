@@ -0,0 +1,297 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Result Routes
+ * ============================================================================
+ * Purpose: Lets organisers record match results (placement + kills per
+ *          player) and computes each entry's winnings automatically.
+ *          ALL routes are protected by JWT authentication.
+ *
+ * Endpoints:
+ *   GET /api/v1/admin/tournaments/:tournamentId/results  — Results sheet
+ *   PUT /api/v1/admin/tournaments/:tournamentId/results  — Save results
+ *
+ * PUT body:
+ *   {
+ *     results: [
+ *       { registrationId, placement, kills: [{ inGameId, kills }] },
+ *       ...
+ *     ]
+ *   }
+ *
+ * Notes:
+ *   - Only approved registrations of the tournament can have results
+ *   - Kill rows are matched to players by Registration.players[].inGameId;
+ *     players without a row are recorded with 0 kills
+ *   - Winnings use the tournament's resolved prize table (winner /
+ *     runner-up / per-kill), so overrides and admin pricing both apply
+ *   - Each entry with winnings gets a pending Payout (see models/Payout.js)
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Tournament = require('../models/Tournament');
+const Registration = require('../models/Registration');
+const Result = require('../models/Result');
+const Payout = require('../models/Payout');
+const PricingConfig = require('../models/PricingConfig');
+const { recordAuditMany, snapshot } = require('../utils/auditLog');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// mergeParams exposes :tournamentId from the mount path
+const router = express.Router({ mergeParams: true });
+
+// Every route in this file requires a logged-in admin
+router.use(protect);
+
+/**
+ * Build the results sheet for a tournament: every approved entry with its
+ * players and saved result (if any), plus the prize table in use.
+ */
+async function buildResultsSheet(tournament) {
+  const [registrations, results, pricing] = await Promise.all([
+    Registration.find({ tournament: tournament._id, status: 'approved' }).sort({ createdAt: 1 }),
+    Result.find({ tournament: tournament._id }),
+    PricingConfig.getTable(),
+  ]);
+
+  const resultByRegistration = new Map(results.map(r => [String(r.registration), r]));
+  const { prizes } = PricingConfig.resolve(pricing, tournament.game, tournament.mode, tournament);
+
+  const entries = registrations.map(reg => {
+    const result = resultByRegistration.get(String(reg._id));
+    return {
+      registrationId: reg._id,
+      teamName: reg.teamName,
+      players: reg.players.map(p => ({ inGameName: p.inGameName, inGameId: p.inGameId })),
+      result: result
+        ? {
+            placement: result.placement,
+            kills: result.kills,
+            totalKills: result.totalKills,
+            winnings: result.winnings,
+            updatedAt: result.updatedAt,
+          }
+        : null,
+    };
+  });
+
+  return {
+    tournament: {
+      id: tournament._id,
+      title: tournament.title,
+      game: tournament.game,
+      mode: tournament.mode,
+      startTime: tournament.startTime,
+      status: tournament.status,
+      prizes,
+    },
+    entries,
+    totalWinnings: results.reduce((sum, r) => sum + r.winnings.total, 0),
+  };
+}
+
+/**
+ * Load the tournament from :tournamentId, or send a 404.
+ * Returns null if the response has already been sent.
+ */
+async function findTournament(req, res) {
+  const tournament = mongoose.isValidObjectId(req.params.tournamentId)
+    ? await Tournament.findById(req.params.tournamentId)
+    : null;
+
+  if (!tournament) {
+    res.status(404).json({ success: false, message: 'Tournament not found.' });
+    return null;
+  }
+  return tournament;
+}
+
+
+/* ========================================================================
+   GET / — Results Sheet
+   ======================================================================== */
+
+router.get('/', authorize('tournaments:view'), async (req, res) => {
+  try {
+    const tournament = await findTournament(req, res);
+    if (!tournament) return;
+
+    res.json({ success: true, data: await buildResultsSheet(tournament) });
+  } catch (error) {
+    console.error('🔴 Results fetch error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load results.' });
+  }
+});
+
+
+/* ========================================================================
+   PUT / — Save Results
+   ======================================================================== */
+
+router.put(
+  '/',
+  authorize('results:manage'),
+  [
+    body('results')
+      .isArray({ min: 1 }).withMessage('At least one result is required')
+      .bail()
+      // One row per team — two rows would race on the (tournament, registration) index
+      .custom(results => new Set(results.map(r => String(r?.registrationId))).size === results.length)
+      .withMessage('Each team can only appear once in the results'),
+
+    body('results.*.registrationId')
+      .isMongoId().withMessage('Invalid registration ID'),
+
+    body('results.*.placement')
+      .optional({ nullable: true, checkFalsy: true })
+      .isInt({ min: 1 }).withMessage('Placement must be 1 or higher'),
+
+    body('results.*.kills')
+      .optional()
+      .isArray().withMessage('Kills must be a list'),
+
+    body('results.*.kills.*.inGameId')
+      .trim()
+      .notEmpty().withMessage('In-game ID is required for every kill row'),
+
+    body('results.*.kills.*.kills')
+      .isInt({ min: 0, max: 100 }).withMessage('Kills must be between 0 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const tournament = await findTournament(req, res);
+      if (!tournament) return;
+
+      if (tournament.status === 'cancelled') {
+        return res.status(409).json({ success: false, message: 'Cannot record results for a cancelled tournament.' });
+      }
+
+      if (tournament.startTime > new Date()) {
+        return res.status(409).json({ success: false, message: 'Results can only be entered after the match has started.' });
+      }
+
+      const { results } = req.body;
+
+      // Every entry must be an approved registration of this tournament
+      const registrations = await Registration.find({
+        _id: { $in: results.map(r => r.registrationId) },
+        tournament: tournament._id,
+        status: 'approved',
+      });
+      const registrationById = new Map(registrations.map(r => [String(r._id), r]));
+
+      const missing = results.find(r => !registrationById.has(String(r.registrationId)));
+      if (missing) {
+        return res.status(400).json({
+          success: false,
+          message: `Registration ${missing.registrationId} is not an approved entry in this tournament.`,
+        });
+      }
+
+      // Placements must be unique across the whole tournament, including
+      // results saved earlier for entries not in this request
+      const placements = new Map();
+      const existing = await Result.find({
+        tournament: tournament._id,
+        registration: { $nin: results.map(r => r.registrationId) },
+        placement: { $ne: null },
+      });
+      existing.forEach(r => placements.set(r.placement, String(r.registration)));
+
+      for (const r of results) {
+        if (!r.placement) continue;
+        const placement = Number(r.placement);
+        if (placements.has(placement)) {
+          return res.status(400).json({ success: false, message: `Placement #${placement} is assigned to more than one entry.` });
+        }
+        placements.set(placement, String(r.registrationId));
+      }
+
+      // Match kill rows to players by in-game ID
+      const rows = [];
+      for (const r of results) {
+        const reg = registrationById.get(String(r.registrationId));
+        const killsById = new Map();
+
+        for (const row of r.kills || []) {
+          const player = reg.players.find(p => p.inGameId === row.inGameId);
+          if (!player) {
+            return res.status(400).json({
+              success: false,
+              message: `In-game ID "${row.inGameId}" is not on ${reg.teamName || reg.players[0].inGameName}'s roster.`,
+            });
+          }
+          if (killsById.has(row.inGameId)) {
+            return res.status(400).json({ success: false, message: `Duplicate kill row for in-game ID "${row.inGameId}".` });
+          }
+          killsById.set(row.inGameId, Number(row.kills));
+        }
+
+        const kills = reg.players.map(p => ({
+          inGameId: p.inGameId,
+          inGameName: p.inGameName,
+          kills: killsById.get(p.inGameId) || 0,
+        }));
+
+        rows.push({ registration: reg._id, placement: r.placement ? Number(r.placement) : null, kills });
+      }
+
+      // Compute winnings from the tournament's resolved prize table
+      const pricing = await PricingConfig.getTable();
+      const { prizes } = PricingConfig.resolve(pricing, tournament.game, tournament.mode, tournament);
+
+      // Earlier results, for the audit log's before/after
+      const previous = await Result.find({ tournament: tournament._id, registration: { $in: rows.map(r => r.registration) } });
+      const previousByRegistration = new Map(previous.map(r => [String(r.registration), snapshot(r)]));
+      const auditEntries = [];
+
+      await Promise.all(rows.map(async row => {
+        const totalKills = row.kills.reduce((sum, k) => sum + k.kills, 0);
+        const result = await Result.findOneAndUpdate(
+          { tournament: tournament._id, registration: row.registration },
+          {
+            placement: row.placement,
+            kills: row.kills,
+            totalKills,
+            winnings: Result.calculateWinnings(prizes, row.placement, totalKills),
+            prizesUsed: prizes,
+            enteredBy: req.admin._id,
+          },
+          { upsert: true, new: true, runValidators: true }
+        );
+
+        // Keep the payout ledger in step with the winnings
+        await Payout.syncFromResult(result, registrationById.get(String(row.registration)));
+
+        auditEntries.push({
+          action: 'result.save',
+          target: result,
+          before: previousByRegistration.get(String(row.registration)) || null,
+          after: snapshot(result),
+          details: { tournament: tournament._id, registration: row.registration },
+        });
+      }));
+
+      console.log(`🏅 Results saved for tournament ${tournament._id} (${rows.length} entries) by ${req.admin.email}`);
+      await recordAuditMany(req, auditEntries);
+
+      res.json({ success: true, data: await buildResultsSheet(tournament) });
+    } catch (error) {
+      console.error('🔴 Results save error:', error.message);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, message: Object.values(error.errors)[0]?.message || error.message });
+      }
+      res.status(500).json({ success: false, message: 'Failed to save results.' });
+    }
+  }
+);
+
+
+module.exports = router;
@@ -6,30 +6,77 @@
  *          are protected by JWT authentication.
  *
  * Endpoints:
- *   POST   /api/v1/admin/login            — Admin login (returns JWT)
- *   GET    /api/v1/admin/me               — Get current admin info
- *   GET    /api/v1/admin/stats            — Dashboard statistics
- *   GET    /api/v1/admin/contacts         — List contact messages
+ *   GET    /api/v1/admin/setup            — Is first-run setup needed? (no admin exists)
+ *   POST   /api/v1/admin/setup            — Create the first superadmin (setup token)
+ *   POST   /api/v1/admin/login            — Admin login (returns JWT, or a 2FA challenge)
+ *   POST   /api/v1/admin/login/2fa        — Second login step (authenticator or recovery code)
+ *   POST   /api/v1/admin/session/refresh  — New access token from the refresh cookie (rotates it)
+ *   POST   /api/v1/admin/session/logout   — Sign out this browser (clears the cookies)
+ *   POST   /api/v1/admin/password/forgot  — Email a password reset link
+ *   POST   /api/v1/admin/password/set     — Set a password from an invite/reset link
+ *   GET    /api/v1/admin/me               — Get current admin info (incl. permissions, 2FA)
+ *   POST   /api/v1/admin/me/password      — Change my password (signs out other sessions)
+ *   POST   /api/v1/admin/me/logout-all    — Sign out every session ("log out everywhere")
+ *   GET    /api/v1/admin/stats            — Dashboard statistics (incl. net margin)
+ *   GET    /api/v1/admin/contacts         — List contact messages (?status, ?q search, ?from/to,
+ *                                            ?sort/order, ?cursor — see utils/listQuery.js)
+ *   PATCH  /api/v1/admin/contacts/bulk    — Set the status of many contacts (ids or filter)
+ *   POST   /api/v1/admin/contacts/bulk-delete — Delete many contact messages
  *   PATCH  /api/v1/admin/contacts/:id     — Update contact status
  *   DELETE /api/v1/admin/contacts/:id     — Delete a contact message
- *   GET    /api/v1/admin/registrations    — List registrations
+ *   GET    /api/v1/admin/registrations    — List registrations (?game, ?mode, ?status, ?q search,
+ *                                            ?from/to, ?sort/order, ?cursor)
+ *   GET    /api/v1/admin/registrations/export — Download as CSV or Excel (one row per player)
+ *   GET    /api/v1/admin/registrations/:id/screenshot — Payment screenshot (image)
+ *   PATCH  /api/v1/admin/registrations/bulk — Approve/reject many registrations (ids or filter)
  *   PATCH  /api/v1/admin/registrations/:id — Update registration status
+ *                                            (approval records verifiedBy/At)
+ *   POST   /api/v1/admin/registrations/:id/refund — Record a refund sent
  *
  * Security:
- *   - JWT token required in Authorization header for all protected routes
- *   - Token format: "Bearer <token>"
- *   - Tokens expire after 7 days
+ *   - Protected routes take the access token from the dashboard's httpOnly
+ *     cookie or from the Authorization header ("Bearer <token>", scripts)
+ *   - Cookie requests that change something need the X-CSRF-Token header
+ *     (csrfToken from login / refresh) — see utils/adminSession.js
+ *   - Each route also requires a permission of the admin's role
+ *     (utils/permissions.js); GET /me lists the current admin's permissions
+ *   - Access tokens expire after 15 minutes (ADMIN_ACCESS_TOKEN_TTL); the
+ *     dashboard renews them with its rotating refresh cookie
+ *   - Tokens carry the admin's tokenVersion — a password change or
+ *     "log out everywhere" revokes every earlier token and session
+ *   - Logins (also failed ones) and every change are written to the audit
+ *     log (utils/auditLog.js)
+ *   - Bulk actions report the outcome of every selected item
+ *     (utils/bulkActions.js)
+ *   - Re-admitting a rejected entry takes a tournament slot again and is
+ *     refused when the tournament is full; rejecting or refunding an entry
+ *     gives its slot back (Tournament.reserveSlot / releaseSlots)
  * ============================================================================
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult, query } = require('express-validator');
 const Admin = require('../models/Admin');
 const Contact = require('../models/Contact');
 const Registration = require('../models/Registration');
-const { protect } = require('../middleware/authMiddleware');
+const Tournament = require('../models/Tournament');
+const Payout = require('../models/Payout');
+const SecurityConfig = require('../models/SecurityConfig');
+const { sendLateRoomEmail } = require('../utils/roomDelivery');
+const storage = require('../utils/storage');
+const { permissionsFor } = require('../utils/permissions');
+const { isSetupRequired, consumeSetupToken, prepareSetup } = require('../utils/adminSetup');
+const { sendPasswordLink } = require('../utils/adminPasswordLink');
+const { startSession, refreshSession, endSession, endAllSessions, clearSessionCookies } = require('../utils/adminSession');
+const { recordAudit, recordAuditMany, snapshot } = require('../utils/auditLog');
+const { FORMATS: EXPORT_FORMATS, exportFileName, streamRegistrationExport } = require('../utils/registrationExport');
+const { bulkSelectionRules, selectBulkTargets, applyBulkStatus, bulkReport } = require('../utils/bulkActions');
+const { registrationSearch, contactSearch } = require('../utils/search');
+const { dateRange, parseListQuery, findPage } = require('../utils/listQuery');
+const { protect, protectAccount, authorize } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -48,13 +95,221 @@ const loginLimiter = rateLimit({
 });
 
 /**
- * Generate a JWT token for an admin user.
- * Token contains the admin's MongoDB _id and expires in 7 days.
+ * Short-lived token proving the password step passed, exchanged for a
+ * real token at POST /login/2fa. protect() never accepts it.
  */
-function generateToken(adminId) {
-  return jwt.sign({ id: adminId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+function generateChallengeToken(admin) {
+  return jwt.sign({ id: admin._id, tv: admin.tokenVersion, type: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
 }
 
+/**
+ * Audit a refused login. Nobody is signed in, so the actor is just the
+ * email that was tried; `admin` is null when that email is unknown.
+ */
+function auditFailedLogin(req, admin, email, reason) {
+  return recordAudit(req, {
+    action: 'admin.login_failed',
+    actor: null,
+    actorEmail: email,
+    target: admin,
+    details: { reason },
+  });
+}
+
+const REGISTRATION_STATUSES_EDITABLE = ['pending', 'approved', 'rejected'];
+const CONTACT_STATUSES = ['new', 'read', 'replied'];
+
+// Columns the lists can be sorted by, and their types (utils/listQuery.js)
+const REGISTRATION_SORT_FIELDS = { createdAt: 'date', entryFee: 'number', status: 'string', teamName: 'string' };
+const CONTACT_SORT_FIELDS = { createdAt: 'date', status: 'string', name: 'string' };
+
+// from/to on the lists and the export
+const dateRangeRules = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('Dates must look like YYYY-MM-DD.'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('Dates must look like YYYY-MM-DD.'),
+];
+
+/**
+ * Does moving the registration to `status` take a slot it does not hold
+ * (a rejected entry set back to pending/approved)?
+ */
+function takesSlot(registration, status) {
+  const holding = Tournament.SLOT_HOLDING_STATUSES;
+  return Boolean(registration.tournament) && !holding.includes(registration.status) && holding.includes(status);
+}
+
+/**
+ * Does moving the registration to `status` free the slot it holds?
+ */
+function freesSlot(registration, status) {
+  const holding = Tournament.SLOT_HOLDING_STATUSES;
+  return Boolean(registration.tournament) && holding.includes(registration.status) && !holding.includes(status);
+}
+
+/**
+ * Give back the slots of several registrations, one update per tournament.
+ * Older registrations without a tournament hold no slot and are skipped.
+ *
+ * @param {Document[]} registrations
+ */
+async function releaseSlotsOf(registrations) {
+  const counts = new Map();
+  for (const reg of registrations) {
+    if (!reg.tournament) continue;
+    const id = String(reg.tournament._id || reg.tournament);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  await Promise.all([...counts].map(([id, count]) => Tournament.releaseSlots(id, count)));
+}
+
+/**
+ * Contact filter from the status, q (search) and from/to query params
+ * (list and bulk actions).
+ */
+function contactFilter({ status, q, from, to }) {
+  const filter = contactSearch(q);
+  if (status && CONTACT_STATUSES.includes(status)) filter.status = status;
+  const createdAt = dateRange(from, to);
+  if (createdAt) filter.createdAt = createdAt;
+  return filter;
+}
+
+/**
+ * Registration filter from the game/mode/status, q (search) and from/to
+ * query params (shared by the list, the export and bulk actions). Unknown
+ * values are ignored.
+ */
+function registrationFilter({ game, mode, status, q, from, to }) {
+  const filter = registrationSearch(q);
+  const createdAt = dateRange(from, to);
+  if (createdAt) filter.createdAt = createdAt;
+  if (game && ['pubg', 'freefire', 'cod'].includes(game)) filter.game = game;
+  if (mode && ['solo', 'duo', 'squad'].includes(mode)) filter.mode = mode;
+  if (status && Registration.STATUSES.includes(status)) filter.status = status;
+  return filter;
+}
+
+/**
+ * Admin details for the dashboard (login, /me).
+ */
+async function adminProfile(admin) {
+  const { requireTwoFactor } = await SecurityConfig.getSettings();
+  return {
+    id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    permissions: permissionsFor(admin.role),
+    twoFactorEnabled: admin.twoFactorEnabled,
+    twoFactorSetupRequired: requireTwoFactor && !admin.twoFactorEnabled,
+    lastLogin: admin.lastLogin,
+  };
+}
+
+/**
+ * Finish a successful login: record it, start a cookie session and send
+ * the access token (for scripts) and CSRF token (for the dashboard).
+ *
+ * @param {string} method - password | totp | recovery (for the audit log)
+ */
+async function completeLogin(admin, req, res, method, extra = {}) {
+  admin.lastLogin = new Date();
+  await admin.save();
+
+  const { token, csrfToken } = await startSession(admin, req, res);
+
+  console.log(`🔑 Admin login: ${admin.email}`);
+  await recordAudit(req, { action: 'admin.login', actor: admin, target: admin, details: { method } });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: { token, csrfToken, admin: await adminProfile(admin), ...extra },
+  });
+}
+
+
+/* ========================================================================
+   GET /setup — Is First-Run Setup Needed?
+   ======================================================================== */
+
+router.get('/setup', async (req, res) => {
+  try {
+    res.json({ success: true, data: { required: await isSetupRequired() } });
+  } catch (error) {
+    console.error('🔴 Admin setup check error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to check setup.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /setup — Create the First Superadmin
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "token": "<setup token from the server log>", "name": "...",
+ *     "email": "...", "password": "..." }
+ * Only works while no admin exists; the token works once (utils/adminSetup.js).
+ */
+router.post(
+  '/setup',
+  loginLimiter,
+  [
+    body('token').trim().notEmpty().withMessage('Setup token is required'),
+    body('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('email').trim().notEmpty().withMessage('Email is required').isEmail().withMessage('Invalid email').toLowerCase(),
+    body('password')
+      .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+      .isLength({ max: 128 }).withMessage('Password cannot exceed 128 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      if (!(await isSetupRequired())) {
+        return res.status(409).json({ success: false, message: 'Setup is already complete. Please sign in.' });
+      }
+
+      if (!consumeSetupToken(req.body.token)) {
+        return res.status(403).json({ success: false, message: 'Invalid setup token.' });
+      }
+
+      const { name, email, password } = req.body;
+      let admin;
+      try {
+        admin = await Admin.create({ name, email, password, role: 'superadmin' });
+      } catch (createError) {
+        // The token is spent — print a fresh one so setup can be retried
+        prepareSetup().catch(err => console.warn('⚠️ Admin setup check failed:', err.message));
+        throw createError;
+      }
+
+      console.log(`🎉 First superadmin created: ${admin.email}`);
+      await recordAudit(req, { action: 'admin.setup', actor: admin, target: admin, after: snapshot(admin) });
+
+      res.status(201).json({
+        success: true,
+        message: 'Admin account created. You can now sign in.',
+        data: { email: admin.email },
+      });
+    } catch (error) {
+      console.error('🔴 Admin setup error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to create the admin account.' });
+    }
+  }
+);
+
 
 /* ========================================================================
    POST /login — Admin Login
@@ -84,6 +339,7 @@ router.post(
       const admin = await Admin.findOne({ email }).select('+password');
 
       if (!admin) {
+        await auditFailedLogin(req, null, email, 'unknown_email');
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password.',
@@ -93,37 +349,224 @@ router.post(
       // Compare password with stored hash
       const isMatch = await admin.comparePassword(password);
       if (!isMatch) {
+        await auditFailedLogin(req, admin, email, 'wrong_password');
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password.',
         });
       }
 
-      // Update last login time
-      admin.lastLogin = new Date();
-      await admin.save();
+      if (!admin.active) {
+        await auditFailedLogin(req, admin, email, 'deactivated');
+        return res.status(403).json({
+          success: false,
+          message: 'This admin account has been deactivated.',
+        });
+      }
+
+      // Password is right — 2FA admins still need their second factor
+      if (admin.twoFactorEnabled) {
+        return res.json({
+          success: true,
+          message: 'Enter the code from your authenticator app.',
+          data: { twoFactorRequired: true, challengeToken: generateChallengeToken(admin) },
+        });
+      }
+
+      await completeLogin(admin, req, res, 'password');
+    } catch (error) {
+      console.error('🔴 Admin login error:', error.message);
+      res.status(500).json({ success: false, message: 'Login failed. Please try again.' });
+    }
+  }
+);
+
 
-      // Generate JWT token
-      const token = generateToken(admin._id);
+/* ========================================================================
+   POST /login/2fa — Second Login Step
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "challengeToken": "<from /login>", "code": "123456" }
+ * "code" may also be one of the admin's recovery codes (each works once).
+ */
+router.post(
+  '/login/2fa',
+  loginLimiter,
+  [
+    body('challengeToken').notEmpty().withMessage('Please sign in again.'),
+    body('code').trim().notEmpty().withMessage('Enter the code from your authenticator app'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
 
-      console.log(`🔑 Admin login: ${admin.email}`);
+      let challenge;
+      try {
+        challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+      } catch (tokenError) {
+        challenge = null;
+      }
+
+      const admin = challenge?.type === '2fa'
+        ? await Admin.findById(challenge.id).select(Admin.TWO_FACTOR_FIELDS)
+        : null;
+
+      if (!admin || !admin.active || challenge.tv !== admin.tokenVersion) {
+        return res.status(401).json({ success: false, message: 'Sign-in expired. Please enter your password again.' });
+      }
+
+      const method = admin.verifySecondFactor(req.body.code);
+      if (!method) {
+        await auditFailedLogin(req, admin, admin.email, 'invalid_2fa_code');
+        return res.status(401).json({ success: false, message: 'Invalid code.' });
+      }
+
+      if (method === 'recovery') {
+        console.log(`🛡️ Recovery code used by ${admin.email} (${admin.twoFactorRecoveryCodes.length} left)`);
+        return completeLogin(admin, req, res, method, { recoveryCodesLeft: admin.twoFactorRecoveryCodes.length });
+      }
+
+      await completeLogin(admin, req, res, method);
+    } catch (error) {
+      console.error('🔴 Admin 2FA login error:', error.message);
+      res.status(500).json({ success: false, message: 'Login failed. Please try again.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /session/refresh — Renew the Access Token
+   ======================================================================== */
+
+/**
+ * Uses the httpOnly refresh cookie (no body). Sets a new access cookie and
+ * a new refresh cookie. The dashboard calls this on page load and whenever
+ * a request gets 401.
+ */
+router.post('/session/refresh', async (req, res) => {
+  try {
+    const session = await refreshSession(req, res);
+    if (!session) {
+      clearSessionCookies(res);
+      return res.status(401).json({ success: false, message: 'Session ended. Please login again.' });
+    }
+
+    res.json({
+      success: true,
+      data: { csrfToken: session.csrfToken, admin: await adminProfile(session.admin) },
+    });
+  } catch (error) {
+    console.error('🔴 Admin session refresh error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to refresh session.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /session/logout — Sign Out This Browser
+   ======================================================================== */
+
+router.post('/session/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.json({ success: true, message: 'Signed out.' });
+  } catch (error) {
+    console.error('🔴 Admin logout error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to sign out.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /password/forgot — Email a Password Reset Link
+   ======================================================================== */
+
+/**
+ * Request body: { "email": "..." }
+ * Always answers the same way, so it cannot be used to find admin emails.
+ * The current password keeps working until the link is used.
+ */
+router.post(
+  '/password/forgot',
+  loginLimiter,
+  [
+    body('email').trim().notEmpty().withMessage('Email is required').isEmail().withMessage('Invalid email').toLowerCase(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const admin = await Admin.findOne({ email: req.body.email, active: true });
+      if (admin) {
+        await sendPasswordLink(admin, 'forgot');
+        console.log(`🔑 Password reset link requested: ${admin.email}`);
+        await recordAudit(req, { action: 'admin.password_forgot', actor: null, target: admin });
+      }
 
       res.json({
         success: true,
-        message: 'Login successful',
-        data: {
-          token,
-          admin: {
-            id: admin._id,
-            name: admin.name,
-            email: admin.email,
-            role: admin.role,
-          },
-        },
+        message: 'If that email belongs to an admin, a reset link is on its way.',
       });
     } catch (error) {
-      console.error('🔴 Admin login error:', error.message);
-      res.status(500).json({ success: false, message: 'Login failed. Please try again.' });
+      console.error('🔴 Forgot password error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to send reset link.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /password/set — Set a Password From an Invite / Reset Link
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "token": "<from the link>", "password": "new password" }
+ * The link works once and signs out every existing session. Links come
+ * from utils/adminPasswordLink.js.
+ */
+router.post(
+  '/password/set',
+  loginLimiter,
+  [
+    body('token').trim().notEmpty().withMessage('The link is invalid or has expired.'),
+    body('password')
+      .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+      .isLength({ max: 128 }).withMessage('Password cannot exceed 128 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const admin = await Admin.findByPasswordToken(req.body.token);
+      if (!admin) {
+        return res.status(400).json({ success: false, message: 'The link is invalid or has expired.' });
+      }
+
+      admin.password = req.body.password;
+      admin.passwordToken = null;
+      admin.passwordTokenExpires = null;
+      await admin.save();
+
+      console.log(`🔑 Password set from link: ${admin.email}`);
+      await recordAudit(req, { action: 'admin.password_set', actor: admin, target: admin });
+
+      res.json({ success: true, message: 'Password saved. You can now sign in.', data: { email: admin.email } });
+    } catch (error) {
+      console.error('🔴 Set admin password error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to set password.' });
     }
   }
 );
@@ -133,17 +576,96 @@ router.post(
    GET /me — Get Current Admin Info
    ======================================================================== */
 
-router.get('/me', protect, (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      id: req.admin._id,
-      name: req.admin.name,
-      email: req.admin.email,
-      role: req.admin.role,
-      lastLogin: req.admin.lastLogin,
-    },
-  });
+router.get('/me', protectAccount, async (req, res) => {
+  try {
+    res.json({ success: true, data: await adminProfile(req.admin) });
+  } catch (error) {
+    console.error('🔴 Admin profile error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load profile.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /me/password — Change My Password
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "currentPassword": "...", "newPassword": "..." }
+ * Every other session is signed out; the response carries a fresh token
+ * for this one.
+ */
+router.post(
+  '/me/password',
+  protectAccount,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+      .isLength({ max: 128 }).withMessage('New password cannot exceed 128 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const admin = await Admin.findById(req.admin._id).select('+password');
+      if (!(await admin.comparePassword(req.body.currentPassword))) {
+        return res.status(400).json({ success: false, message: 'Current password is incorrect.' });
+      }
+
+      if (req.body.currentPassword === req.body.newPassword) {
+        return res.status(400).json({ success: false, message: 'The new password must be different.' });
+      }
+
+      // The pre-save hook bumps tokenVersion, revoking every older token
+      admin.password = req.body.newPassword;
+      admin.passwordToken = null;
+      admin.passwordTokenExpires = null;
+      await admin.save();
+
+      // Keep this browser signed in on a fresh session
+      await endAllSessions(admin._id);
+      const { token, csrfToken } = await startSession(admin, req, res);
+
+      console.log(`🔑 Password changed: ${admin.email}`);
+      await recordAudit(req, { action: 'admin.password_change', target: admin });
+
+      res.json({
+        success: true,
+        message: 'Password changed. Other sessions have been signed out.',
+        data: { token, csrfToken },
+      });
+    } catch (error) {
+      console.error('🔴 Change password error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to change password.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /me/logout-all — Sign Out Every Session
+   ======================================================================== */
+
+router.post('/me/logout-all', protectAccount, async (req, res) => {
+  try {
+    req.admin.revokeSessions();
+    await req.admin.save();
+    await endAllSessions(req.admin._id);
+    clearSessionCookies(res);
+
+    console.log(`🚪 All sessions signed out: ${req.admin.email}`);
+    await recordAudit(req, { action: 'admin.logout_all', target: req.admin });
+
+    res.json({ success: true, message: 'Signed out everywhere.' });
+  } catch (error) {
+    console.error('🔴 Logout everywhere error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to sign out sessions.' });
+  }
 });
 
 
@@ -151,7 +673,44 @@ router.get('/me', protect, (req, res) => {
    GET /stats — Dashboard Statistics
    ======================================================================== */
 
-router.get('/stats', protect, async (req, res) => {
+// Number of recent weeks included in the weekly margin breakdown
+const MARGIN_WEEKS = 12;
+
+/**
+ * Sum a money field grouped by game and by week (Monday start, IST).
+ *
+ * @param {Model} Model - Registration or Payout
+ * @param {Object} match - Documents to include
+ * @param {string} amountField - Field holding the ₹ amount
+ * @param {string} dateField - Field used to bucket into weeks
+ * @returns {Promise<{ byGame: Object, byWeek: Object }>} - keyed by game / week ISO date
+ */
+async function sumByGameAndWeek(Model, match, amountField, dateField) {
+  const since = new Date(Date.now() - MARGIN_WEEKS * 7 * 24 * 60 * 60 * 1000);
+
+  const [games, weeks] = await Promise.all([
+    Model.aggregate([
+      { $match: match },
+      { $group: { _id: '$game', total: { $sum: `$${amountField}` } } },
+    ]),
+    Model.aggregate([
+      { $match: { ...match, [dateField]: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: `$${dateField}`, unit: 'week', startOfWeek: 'monday', timezone: 'Asia/Kolkata' } },
+          total: { $sum: `$${amountField}` },
+        },
+      },
+    ]),
+  ]);
+
+  return {
+    byGame: Object.fromEntries(games.map(g => [g._id, g.total])),
+    byWeek: Object.fromEntries(weeks.map(w => [w._id.toISOString(), w.total])),
+  };
+}
+
+router.get('/stats', protect, authorize('stats:view'), async (req, res) => {
   try {
     // Run all count queries in parallel
     const [
@@ -179,6 +738,35 @@ router.get('/stats', protect, async (req, res) => {
     const approvedRegs = await Registration.find({ status: 'approved' }, 'entryFee');
     const totalRevenue = approvedRegs.reduce((sum, r) => sum + (r.entryFee || 0), 0);
 
+    // Net margin = entry revenue − prize money paid out.
+    // Revenue is bucketed by registration date, payouts by the date paid.
+    const [revenueSums, payoutSums, pendingPayouts] = await Promise.all([
+      sumByGameAndWeek(Registration, { status: 'approved' }, 'entryFee', 'createdAt'),
+      sumByGameAndWeek(Payout, { status: 'paid' }, 'amount', 'paidAt'),
+      Payout.aggregate([
+        { $match: { status: { $in: ['pending', 'failed'] } } },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const totalPaidOut = Object.values(payoutSums.byGame).reduce((sum, v) => sum + v, 0);
+
+    const marginByGame = {};
+    ['pubg', 'freefire', 'cod'].forEach(game => {
+      const revenue = revenueSums.byGame[game] || 0;
+      const payouts = payoutSums.byGame[game] || 0;
+      marginByGame[game] = { revenue, payouts, net: revenue - payouts };
+    });
+
+    const marginByWeek = [...new Set([...Object.keys(revenueSums.byWeek), ...Object.keys(payoutSums.byWeek)])]
+      .sort()
+      .reverse()
+      .map(week => {
+        const revenue = revenueSums.byWeek[week] || 0;
+        const payouts = payoutSums.byWeek[week] || 0;
+        return { week, revenue, payouts, net: revenue - payouts };
+      });
+
     res.json({
       success: true,
       data: {
@@ -194,6 +782,16 @@ router.get('/stats', protect, async (req, res) => {
           },
         },
         revenue: totalRevenue,
+        payouts: {
+          paid: totalPaidOut,
+          outstanding: pendingPayouts[0]?.total || 0,
+          outstandingCount: pendingPayouts[0]?.count || 0,
+        },
+        margin: {
+          net: totalRevenue - totalPaidOut,
+          byGame: marginByGame,
+          byWeek: marginByWeek,
+        },
       },
     });
   } catch (error) {
@@ -207,35 +805,19 @@ router.get('/stats', protect, async (req, res) => {
    GET /contacts — List Contact Messages
    ======================================================================== */
 
-router.get('/contacts', protect, async (req, res) => {
+router.get('/contacts', protect, authorize('contacts:view'), dateRangeRules, async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build filter
-    const filter = {};
-    if (status && ['new', 'read', 'replied'].includes(status)) {
-      filter.status = status;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: errors.array()[0].msg });
     }
 
-    const [contacts, total] = await Promise.all([
-      Contact.find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Contact.countDocuments(filter),
-    ]);
+    const list = parseListQuery(req.query, CONTACT_SORT_FIELDS);
+    if (list.error) return res.status(400).json({ success: false, message: list.error });
 
-    res.json({
-      success: true,
-      data: contacts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-      },
-    });
+    const { docs, pagination } = await findPage(Contact, contactFilter(req.query), list);
+
+    res.json({ success: true, data: docs, pagination });
   } catch (error) {
     console.error('🔴 Contacts list error:', error.message);
     res.status(500).json({ success: false, message: 'Failed to load contacts.' });
@@ -243,31 +825,124 @@ router.get('/contacts', protect, async (req, res) => {
 });
 
 
+/* ========================================================================
+   PATCH /contacts/bulk — Update Many Contacts
+   ======================================================================== */
+
+/**
+ * Body: { ids: [...] } or { filter: { status, q } }, plus { status }
+ * Answers with a per-contact report (utils/bulkActions.js).
+ */
+router.patch(
+  '/contacts/bulk',
+  protect,
+  authorize('contacts:update'),
+  [
+    ...bulkSelectionRules('contacts'),
+    body('status')
+      .isIn(CONTACT_STATUSES).withMessage('Status must be: new, read, or replied'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const { docs, missingIds, error } = await selectBulkTargets(Contact, req.body, contactFilter);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const { report } = await applyBulkStatus(req, {
+        Model: Contact,
+        docs,
+        missingIds,
+        status: req.body.status,
+        fromStatuses: CONTACT_STATUSES,
+        action: 'contact.update',
+      });
+
+      res.json({ success: true, data: report });
+    } catch (error) {
+      console.error('🔴 Contact bulk update error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to update contacts.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /contacts/bulk-delete — Delete Many Contacts
+   ======================================================================== */
+
+/**
+ * Body: { ids: [...] } or { filter: { status, q } }
+ */
+router.post(
+  '/contacts/bulk-delete',
+  protect,
+  authorize('contacts:delete'),
+  bulkSelectionRules('contacts'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const { docs, missingIds, error } = await selectBulkTargets(Contact, req.body, contactFilter);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      if (docs.length) await Contact.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+
+      await recordAuditMany(req, docs.map(doc => ({
+        action: 'contact.delete',
+        target: doc,
+        before: snapshot(doc),
+        details: { bulk: true },
+      })));
+
+      res.json({
+        success: true,
+        data: bulkReport([
+          ...missingIds.map(id => ({ id, outcome: 'not_found', message: 'Not found' })),
+          ...docs.map(doc => ({ id: String(doc._id), outcome: 'deleted', message: 'Deleted' })),
+        ]),
+      });
+    } catch (error) {
+      console.error('🔴 Contact bulk delete error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to delete contacts.' });
+    }
+  }
+);
+
+
 /* ========================================================================
    PATCH /contacts/:id — Update Contact Status
    ======================================================================== */
 
-router.patch('/contacts/:id', protect, async (req, res) => {
+router.patch('/contacts/:id', protect, authorize('contacts:update'), async (req, res) => {
   try {
     const { status } = req.body;
 
-    if (!status || !['new', 'read', 'replied'].includes(status)) {
+    if (!status || !CONTACT_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Status must be: new, read, or replied',
       });
     }
 
-    const contact = await Contact.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    );
+    const contact = await Contact.findById(req.params.id);
 
     if (!contact) {
       return res.status(404).json({ success: false, message: 'Contact not found.' });
     }
 
+    const before = snapshot(contact);
+    contact.status = status;
+    await contact.save();
+
+    await recordAudit(req, { action: 'contact.update', target: contact, before, after: snapshot(contact) });
+
     res.json({ success: true, data: contact });
   } catch (error) {
     console.error('🔴 Contact update error:', error.message);
@@ -280,7 +955,7 @@ router.patch('/contacts/:id', protect, async (req, res) => {
    DELETE /contacts/:id — Delete Contact Message
    ======================================================================== */
 
-router.delete('/contacts/:id', protect, async (req, res) => {
+router.delete('/contacts/:id', protect, authorize('contacts:delete'), async (req, res) => {
   try {
     const contact = await Contact.findByIdAndDelete(req.params.id);
 
@@ -288,6 +963,8 @@ router.delete('/contacts/:id', protect, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Contact not found.' });
     }
 
+    await recordAudit(req, { action: 'contact.delete', target: contact, before: snapshot(contact) });
+
     res.json({ success: true, message: 'Contact deleted.' });
   } catch (error) {
     console.error('🔴 Contact delete error:', error.message);
@@ -300,35 +977,21 @@ router.delete('/contacts/:id', protect, async (req, res) => {
    GET /registrations — List Registrations
    ======================================================================== */
 
-router.get('/registrations', protect, async (req, res) => {
+router.get('/registrations', protect, authorize('registrations:view'), dateRangeRules, async (req, res) => {
   try {
-    const { game, mode, status, page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build filter from query params
-    const filter = {};
-    if (game && ['pubg', 'freefire', 'cod'].includes(game)) filter.game = game;
-    if (mode && ['solo', 'duo', 'squad'].includes(mode)) filter.mode = mode;
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) filter.status = status;
-
-    const [registrations, total] = await Promise.all([
-      Registration.find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Registration.countDocuments(filter),
-    ]);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: errors.array()[0].msg });
+    }
 
-    res.json({
-      success: true,
-      data: registrations,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-      },
-    });
+    const list = parseListQuery(req.query, REGISTRATION_SORT_FIELDS);
+    if (list.error) return res.status(400).json({ success: false, message: list.error });
+
+    const { docs, pagination } = await findPage(Registration, registrationFilter(req.query), list, query => query
+      .populate('verifiedBy', 'name email')
+      .populate('refund.refundedBy', 'name email'));
+
+    res.json({ success: true, data: docs, pagination });
   } catch (error) {
     console.error('🔴 Registrations list error:', error.message);
     res.status(500).json({ success: false, message: 'Failed to load registrations.' });
@@ -336,32 +999,238 @@ router.get('/registrations', protect, async (req, res) => {
 });
 
 
+/* ========================================================================
+   GET /registrations/export — Download Registrations (CSV / Excel)
+   ======================================================================== */
+
+/**
+ * Match-day sheet: one row per player (team name, IGN, in-game ID, phone).
+ * Takes the same game/mode/status/q/from/to filters as GET /registrations, plus
+ * format=csv (default) or xlsx. Streamed — see utils/registrationExport.js.
+ */
+router.get('/registrations/export', protect, authorize('registrations:view'), dateRangeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: errors.array()[0].msg });
+    }
+
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be csv or xlsx.' });
+    }
+
+    const filter = registrationFilter(req.query);
+    const cursor = Registration.find(filter)
+      .sort({ tournament: 1, createdAt: 1 })
+      .select('tournament game mode status teamName players')
+      .populate('tournament', 'title')
+      .lean()
+      .cursor();
+
+    const rows = await streamRegistrationExport(res, cursor, {
+      format,
+      fileName: exportFileName(format, filter),
+    });
+
+    // Player phone numbers left the system — worth a trace
+    await recordAudit(req, {
+      action: 'registration.export',
+      targetModel: 'Registration',
+      details: {
+        format,
+        filter: {
+          game: filter.game,
+          mode: filter.mode,
+          status: filter.status,
+          q: req.query.q,
+          from: req.query.from,
+          to: req.query.to,
+        },
+        rows,
+        cancelled: res.destroyed && !res.writableFinished,
+      },
+    });
+  } catch (error) {
+    console.error('🔴 Registrations export error:', error.message);
+    // Part of the file may already be sent; all we can do then is cut it off
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ success: false, message: 'Failed to export registrations.' });
+  }
+});
+
+
+/* ========================================================================
+   GET /registrations/:id/screenshot — Payment Screenshot
+   ======================================================================== */
+
+router.get('/registrations/:id/screenshot', protect, authorize('registrations:view'), async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id).select('paymentScreenshot');
+
+    if (!registration?.paymentScreenshot) {
+      return res.status(404).json({ success: false, message: 'No screenshot for this registration.' });
+    }
+
+    const { key, mimetype } = registration.paymentScreenshot;
+    const stream = storage.createReadStream(key);
+
+    stream.on('error', (err) => {
+      console.error('🔴 Screenshot read error:', err.message);
+      if (!res.headersSent) res.status(404).json({ success: false, message: 'Screenshot file is missing.' });
+      else res.destroy();
+    });
+
+    res.set({
+      'Content-Type': mimetype,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('🔴 Screenshot error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load screenshot.' });
+  }
+});
+
+
+/* ========================================================================
+   PATCH /registrations/bulk — Update Many Registrations
+   ======================================================================== */
+
+/**
+ * Body: { ids: [...] } or { filter: { game, mode, status, q } }, plus { status }
+ * Same rules as PATCH /registrations/:id for each entry (withdrawn and
+ * refund entries are skipped); answers with a per-entry report.
+ */
+router.patch(
+  '/registrations/bulk',
+  protect,
+  authorize('registrations:approve'),
+  [
+    ...bulkSelectionRules('registrations'),
+    body('status')
+      .isIn(REGISTRATION_STATUSES_EDITABLE).withMessage('Status must be: pending, approved, or rejected'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const { docs, missingIds, error } = await selectBulkTargets(Registration, req.body, registrationFilter);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const { status } = req.body;
+      const verification = status === 'approved'
+        ? { verifiedBy: req.admin._id, verifiedAt: new Date() }
+        : { verifiedBy: null, verifiedAt: null };
+
+      const { report, updatedDocs } = await applyBulkStatus(req, {
+        Model: Registration,
+        docs,
+        missingIds,
+        status,
+        update: verification,
+        fromStatuses: REGISTRATION_STATUSES_EDITABLE,
+        skipMessage: reg => `${reg.status.replace('_', ' ')} — record a refund instead`,
+        reserve: async reg => (!takesSlot(reg, status) || await Tournament.reserveSlot(reg.tournament) ? null : 'Tournament is full'),
+        release: regs => releaseSlotsOf(regs.filter(reg => takesSlot(reg, status))),
+        action: 'registration.update',
+      });
+
+      // Rejected entries give their slots back
+      if (!Tournament.SLOT_HOLDING_STATUSES.includes(status)) await releaseSlotsOf(updatedDocs);
+
+      console.log(`📋 ${report.updated} registration(s) → ${status} by ${req.admin.email} (bulk)`);
+
+      // Late approvals still get the room email if it already went out (non-blocking)
+      updatedDocs.forEach(reg => {
+        sendLateRoomEmail(reg).catch(err => console.warn('⚠️ Room email for late approval failed:', err.message));
+      });
+
+      res.json({ success: true, data: report });
+    } catch (error) {
+      console.error('🔴 Registration bulk update error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to update registrations.' });
+    }
+  }
+);
+
+
 /* ========================================================================
    PATCH /registrations/:id — Update Registration Status
    ======================================================================== */
 
-router.patch('/registrations/:id', protect, async (req, res) => {
+router.patch('/registrations/:id', protect, authorize('registrations:approve'), async (req, res) => {
   try {
     const { status } = req.body;
 
-    if (!status || !['pending', 'approved', 'rejected'].includes(status)) {
+    if (!status || !REGISTRATION_STATUSES_EDITABLE.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Status must be: pending, approved, or rejected',
       });
     }
 
-    const registration = await Registration.findByIdAndUpdate(
-      req.params.id,
-      { status },
+    const current = mongoose.isValidObjectId(req.params.id) ? await Registration.findById(req.params.id) : null;
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'Registration not found.' });
+    }
+
+    // Withdrawn/refund entries are handled by the refund actions
+    if (!REGISTRATION_STATUSES_EDITABLE.includes(current.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `This registration is ${current.status.replace('_', ' ')} — record a refund instead.`,
+      });
+    }
+
+    // Approval is the payment check — record who did it and when
+    const verification = status === 'approved'
+      ? { verifiedBy: req.admin._id, verifiedAt: new Date() }
+      : { verifiedBy: null, verifiedAt: null };
+
+    // Re-admitting a rejected entry needs a free slot
+    const reserved = takesSlot(current, status);
+    if (reserved && !await Tournament.reserveSlot(current.tournament)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The tournament is full — free a slot before re-admitting this entry.',
+      });
+    }
+
+    // Only if nobody changed it meanwhile, so a slot is never taken or freed twice
+    const registration = await Registration.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      { status, ...verification },
       { new: true, runValidators: true }
-    );
+    ).populate('verifiedBy', 'name email');
 
     if (!registration) {
-      return res.status(404).json({ success: false, message: 'Registration not found.' });
+      if (reserved) await Tournament.releaseSlots(current.tournament);
+      return res.status(409).json({
+        success: false,
+        message: 'This registration was just changed by someone else. Reload and try again.',
+      });
     }
 
-    console.log(`📋 Registration ${registration._id} → ${status}`);
+    if (freesSlot(current, status)) await Tournament.releaseSlots(current.tournament);
+
+    console.log(`📋 Registration ${registration._id} → ${status} by ${req.admin.email}`);
+    await recordAudit(req, {
+      action: 'registration.update',
+      target: registration,
+      before: snapshot(current),
+      after: snapshot(registration),
+    });
+
+    // Late approval: the room email already went out to the other teams,
+    // so send this team its copy now (non-blocking)
+    sendLateRoomEmail(registration)
+      .catch(err => console.warn('⚠️ Room email for late approval failed:', err.message));
+
     res.json({ success: true, data: registration });
   } catch (error) {
     console.error('🔴 Registration update error:', error.message);
@@ -370,4 +1239,101 @@ router.patch('/registrations/:id', protect, async (req, res) => {
 });
 
 
+/* ========================================================================
+   POST /registrations/:id/refund — Record a Refund
+   ======================================================================== */
+
+/**
+ * Body: { referenceNumber, amount, note }
+ *   - amount: ₹ sent back (empty = the full entry fee)
+ * Works for withdrawn, refund-pending, approved and rejected entries.
+ * Refunding an approved entry frees its slot.
+ */
+router.post(
+  '/registrations/:id/refund',
+  protect,
+  authorize('refunds:manage'),
+  [
+    body('referenceNumber')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Reference number cannot exceed 100 characters'),
+
+    body('amount')
+      .optional({ nullable: true, checkFalsy: true })
+      .isFloat({ min: 0 }).withMessage('Refund amount must be 0 or more'),
+
+    body('note')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const registration = mongoose.isValidObjectId(req.params.id) ? await Registration.findById(req.params.id) : null;
+      if (!registration) {
+        return res.status(404).json({ success: false, message: 'Registration not found.' });
+      }
+
+      if (!Registration.REFUNDABLE_STATUSES.includes(registration.status)) {
+        return res.status(409).json({
+          success: false,
+          message: registration.status === 'refunded'
+            ? 'This registration has already been refunded.'
+            : 'Approve or reject the registration before refunding it.',
+        });
+      }
+
+      const amount = req.body.amount ? Number(req.body.amount) : null;
+      if (amount !== null && amount > registration.entryFee) {
+        return res.status(400).json({ success: false, message: `Refund cannot exceed the ₹${registration.entryFee} entry fee.` });
+      }
+
+      const before = snapshot(registration);
+      const freed = freesSlot(registration, 'refunded');
+
+      registration.refund = {
+        reason: registration.refund?.reason || (registration.status === 'withdrawn' ? 'withdrawn' : 'admin'),
+        requestedAt: registration.refund?.requestedAt || new Date(),
+        amount,
+        referenceNumber: req.body.referenceNumber || null,
+        note: req.body.note || null,
+        refundedAt: new Date(),
+        refundedBy: req.admin._id,
+      };
+      // Only if nobody changed it meanwhile (the slot is released once)
+      registration.$where = { status: registration.status };
+      registration.status = 'refunded';
+      try {
+        await registration.save();
+      } catch (saveError) {
+        if (saveError.name !== 'DocumentNotFoundError') throw saveError;
+        return res.status(409).json({
+          success: false,
+          message: 'This registration was just changed by someone else. Reload and try again.',
+        });
+      }
+      if (freed) await Tournament.releaseSlots(registration.tournament);
+
+      console.log(`💸 Registration ${registration._id} refunded ₹${amount ?? registration.entryFee} by ${req.admin.email}`);
+      await recordAudit(req, { action: 'registration.refund', target: registration, before, after: snapshot(registration) });
+
+      await registration.populate([
+        { path: 'verifiedBy', select: 'name email' },
+        { path: 'refund.refundedBy', select: 'name email' },
+      ]);
+      res.json({ success: true, data: registration });
+    } catch (error) {
+      console.error('🔴 Registration refund error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to record refund.' });
+    }
+  }
+);
+
+
 module.exports = router;
@@ -0,0 +1,599 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Tournament Routes
+ * ============================================================================
+ * Purpose: Lets organisers manage tournaments from the admin dashboard.
+ *          ALL routes are protected by JWT authentication.
+ *
+ * Endpoints:
+ *   GET    /api/v1/admin/tournaments              — List tournaments (all statuses)
+ *   POST   /api/v1/admin/tournaments              — Create a tournament
+ *   PATCH  /api/v1/admin/tournaments/:id          — Edit a scheduled tournament
+ *   POST   /api/v1/admin/tournaments/:id/clone    — Clone (default: +7 days)
+ *   POST   /api/v1/admin/tournaments/:id/cancel   — Cancel a scheduled tournament
+ *                                                  (queues refunds for every entry)
+ *   POST   /api/v1/admin/tournaments/:id/refunds  — Mark all queued refunds sent
+ *   POST   /api/v1/admin/tournaments/:id/archive  — Archive (hide from public)
+ *   PUT    /api/v1/admin/tournaments/:id/room     — Set room ID/password + reveal time
+ *
+ * Notes:
+ *   - Entry fee and prizes can be overridden per event. Leaving a field
+ *     empty falls back to the pricing config (see models/PricingConfig.js).
+ *   - maxSlots can never be lowered below the number of filled slots.
+ *   - Players may withdraw until withdrawalClosesAt (empty = when
+ *     registration closes), see routes/registerRoutes.js.
+ *   - Room details are only ever shown to approved teams (status lookup +
+ *     email, see utils/roomDelivery.js). Changing them re-sends the email.
+ *     In the dashboard only tournaments:manage sees the room password, and
+ *     the audit log records only whether it changed.
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Tournament = require('../models/Tournament');
+const Registration = require('../models/Registration');
+const PricingConfig = require('../models/PricingConfig');
+const { recordAudit, recordBulkAudit, snapshot } = require('../utils/auditLog');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every route in this file requires a logged-in admin
+router.use(protect);
+
+// One week in milliseconds — default offset when cloning an event
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Fields an admin may set on create/edit
+const EDITABLE_FIELDS = [
+  'title', 'game', 'mode', 'startTime', 'registrationOpensAt',
+  'registrationClosesAt', 'withdrawalClosesAt', 'maxSlots', 'entryFee', 'prizes',
+];
+
+/**
+ * Validation rules shared by create and edit.
+ * On edit every field is optional; on create the core fields are required.
+ */
+function tournamentValidators(isCreate) {
+  const field = (name) => (isCreate ? body(name) : body(name).optional());
+
+  return [
+    body('title')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+
+    field('game')
+      .isIn(['pubg', 'freefire', 'cod']).withMessage('Invalid game selection'),
+
+    field('mode')
+      .isIn(['solo', 'duo', 'squad']).withMessage('Invalid mode selection'),
+
+    field('startTime')
+      .isISO8601().withMessage('Start time must be a valid date'),
+
+    body('registrationOpensAt')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Registration open time must be a valid date'),
+
+    field('registrationClosesAt')
+      .isISO8601().withMessage('Registration close time must be a valid date'),
+
+    body('withdrawalClosesAt')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Withdrawal close time must be a valid date'),
+
+    field('maxSlots')
+      .isInt({ min: 1, max: 1000 }).withMessage('Max slots must be between 1 and 1000'),
+
+    body('entryFee')
+      .optional({ nullable: true, checkFalsy: true })
+      .isInt({ min: 5 }).withMessage('Entry fee must be at least ₹5'),
+
+    body('prizes.winner')
+      .optional({ nullable: true, checkFalsy: true })
+      .isInt({ min: 0 }).withMessage('Winner prize must be 0 or more'),
+
+    body('prizes.runnerUp')
+      .optional({ nullable: true, checkFalsy: true })
+      .isInt({ min: 0 }).withMessage('Runner-up prize must be 0 or more'),
+
+    body('prizes.perKill')
+      .optional({ nullable: true, checkFalsy: true })
+      .isInt({ min: 0 }).withMessage('Per-kill prize must be 0 or more'),
+  ];
+}
+
+/**
+ * Copy the editable fields present in the request body onto a tournament.
+ * Empty strings for optional fields are stored as null.
+ */
+function applyFields(tournament, data) {
+  EDITABLE_FIELDS.forEach(key => {
+    if (data[key] === undefined) return;
+
+    if (key === 'prizes') {
+      ['winner', 'runnerUp', 'perKill'].forEach(p => {
+        if (data.prizes[p] === undefined) return;
+        tournament.prizes[p] = data.prizes[p] === '' || data.prizes[p] === null ? null : Number(data.prizes[p]);
+      });
+      return;
+    }
+
+    tournament[key] = data[key] === '' ? null : data[key];
+  });
+
+  // Opening time defaults to "now" when cleared
+  if (!tournament.registrationOpensAt) tournament.registrationOpensAt = new Date();
+}
+
+/**
+ * Send a 400 with the first validation error.
+ * Returns true if the request was rejected (caller should stop).
+ */
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: errors.array()[0].msg });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * The tournament with this ID, or null — also for malformed IDs, which
+ * would otherwise fail as a CastError.
+ *
+ * @param {string} id - From req.params
+ */
+async function findTournament(id) {
+  return mongoose.isValidObjectId(id) ? Tournament.findById(id) : null;
+}
+
+/**
+ * Answer a failed save: 400 with the first message when the data is
+ * invalid (ValidationError), otherwise a generic 500.
+ *
+ * @param {Response} res
+ * @param {Error} error
+ * @param {string} message - Shown for server errors
+ */
+function sendSaveError(res, error, message) {
+  if (error.name === 'ValidationError') {
+    const [first] = Object.values(error.errors);
+    return res.status(400).json({ success: false, message: first?.message || error.message });
+  }
+  return res.status(500).json({ success: false, message });
+}
+
+/**
+ * Build the admin representation of a tournament: public fields (with
+ * resolved pricing) plus the raw per-event overrides and timestamps.
+ * The room password is only included for admins who may change it.
+ *
+ * @param {Document[]} tournaments
+ * @param {Admin} admin - The requesting admin (req.admin)
+ */
+async function withSlots(tournaments, admin) {
+  const showPassword = admin.can('tournaments:manage');
+  const [filled, pricing] = await Promise.all([
+    Tournament.getFilledSlots(tournaments.map(t => t._id)),
+    PricingConfig.getTable(),
+  ]);
+  return tournaments.map(t => ({
+    ...t.toPublicJSON(filled.get(String(t._id)) || 0, pricing),
+    overrides: { entryFee: t.entryFee, prizes: t.prizes, withdrawalClosesAt: t.withdrawalClosesAt },
+    room: showPassword ? t.room : { ...t.room.toObject(), password: undefined },
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+  }));
+}
+
+
+/* ========================================================================
+   GET / — List Tournaments
+   ======================================================================== */
+
+router.get('/', authorize('tournaments:view'), async (req, res) => {
+  try {
+    const { game, mode, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    // Build filter from query params
+    const filter = {};
+    if (game && ['pubg', 'freefire', 'cod'].includes(game)) filter.game = game;
+    if (mode && ['solo', 'duo', 'squad'].includes(mode)) filter.mode = mode;
+    if (status && ['scheduled', 'cancelled', 'archived'].includes(status)) filter.status = status;
+
+    const [tournaments, total] = await Promise.all([
+      Tournament.find(filter)
+        .sort({ startTime: -1 })
+        .skip(skip)
+        .limit(limit),
+      Tournament.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: await withSlots(tournaments, req.admin),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('🔴 Admin tournaments list error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load tournaments.' });
+  }
+});
+
+
+/* ========================================================================
+   POST / — Create Tournament
+   ======================================================================== */
+
+router.post('/', authorize('tournaments:manage'), tournamentValidators(true), async (req, res) => {
+  try {
+    if (checkValidation(req, res)) return;
+
+    const tournament = new Tournament();
+    applyFields(tournament, req.body);
+    await tournament.save();
+
+    console.log(`🏆 Tournament created: ${tournament.game} ${tournament.mode} @ ${tournament.startTime.toISOString()} by ${req.admin.email}`);
+    await recordAudit(req, { action: 'tournament.create', target: tournament, after: snapshot(tournament) });
+
+    const [data] = await withSlots([tournament], req.admin);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    console.error('🔴 Tournament create error:', error.message);
+    sendSaveError(res, error, 'Failed to create tournament.');
+  }
+});
+
+
+/* ========================================================================
+   PATCH /:id — Edit Tournament
+   ======================================================================== */
+
+router.patch('/:id', authorize('tournaments:manage'), tournamentValidators(false), async (req, res) => {
+  try {
+    if (checkValidation(req, res)) return;
+
+    const tournament = await findTournament(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ success: false, message: 'Tournament not found.' });
+    }
+
+    if (tournament.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot edit a ${tournament.status} tournament. Clone it instead.`,
+      });
+    }
+
+    // Game/mode can't change once teams have entered
+    const filled = (await Tournament.getFilledSlots([tournament._id])).get(String(tournament._id)) || 0;
+    if (filled > 0 && ((req.body.game && req.body.game !== tournament.game) || (req.body.mode && req.body.mode !== tournament.mode))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Game and mode cannot be changed after teams have registered.',
+      });
+    }
+
+    if (req.body.maxSlots !== undefined && Number(req.body.maxSlots) < filled) {
+      return res.status(409).json({
+        success: false,
+        message: `Max slots cannot be lower than the ${filled} slot(s) already filled.`,
+      });
+    }
+
+    const before = snapshot(tournament);
+    applyFields(tournament, req.body);
+    await tournament.save();
+
+    console.log(`🏆 Tournament ${tournament._id} edited by ${req.admin.email}`);
+    await recordAudit(req, { action: 'tournament.update', target: tournament, before, after: snapshot(tournament) });
+
+    const [data] = await withSlots([tournament], req.admin);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('🔴 Tournament update error:', error.message);
+    sendSaveError(res, error, 'Failed to update tournament.');
+  }
+});
+
+
+/* ========================================================================
+   POST /:id/clone — Clone Tournament
+   ======================================================================== */
+
+/**
+ * Creates a new scheduled tournament with the same settings.
+ * Optional body: { startTime } — when omitted, the clone is scheduled one
+ * week after the original ("same as last Sunday"). The registration
+ * window is shifted by the same offset.
+ */
+router.post(
+  '/:id/clone',
+  authorize('tournaments:manage'),
+  [
+    body('startTime')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Start time must be a valid date'),
+  ],
+  async (req, res) => {
+    try {
+      if (checkValidation(req, res)) return;
+
+      const source = await findTournament(req.params.id);
+      if (!source) {
+        return res.status(404).json({ success: false, message: 'Tournament not found.' });
+      }
+
+      // Shift every date by the gap between old and new start time
+      const newStart = req.body.startTime
+        ? new Date(req.body.startTime)
+        : new Date(source.startTime.getTime() + ONE_WEEK_MS);
+      const offset = newStart.getTime() - source.startTime.getTime();
+      const shift = (date) => (date ? new Date(date.getTime() + offset) : null);
+
+      const clone = new Tournament({
+        title: source.title,
+        game: source.game,
+        mode: source.mode,
+        startTime: newStart,
+        registrationOpensAt: shift(source.registrationOpensAt),
+        registrationClosesAt: shift(source.registrationClosesAt),
+        withdrawalClosesAt: shift(source.withdrawalClosesAt),
+        maxSlots: source.maxSlots,
+        entryFee: source.entryFee,
+        prizes: source.prizes.toObject(),
+      });
+
+      await clone.save();
+      console.log(`🏆 Tournament ${source._id} cloned → ${clone._id} by ${req.admin.email}`);
+      await recordAudit(req, {
+        action: 'tournament.clone',
+        target: clone,
+        after: snapshot(clone),
+        details: { clonedFrom: source._id },
+      });
+
+      const [data] = await withSlots([clone], req.admin);
+      res.status(201).json({ success: true, data });
+    } catch (error) {
+      console.error('🔴 Tournament clone error:', error.message);
+      sendSaveError(res, error, 'Failed to clone tournament.');
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /:id/cancel and /:id/archive — Lifecycle Changes
+   ======================================================================== */
+
+/**
+ * Build a handler that moves a tournament to the given status.
+ * Cancel only applies to scheduled events; archive works from any state.
+ * Cancelling frees every slot: paid entries (approved, or captured online)
+ * are queued for a refund, unverified ones are just withdrawn — the same
+ * rule as a player withdrawing (Registration#withdraw).
+ */
+function statusChangeHandler(targetStatus, allowedFrom) {
+  return async (req, res) => {
+    try {
+      const tournament = await findTournament(req.params.id);
+      if (!tournament) {
+        return res.status(404).json({ success: false, message: 'Tournament not found.' });
+      }
+
+      if (!allowedFrom.includes(tournament.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Tournament is already ${tournament.status}.`,
+        });
+      }
+
+      const before = snapshot(tournament);
+      tournament.status = targetStatus;
+      await tournament.save();
+
+      console.log(`🏆 Tournament ${tournament._id} → ${targetStatus} by ${req.admin.email}`);
+      await recordAudit(req, {
+        action: targetStatus === 'cancelled' ? 'tournament.cancel' : 'tournament.archive',
+        target: tournament,
+        before,
+        after: snapshot(tournament),
+      });
+
+      let refundsQueued = 0;
+      let entriesWithdrawn = 0;
+      if (targetStatus === 'cancelled') {
+        const now = new Date();
+        const details = { tournament: tournament._id, reason: 'tournament_cancelled' };
+
+        // Paid: the entry fee has to go back
+        const paidFilter = {
+          tournament: tournament._id,
+          status: { $in: ['pending', 'approved'] },
+          $or: [{ status: 'approved' }, { 'onlinePayment.status': 'captured' }],
+        };
+        const paid = await Registration.find(paidFilter);
+        const queued = await Registration.updateMany(
+          { _id: { $in: paid.map(reg => reg._id) }, ...paidFilter },
+          { status: 'refund_pending', refund: { reason: 'tournament_cancelled', requestedAt: now } }
+        );
+        refundsQueued = queued.modifiedCount;
+        await recordBulkAudit(req, paid, 'registration.refund_queued', details);
+
+        // Unverified: nobody confirmed a payment, so there is nothing to refund
+        const unpaidFilter = {
+          tournament: tournament._id,
+          status: 'pending',
+          'onlinePayment.status': { $ne: 'captured' },
+        };
+        const unpaid = await Registration.find(unpaidFilter);
+        const withdrawn = await Registration.updateMany(
+          { _id: { $in: unpaid.map(reg => reg._id) }, ...unpaidFilter },
+          { status: 'withdrawn', withdrawnAt: now, refund: null }
+        );
+        entriesWithdrawn = withdrawn.modifiedCount;
+        await recordBulkAudit(req, unpaid, 'registration.withdraw', details);
+
+        await Tournament.releaseSlots(tournament._id, refundsQueued + entriesWithdrawn);
+
+        console.log(`💸 Cancelled tournament ${tournament._id}: ${refundsQueued} refund(s) queued, ${entriesWithdrawn} unpaid entries withdrawn`);
+      }
+
+      const [data] = await withSlots([tournament], req.admin);
+      res.json({ success: true, data, refundsQueued, entriesWithdrawn });
+    } catch (error) {
+      console.error(`🔴 Tournament ${targetStatus} error:`, error.message);
+      res.status(500).json({ success: false, message: 'Failed to update tournament.' });
+    }
+  };
+}
+
+router.post('/:id/cancel', authorize('tournaments:manage'), statusChangeHandler('cancelled', ['scheduled']));
+router.post('/:id/archive', authorize('tournaments:manage'), statusChangeHandler('archived', ['scheduled', 'cancelled']));
+
+
+/* ========================================================================
+   POST /:id/refunds — Mark Queued Refunds Sent
+   ======================================================================== */
+
+/**
+ * Body: { referenceNumber, note }
+ * Marks every refund_pending entry of the tournament refunded for the full
+ * entry fee — for a cancelled event refunded in one batch. Individual
+ * refunds are recorded with POST /api/v1/admin/registrations/:id/refund.
+ */
+router.post(
+  '/:id/refunds',
+  authorize('refunds:manage'),
+  [
+    body('referenceNumber')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Reference number cannot exceed 100 characters'),
+
+    body('note')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      if (checkValidation(req, res)) return;
+
+      const tournament = await findTournament(req.params.id);
+      if (!tournament) {
+        return res.status(404).json({ success: false, message: 'Tournament not found.' });
+      }
+
+      const filter = { tournament: tournament._id, status: 'refund_pending' };
+      const affected = await Registration.find(filter);
+
+      const result = await Registration.updateMany(filter, {
+        status: 'refunded',
+        'refund.referenceNumber': req.body.referenceNumber || null,
+        'refund.note': req.body.note || null,
+        'refund.refundedAt': new Date(),
+        'refund.refundedBy': req.admin._id,
+      });
+
+      console.log(`💸 ${result.modifiedCount} refund(s) for tournament ${tournament._id} marked sent by ${req.admin.email}`);
+
+      await recordBulkAudit(req, affected, 'registration.refund', { tournament: tournament._id, batch: true });
+
+      res.json({ success: true, data: { updated: result.modifiedCount } });
+    } catch (error) {
+      console.error('🔴 Tournament refunds error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to record refunds.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   PUT /:id/room — Set Room Details
+   ======================================================================== */
+
+/**
+ * Body: { roomId, password, revealAt }
+ * An empty roomId clears the room. revealAt empty = reveal immediately.
+ * If the ID or password changes after the email went out, it is sent again.
+ */
+router.put(
+  '/:id/room',
+  authorize('tournaments:manage'),
+  [
+    body('roomId')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 }).withMessage('Room ID cannot exceed 50 characters'),
+
+    body('password')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 }).withMessage('Room password cannot exceed 50 characters'),
+
+    body('revealAt')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Reveal time must be a valid date'),
+  ],
+  async (req, res) => {
+    try {
+      if (checkValidation(req, res)) return;
+
+      const tournament = await findTournament(req.params.id);
+      if (!tournament) {
+        return res.status(404).json({ success: false, message: 'Tournament not found.' });
+      }
+
+      if (tournament.status !== 'scheduled') {
+        return res.status(409).json({ success: false, message: `Cannot set room details on a ${tournament.status} tournament.` });
+      }
+
+      const roomId = req.body.roomId || null;
+      const password = roomId ? req.body.password || null : null;
+      const passwordChanged = password !== tournament.room.password;
+      const changed = roomId !== tournament.room.roomId || passwordChanged;
+
+      const before = snapshot(tournament);
+      tournament.room.roomId = roomId;
+      tournament.room.password = password;
+      tournament.room.revealAt = roomId && req.body.revealAt ? new Date(req.body.revealAt) : null;
+      if (changed) tournament.room.emailedAt = null;
+
+      await tournament.save();
+
+      console.log(`🔑 Room ${roomId ? 'set' : 'cleared'} for tournament ${tournament._id} by ${req.admin.email}`);
+      // The password itself never goes into the log, only whether it changed
+      await recordAudit(req, {
+        action: 'tournament.room',
+        target: tournament,
+        before,
+        after: snapshot(tournament),
+        details: { passwordChanged },
+      });
+
+      const [data] = await withSlots([tournament], req.admin);
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('🔴 Tournament room error:', error.message);
+      sendSaveError(res, error, 'Failed to update room details.');
+    }
+  }
+);
+
+
+module.exports = router;
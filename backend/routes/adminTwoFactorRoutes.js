@@ -0,0 +1,237 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Two-Factor Authentication Routes
+ * ============================================================================
+ * Purpose: Lets an admin turn on authenticator-app codes (TOTP) for their
+ *          own account. Login then needs a code as well as the password
+ *          (POST /api/v1/admin/login/2fa).
+ *
+ * Endpoints (all for the logged-in admin's own account):
+ *   GET  /api/v1/admin/me/2fa                 — Status (enabled, recovery codes left)
+ *   POST /api/v1/admin/me/2fa/setup           — New secret + QR code to scan
+ *   POST /api/v1/admin/me/2fa/enable          — Confirm with a code → recovery codes
+ *   POST /api/v1/admin/me/2fa/recovery-codes  — Replace the recovery codes
+ *   POST /api/v1/admin/me/2fa/disable         — Turn 2FA off (password + code)
+ *
+ * Notes:
+ *   - These routes use protectAccount, so admins who must enroll because
+ *     superadmins require 2FA can reach them
+ *   - Recovery codes are shown once and stored hashed; each works once
+ *   - 2FA cannot be turned off while it is required for every admin
+ *   - Superadmins can reset a locked-out admin's 2FA
+ *     (POST /api/v1/admin/users/:id/reset-2fa)
+ * ============================================================================
+ */
+
+const express = require('express');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const SecurityConfig = require('../models/SecurityConfig');
+const { otpauthUrl } = require('../utils/totp');
+const { recordAudit } = require('../utils/auditLog');
+const { protectAccount } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every route in this file is about the logged-in admin's own account
+router.use(protectAccount);
+
+/**
+ * Helper: return the first validation error (if any).
+ */
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: errors.array()[0].msg });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Helper: the current admin with the 2FA fields selected.
+ */
+function loadWithTwoFactor(req, extraFields = '') {
+  return Admin.findById(req.admin._id).select(`${Admin.TWO_FACTOR_FIELDS} ${extraFields}`.trim());
+}
+
+const codeValidator = body('code').trim().notEmpty().withMessage('Enter the code from your authenticator app');
+
+
+/* ========================================================================
+   GET / — Status
+   ======================================================================== */
+
+router.get('/', async (req, res) => {
+  try {
+    const [admin, settings] = await Promise.all([loadWithTwoFactor(req), SecurityConfig.getSettings()]);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: admin.twoFactorEnabled,
+        recoveryCodesLeft: admin.twoFactorEnabled ? admin.twoFactorRecoveryCodes.length : 0,
+        required: settings.requireTwoFactor,
+      },
+    });
+  } catch (error) {
+    console.error('🔴 2FA status error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load 2FA status.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /setup — Start Enrollment
+   ======================================================================== */
+
+/**
+ * Returns the secret as text and as a QR code (data: URL) for the
+ * authenticator app. Nothing changes at login until /enable confirms it.
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const admin = await loadWithTwoFactor(req);
+    if (admin.twoFactorEnabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already on.' });
+    }
+
+    const secret = admin.startTwoFactorSetup();
+    await admin.save();
+
+    const url = otpauthUrl({ secret, account: admin.email });
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) },
+    });
+  } catch (error) {
+    console.error('🔴 2FA setup error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to start 2FA setup.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /enable — Confirm Enrollment
+   ======================================================================== */
+
+/**
+ * Request body: { "code": "123456" }   (from the app, after scanning)
+ * Responds with the recovery codes — the only time they are shown.
+ */
+router.post('/enable', [codeValidator], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const admin = await loadWithTwoFactor(req);
+    if (admin.twoFactorEnabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already on.' });
+    }
+    if (!admin.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start the setup first.' });
+    }
+
+    const recoveryCodes = admin.enableTwoFactor(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ success: false, message: 'Invalid code. Check the time on your phone and try again.' });
+    }
+    await admin.save();
+
+    console.log(`🛡️ 2FA enabled: ${admin.email}`);
+    await recordAudit(req, { action: 'admin.2fa_enable', target: admin, before: { twoFactorEnabled: false }, after: { twoFactorEnabled: true } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on. Save your recovery codes somewhere safe.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error('🔴 2FA enable error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to enable 2FA.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /recovery-codes — Replace the Recovery Codes
+   ======================================================================== */
+
+/**
+ * Request body: { "code": "123456" }
+ * Every earlier recovery code stops working.
+ */
+router.post('/recovery-codes', [codeValidator], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const admin = await loadWithTwoFactor(req);
+    if (!admin.twoFactorEnabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is off.' });
+    }
+
+    if (!admin.checkTotp(req.body.code)) {
+      return res.status(400).json({ success: false, message: 'Invalid code.' });
+    }
+
+    const recoveryCodes = admin.generateRecoveryCodes();
+    await admin.save();
+
+    console.log(`🛡️ Recovery codes replaced: ${admin.email}`);
+    await recordAudit(req, { action: 'admin.2fa_recovery_codes', target: admin });
+
+    res.json({ success: true, message: 'New recovery codes created. The old ones no longer work.', data: { recoveryCodes } });
+  } catch (error) {
+    console.error('🔴 2FA recovery codes error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to create recovery codes.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /disable — Turn 2FA Off
+   ======================================================================== */
+
+/**
+ * Request body: { "password": "...", "code": "123456" }   (code may be a recovery code)
+ */
+router.post(
+  '/disable',
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    codeValidator,
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      if ((await SecurityConfig.getSettings()).requireTwoFactor) {
+        return res.status(409).json({ success: false, message: 'Two-factor authentication is required for every admin.' });
+      }
+
+      const admin = await loadWithTwoFactor(req, '+password');
+      if (!admin.twoFactorEnabled) {
+        return res.status(409).json({ success: false, message: 'Two-factor authentication is already off.' });
+      }
+
+      if (!(await admin.comparePassword(req.body.password)) || !admin.verifySecondFactor(req.body.code)) {
+        return res.status(400).json({ success: false, message: 'Incorrect password or code.' });
+      }
+
+      admin.disableTwoFactor();
+      await admin.save();
+
+      console.log(`🛡️ 2FA disabled: ${admin.email}`);
+      await recordAudit(req, { action: 'admin.2fa_disable', target: admin, before: { twoFactorEnabled: true }, after: { twoFactorEnabled: false } });
+
+      res.json({ success: true, message: 'Two-factor authentication is off.' });
+    } catch (error) {
+      console.error('🔴 2FA disable error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to disable 2FA.' });
+    }
+  }
+);
+
+
+module.exports = router;
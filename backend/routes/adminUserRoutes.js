@@ -0,0 +1,379 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin User Management Routes
+ * ============================================================================
+ * Purpose: Lets superadmins onboard volunteers for tournament days without
+ *          touching the database. ALL routes require the admins:manage
+ *          permission (see utils/permissions.js).
+ *
+ * Endpoints:
+ *   GET   /api/v1/admin/users                     — List admins (role, status, last login)
+ *   POST  /api/v1/admin/users                     — Invite an admin
+ *   PATCH /api/v1/admin/users/:id                 — Change name / role / active
+ *   POST  /api/v1/admin/users/:id/reset-password  — Force a password reset
+ *   POST  /api/v1/admin/users/:id/reset-2fa       — Turn off an admin's 2FA (lost phone)
+ *   PUT   /api/v1/admin/users/settings            — Security settings (require 2FA)
+ *
+ * Invites and resets:
+ *   - Both create a one-time link to admin.html?token=... (valid for
+ *     Admin.PASSWORD_TOKEN_HOURS, see utils/adminPasswordLink.js) and make
+ *     the old password unusable; a forced reset also signs the admin out
+ *   - The link is emailed; it is returned (to share by hand) ONLY when the
+ *     email could not be sent, and the audit entry records which happened
+ *   - The invited admin sets a password with POST /api/v1/admin/password/set
+ *
+ * Safety:
+ *   - You cannot change your own role or deactivate yourself
+ *   - The last active superadmin cannot be demoted or deactivated
+ *   - Only a superadmin who uses 2FA can require it for everyone
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const SecurityConfig = require('../models/SecurityConfig');
+const { ROLES } = require('../utils/permissions');
+const { sendPasswordLink } = require('../utils/adminPasswordLink');
+const { recordAudit, snapshot } = require('../utils/auditLog');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every route in this file requires a logged-in admin who may manage admins
+router.use(protect, authorize('admins:manage'));
+
+/**
+ * Helper: return the first validation error (if any).
+ */
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: errors.array()[0].msg });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Would this change leave no active superadmin?
+ */
+async function removesLastSuperadmin(target, changes) {
+  if (target.role !== 'superadmin' || !target.active) return false;
+
+  const staysSuperadmin = (changes.role ?? target.role) === 'superadmin' && (changes.active ?? target.active);
+  if (staysSuperadmin) return false;
+
+  const others = await Admin.countDocuments({ _id: { $ne: target._id }, role: 'superadmin', active: true });
+  return others === 0;
+}
+
+
+/* ========================================================================
+   GET / — List Admins
+   ======================================================================== */
+
+router.get('/', async (req, res) => {
+  try {
+    const [admins, settings] = await Promise.all([
+      Admin.find()
+        .select('+passwordTokenExpires')
+        .sort({ createdAt: 1 })
+        .populate('invitedBy', 'name email'),
+      SecurityConfig.getSettings(),
+    ]);
+
+    res.json({
+      success: true,
+      data: admins.map(admin => admin.toSummaryJSON()),
+      roles: ROLES,
+      settings,
+    });
+  } catch (error) {
+    console.error('🔴 List admins error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load admins.' });
+  }
+});
+
+
+/* ========================================================================
+   POST / — Invite an Admin
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "email": "volunteer@example.com", "name": "Ravi", "role": "moderator" }
+ */
+router.post(
+  '/',
+  [
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Invalid email')
+      .toLowerCase(),
+
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+    body('role')
+      .isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      const { email, name, role } = req.body;
+
+      if (await Admin.exists({ email })) {
+        return res.status(409).json({ success: false, message: 'An admin with this email already exists.' });
+      }
+
+      const admin = new Admin({ email, name, role, invitedBy: req.admin._id });
+      const { link, emailed } = await sendPasswordLink(admin, 'invite', req.admin);
+
+      console.log(`👥 Admin invited: ${admin.email} (${role}) by ${req.admin.email}`);
+      await recordAudit(req, {
+        action: 'admin.invite',
+        target: admin,
+        after: snapshot(admin),
+        details: { emailed, linkReturned: !emailed },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: emailed
+          ? `Invitation emailed to ${admin.email}.`
+          : 'Admin invited, but the email could not be sent. Share the link with them yourself.',
+        data: { ...admin.toSummaryJSON(), passwordLinkPending: true },
+        link: emailed ? null : link,
+        emailed,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: 'An admin with this email already exists.' });
+      }
+      console.error('🔴 Invite admin error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to invite admin.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   PATCH /:id — Change Name / Role / Active
+   ======================================================================== */
+
+/**
+ * Request body (any of):
+ *   { "name": "...", "role": "admin", "active": false }
+ * Deactivation takes effect immediately — protect() refuses the admin's
+ * existing tokens.
+ */
+router.patch(
+  '/:id',
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty().withMessage('Name cannot be empty')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+    body('role')
+      .optional()
+      .isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+    body('active')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('Active must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Admin not found.' });
+      }
+
+      const admin = await Admin.findById(req.params.id).select('+passwordTokenExpires');
+      if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found.' });
+      }
+
+      const { name, role, active } = req.body;
+      const isSelf = String(admin._id) === String(req.admin._id);
+
+      if (isSelf && ((role !== undefined && role !== admin.role) || active === false)) {
+        return res.status(400).json({ success: false, message: 'You cannot change your own role or deactivate yourself.' });
+      }
+
+      if (await removesLastSuperadmin(admin, { role, active })) {
+        return res.status(409).json({ success: false, message: 'At least one active superadmin is required.' });
+      }
+
+      const before = snapshot(admin);
+      if (name !== undefined) admin.name = name;
+      if (role !== undefined) admin.role = role;
+      if (active !== undefined) admin.active = active;
+      await admin.save();
+      await admin.populate('invitedBy', 'name email');
+
+      console.log(`👥 Admin ${admin.email} updated (${admin.role}, ${admin.active ? 'active' : 'deactivated'}) by ${req.admin.email}`);
+      await recordAudit(req, { action: 'admin.update', target: admin, before, after: snapshot(admin) });
+
+      res.json({ success: true, data: admin.toSummaryJSON() });
+    } catch (error) {
+      console.error('🔴 Update admin error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to update admin.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /:id/reset-password — Force a Password Reset
+   ======================================================================== */
+
+/**
+ * The admin's current password stops working at once; they choose a new
+ * one through the emailed (and returned) link.
+ */
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Admin not found.' });
+    }
+
+    if (String(req.params.id) === String(req.admin._id)) {
+      return res.status(400).json({ success: false, message: 'You cannot reset your own password here.' });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: 'Admin not found.' });
+    }
+
+    if (!admin.active) {
+      return res.status(409).json({ success: false, message: 'Reactivate the admin before resetting their password.' });
+    }
+
+    const { link, emailed } = await sendPasswordLink(admin, 'reset', req.admin);
+
+    console.log(`🔑 Password reset forced for ${admin.email} by ${req.admin.email}`);
+    await recordAudit(req, {
+      action: 'admin.password_reset',
+      target: admin,
+      details: { emailed, linkReturned: !emailed },
+    });
+
+    res.json({
+      success: true,
+      message: emailed
+        ? `Reset link emailed to ${admin.email}.`
+        : 'Password reset, but the email could not be sent. Share the link with them yourself.',
+      link: emailed ? null : link,
+      emailed,
+    });
+  } catch (error) {
+    console.error('🔴 Reset admin password error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to reset password.' });
+  }
+});
+
+
+
+/* ========================================================================
+   POST /:id/reset-2fa — Turn Off an Admin's 2FA
+   ======================================================================== */
+
+/**
+ * For an admin who lost their phone and recovery codes. Their sessions are
+ * signed out; if 2FA is required they enroll again at next login.
+ */
+router.post('/:id/reset-2fa', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Admin not found.' });
+    }
+
+    if (String(req.params.id) === String(req.admin._id)) {
+      return res.status(400).json({ success: false, message: 'Manage your own 2FA from the 2FA panel.' });
+    }
+
+    const admin = await Admin.findById(req.params.id).select(Admin.TWO_FACTOR_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ success: false, message: 'Admin not found.' });
+    }
+
+    if (!admin.twoFactorEnabled) {
+      return res.status(409).json({ success: false, message: 'This admin does not use 2FA.' });
+    }
+
+    admin.disableTwoFactor();
+    admin.revokeSessions();
+    await admin.save();
+
+    console.log(`🛡️ 2FA reset for ${admin.email} by ${req.admin.email}`);
+    await recordAudit(req, {
+      action: 'admin.2fa_reset',
+      target: admin,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+    });
+
+    res.json({ success: true, message: `2FA turned off for ${admin.name}. They have been signed out.` });
+  } catch (error) {
+    console.error('🔴 Reset admin 2FA error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to reset 2FA.' });
+  }
+});
+
+
+/* ========================================================================
+   PUT /settings — Security Settings
+   ======================================================================== */
+
+/**
+ * Request body: { "requireTwoFactor": true }
+ * Admins without 2FA keep signing in but can only enroll until they do.
+ */
+router.put(
+  '/settings',
+  [body('requireTwoFactor').isBoolean().withMessage('requireTwoFactor must be true or false').toBoolean()],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      const { requireTwoFactor } = req.body;
+
+      if (requireTwoFactor && !req.admin.twoFactorEnabled) {
+        return res.status(409).json({ success: false, message: 'Turn on 2FA for your own account first.' });
+      }
+
+      const before = await SecurityConfig.getSettings();
+      const config = await SecurityConfig.findOneAndUpdate(
+        { key: 'default' },
+        { requireTwoFactor, updatedBy: req.admin._id },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      console.log(`🛡️ Require 2FA ${requireTwoFactor ? 'on' : 'off'} (by ${req.admin.email})`);
+      await recordAudit(req, { action: 'security.update', target: config, before, after: { requireTwoFactor } });
+
+      res.json({
+        success: true,
+        message: requireTwoFactor ? 'Every admin now needs 2FA.' : '2FA is now optional.',
+        data: await SecurityConfig.getSettings(),
+      });
+    } catch (error) {
+      console.error('🔴 Update security settings error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to update security settings.' });
+    }
+  }
+);
+
+
+module.exports = router;
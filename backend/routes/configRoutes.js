@@ -0,0 +1,69 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Public Config Routes
+ * ============================================================================
+ * Purpose: Exposes site configuration the frontend renders from, so prices
+ *          are never hard-coded in HTML/JS.
+ *
+ * Endpoints:
+ *   GET /api/v1/config/pricing                 — Fee + prizes per game/mode
+ *   GET /api/v1/config/pricing?tournament=<id> — Also resolves one tournament
+ *
+ * Response (data):
+ *   {
+ *     "currency": "INR",
+ *     "games": {
+ *       "pubg": {
+ *         "solo": { "players": 1, "entryFee": 5, "prizes": { "winner": 500, "runnerUp": 250, "perKill": 10 } },
+ *         ...
+ *       },
+ *       ...
+ *     },
+ *     "tournament": { "id", "entryFee", "prizes" }   (only with ?tournament=)
+ *   }
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const PricingConfig = require('../models/PricingConfig');
+const Tournament = require('../models/Tournament');
+
+const router = express.Router();
+
+
+/* ========================================================================
+   GET /pricing — Pricing Table
+   ======================================================================== */
+
+router.get('/pricing', async (req, res) => {
+  try {
+    const table = await PricingConfig.getTable();
+    const data = { currency: 'INR', games: table };
+
+    // Optional: resolve a specific tournament's overrides
+    const tournamentId = req.query.tournament;
+    if (tournamentId) {
+      const tournament = mongoose.isValidObjectId(tournamentId)
+        ? await Tournament.findById(tournamentId)
+        : null;
+
+      if (!tournament || tournament.status === 'archived') {
+        return res.status(404).json({ success: false, message: 'Tournament not found.' });
+      }
+
+      data.tournament = {
+        id: tournament._id,
+        ...PricingConfig.resolve(table, tournament.game, tournament.mode, tournament),
+      };
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('🔴 Pricing config error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load pricing.' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,230 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Leaderboard Routes (Public)
+ * ============================================================================
+ * Purpose: Public leaderboards built from recorded match results, per game.
+ *
+ * Endpoints:
+ *   GET /api/v1/leaderboards   — Player + team standings for one game
+ *
+ * Query params:
+ *   - game: pubg | freefire | cod                          (required)
+ *   - season: all-time | weekly | monthly | YYYY-MM        (default: all-time)
+ *       weekly  → this week so far (Monday start, IST)
+ *       monthly → this month so far (IST)
+ *       YYYY-MM → a specific calendar month, e.g. 2026-09
+ *   - limit: rows per table, 1–100                         (default: 20)
+ *
+ * Scoring:
+ *   points = placement points (see PLACEMENT_POINTS) + 1 per kill
+ *   Players are keyed by in-game ID; teams by saved Team (duo/squad only),
+ *   falling back to the lower-cased team name for entries made before teams.
+ *   Player earnings = own kill prize + an equal share of the placement prize.
+ *   Only approved entries count — results of entries rejected or refunded
+ *   later drop out.
+ *
+ * Cost:
+ *   - The aggregation starts from the game's tournaments inside the season
+ *     and looks up their results (indexed by tournament), so it only reads
+ *     the results of matching tournaments
+ *   - Boards are cached in memory for CACHE_TTL_MS per game/season/limit
+ *     (and marked cacheable for browsers and proxies), so a busy public page
+ *     runs the aggregation at most once a minute per board
+ * ============================================================================
+ */
+
+const express = require('express');
+const Tournament = require('../models/Tournament');
+const Result = require('../models/Result');
+
+const router = express.Router();
+
+// Points for placements 1st, 2nd, 3rd, ... (anything lower scores 0)
+const PLACEMENT_POINTS = [15, 12, 10, 8, 6, 4, 2, 1];
+
+// India Standard Time offset — seasons follow the local calendar
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// How long a computed board is served from memory (1 minute)
+const CACHE_TTL_MS = 60 * 1000;
+
+// Most boards kept at once (game × season × limit); the oldest go first
+const CACHE_MAX_ENTRIES = 200;
+
+// "<game>:<season>:<limit>" → { expiresAt, data }
+const boardCache = new Map();
+
+/**
+ * Turn a season param into a { from, to } date range (to is exclusive).
+ * Returns null for an unrecognised season.
+ */
+function seasonRange(season, now = new Date()) {
+  // Work on a "local" clock by shifting into IST and back
+  const local = new Date(now.getTime() + IST_OFFSET_MS);
+  const fromLocal = (y, m, d) => new Date(Date.UTC(y, m, d) - IST_OFFSET_MS);
+
+  if (season === 'all-time') return { from: null, to: null };
+
+  if (season === 'weekly') {
+    const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+    return {
+      from: fromLocal(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysSinceMonday),
+      to: null,
+    };
+  }
+
+  if (season === 'monthly') {
+    return { from: fromLocal(local.getUTCFullYear(), local.getUTCMonth(), 1), to: null };
+  }
+
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(season);
+  if (match) {
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    return { from: fromLocal(year, month, 1), to: fromLocal(year, month + 1, 1) };
+  }
+
+  return null;
+}
+
+
+/* ========================================================================
+   GET / — Leaderboard for a Game
+   ======================================================================== */
+
+router.get('/', async (req, res) => {
+  try {
+    const { game, season = 'all-time' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!['pubg', 'freefire', 'cod'].includes(game)) {
+      return res.status(400).json({ success: false, message: 'Game must be one of: pubg, freefire, cod' });
+    }
+
+    const range = seasonRange(season);
+    if (!range) {
+      return res.status(400).json({ success: false, message: 'Season must be all-time, weekly, monthly or YYYY-MM' });
+    }
+
+    const cacheKey = `${game}:${season}:${limit}`;
+    const cached = boardCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      res.setHeader('Cache-Control', `public, max-age=${CACHE_TTL_MS / 1000}`);
+      return res.json({ success: true, data: cached.data });
+    }
+
+    // Only count results from matches of this game inside the window
+    const tournamentMatch = { game, status: { $ne: 'cancelled' } };
+    if (range.from || range.to) {
+      tournamentMatch.startTime = {};
+      if (range.from) tournamentMatch.startTime.$gte = range.from;
+      if (range.to) tournamentMatch.startTime.$lt = range.to;
+    }
+
+    const placementPoints = {
+      $cond: [
+        { $and: [{ $gte: ['$placement', 1] }, { $lte: ['$placement', PLACEMENT_POINTS.length] }] },
+        { $arrayElemAt: [PLACEMENT_POINTS, { $subtract: ['$placement', 1] }] },
+        0,
+      ],
+    };
+    const isWin = { $cond: [{ $eq: ['$placement', 1] }, 1, 0] };
+    const standingsSort = { $sort: { points: -1, kills: -1, wins: -1 } };
+
+    const [board] = await Tournament.aggregate([
+      { $match: tournamentMatch },
+      { $project: { startTime: 1 } },
+      { $lookup: { from: Result.collection.name, localField: '_id', foreignField: 'tournament', as: 'result' } },
+      { $unwind: '$result' },
+      // One document per result, with its tournament's start time as t
+      { $replaceRoot: { newRoot: { $mergeObjects: ['$result', { t: { startTime: '$startTime' } }] } } },
+      { $lookup: { from: 'registrations', localField: 'registration', foreignField: '_id', as: 'reg' } },
+      { $unwind: '$reg' },
+      { $match: { 'reg.status': 'approved' } },
+      // Oldest first so $last picks up the most recent name
+      { $sort: { 't.startTime': 1 } },
+      { $addFields: { placementPoints, teamSize: { $max: [{ $size: '$kills' }, 1] } } },
+      {
+        $facet: {
+          players: [
+            { $unwind: '$kills' },
+            {
+              $group: {
+                _id: '$kills.inGameId',
+                inGameName: { $last: '$kills.inGameName' },
+                teamName: { $last: '$reg.teamName' },
+                matches: { $sum: 1 },
+                kills: { $sum: '$kills.kills' },
+                wins: { $sum: isWin },
+                earnings: {
+                  $sum: {
+                    $add: [
+                      { $multiply: ['$kills.kills', '$prizesUsed.perKill'] },
+                      { $divide: ['$winnings.placement', '$teamSize'] },
+                    ],
+                  },
+                },
+                points: { $sum: { $add: ['$placementPoints', '$kills.kills'] } },
+              },
+            },
+            standingsSort,
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                inGameId: '$_id',
+                inGameName: 1,
+                teamName: 1,
+                matches: 1,
+                kills: 1,
+                wins: 1,
+                earnings: { $round: ['$earnings', 0] },
+                points: 1,
+              },
+            },
+          ],
+          teams: [
+            { $match: { 'reg.mode': { $ne: 'solo' }, 'reg.teamName': { $nin: [null, ''] } } },
+            {
+              $group: {
+                _id: { $ifNull: [{ $toString: '$reg.team' }, { $toLower: '$reg.teamName' }] },
+                teamName: { $last: '$reg.teamName' },
+                matches: { $sum: 1 },
+                kills: { $sum: '$totalKills' },
+                wins: { $sum: isWin },
+                earnings: { $sum: '$winnings.total' },
+                points: { $sum: { $add: ['$placementPoints', '$totalKills'] } },
+              },
+            },
+            standingsSort,
+            { $limit: limit },
+            { $project: { _id: 0, teamName: 1, matches: 1, kills: 1, wins: 1, earnings: 1, points: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const rank = (rows) => rows.map((row, i) => ({ rank: i + 1, ...row }));
+
+    const data = {
+      game,
+      season,
+      from: range.from,
+      to: range.to,
+      players: rank(board.players),
+      teams: rank(board.teams),
+    };
+
+    if (boardCache.size >= CACHE_MAX_ENTRIES) boardCache.delete(boardCache.keys().next().value);
+    boardCache.set(cacheKey, { expiresAt: Date.now() + CACHE_TTL_MS, data });
+
+    res.setHeader('Cache-Control', `public, max-age=${CACHE_TTL_MS / 1000}`);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('🔴 Leaderboard error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load leaderboard.' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,262 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Payment Gateway Routes
+ * ============================================================================
+ * Purpose: Online payment of entry fees through the provider selected with
+ *          PAYMENT_PROVIDER (see utils/paymentGateway.js). Orders are created
+ *          by POST /api/v1/register with "paymentMethod": "online".
+ *
+ * Endpoints:
+ *   GET  /api/v1/payments/config                    — Is online payment available?
+ *   POST /api/v1/payments/webhook/:provider         — Provider webhook (signature checked)
+ *   POST /api/v1/payments/mock/:orderId/complete    — Simulate a payment (mock provider only)
+ *
+ * Webhook handling:
+ *   - The signature is checked against the raw request body
+ *   - Events already in PaymentEvent are acknowledged and skipped
+ *   - A verified capture whose amount equals the order approves the
+ *     registration if it is still pending; any other amount leaves it
+ *     pending for an admin to review
+ *   - A failed payment withdraws a pending entry and releases its slot
+ *     (utils/orderExpiry.js does the same for orders never paid at all)
+ *   - A capture is final — later "failed" events for the order are ignored
+ *   - A redelivered capture re-runs the approval / refund step, so an entry
+ *     is never left pending because a first delivery failed half-way
+ *   - A capture for an entry that was withdrawn (by the player, a failed
+ *     payment or an expired order) queues a refund
+ * ============================================================================
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Registration = require('../models/Registration');
+const PaymentEvent = require('../models/PaymentEvent');
+const { getProvider } = require('../utils/paymentGateway');
+const { sendLateRoomEmail } = require('../utils/roomDelivery');
+const { withdrawUnpaidEntry } = require('../utils/orderExpiry');
+
+const router = express.Router();
+
+/**
+ * Apply a verified webhook event to its registration. Safe to run twice
+ * for the same event: every update is conditional on the current state,
+ * and the steps after a capture (approval, or a refund for a withdrawn
+ * entry) run again from the stored capture on every delivery of the same
+ * payment, so a retry finishes what a failed delivery started.
+ *
+ * @returns {Promise<Object|null>} - The registration, or null if none matches the order
+ */
+async function applyPaymentEvent(providerName, event) {
+  const registration = await Registration.findOne({
+    'onlinePayment.provider': providerName,
+    'onlinePayment.orderId': event.orderId,
+  });
+  if (!registration) return null;
+
+  if (event.type === 'failed') {
+    // The entry never got paid for — withdraw it so its slot goes back
+    const withdrawn = await withdrawUnpaidEntry(registration._id, { status: 'failed', paymentId: event.paymentId });
+    if (!withdrawn) {
+      // Already approved / rejected by an admin — just record the failure
+      await Registration.updateOne(
+        { _id: registration._id, 'onlinePayment.status': 'created' },
+        { 'onlinePayment.status': 'failed', 'onlinePayment.paymentId': event.paymentId }
+      );
+    }
+    console.log(`💳 Online payment failed for registration ${registration._id}${withdrawn ? ' — entry withdrawn' : ''}`);
+    return withdrawn || registration;
+  }
+
+  let captured = await Registration.findOneAndUpdate(
+    { _id: registration._id, 'onlinePayment.status': { $ne: 'captured' } },
+    {
+      'onlinePayment.status': 'captured',
+      'onlinePayment.paymentId': event.paymentId,
+      'onlinePayment.capturedAt': new Date(),
+    },
+    { new: true }
+  );
+  if (!captured) {
+    // Already captured — by an earlier delivery of this payment that may have
+    // stopped before approving, so carry on from the stored state
+    captured = await Registration.findById(registration._id);
+    if (!captured) return registration;
+    if (captured.onlinePayment.paymentId !== event.paymentId) return captured;  // a different payment was captured
+  }
+  const capturedAt = captured.onlinePayment.capturedAt;
+
+  if (event.amount !== captured.onlinePayment.amount) {
+    console.warn(`⚠️ Online payment for ${captured._id} was ${event.amount} paise, expected ${captured.onlinePayment.amount} — left for review`);
+    return captured;
+  }
+
+  const approved = await Registration.findOneAndUpdate(
+    { _id: captured._id, status: 'pending' },
+    { status: 'approved', verifiedBy: null, verifiedAt: capturedAt },
+    { new: true }
+  );
+
+  if (approved) {
+    console.log(`✅ Registration ${approved._id} approved by online payment (${providerName})`);
+
+    // Late approvals still get the room email if it already went out (non-blocking)
+    sendLateRoomEmail(approved).catch(err => console.warn('⚠️ Room email for late approval failed:', err.message));
+  } else if (captured.status === 'withdrawn') {
+    // Paid after withdrawing — the money is owed back
+    await Registration.updateOne(
+      { _id: captured._id, status: 'withdrawn' },
+      { status: 'refund_pending', refund: { reason: 'withdrawn', requestedAt: capturedAt } }
+    );
+    console.log(`💸 Refund queued for ${captured._id} (paid after withdrawing)`);
+  } else if (!['approved', 'refund_pending'].includes(captured.status)) {
+    // (approved / refund_pending: a redelivery after the step above already ran)
+    console.warn(`⚠️ Online payment captured for ${captured._id}, which is ${captured.status} — refund may be needed`);
+  }
+
+  return approved || captured;
+}
+
+
+/* ========================================================================
+   GET /config — Online Payment Availability
+   ======================================================================== */
+
+router.get('/config', (req, res) => {
+  const provider = getProvider();
+  res.json({
+    success: true,
+    data: { enabled: Boolean(provider), provider: provider ? provider.name : null },
+  });
+});
+
+
+/* ========================================================================
+   POST /webhook/:provider — Provider Webhook
+   ======================================================================== */
+
+/**
+ * Only the active provider's webhooks are accepted. Responds 200 for
+ * everything the provider should not retry (ignored events, unknown
+ * orders, duplicates) and 500 when applying the event failed.
+ */
+router.post('/webhook/:provider', async (req, res) => {
+  const provider = getProvider();
+  if (!provider || provider.name !== req.params.provider) {
+    return res.status(404).json({ success: false, message: 'Unknown payment provider.' });
+  }
+
+  if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+    console.warn(`⚠️ Rejected ${provider.name} webhook with a bad signature`);
+    return res.status(400).json({ success: false, message: 'Invalid signature.' });
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(req.rawBody);
+  } catch (parseError) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook body.' });
+  }
+
+  if (!event) {
+    return res.json({ success: true, message: 'Event ignored.' });
+  }
+
+  try {
+    if (await PaymentEvent.exists({ provider: provider.name, eventId: event.eventId })) {
+      return res.json({ success: true, message: 'Event already processed.' });
+    }
+
+    const registration = await applyPaymentEvent(provider.name, event);
+    if (!registration) {
+      console.warn(`⚠️ ${provider.name} webhook for unknown order ${event.orderId}`);
+    }
+
+    await PaymentEvent.create({
+      provider: provider.name,
+      ...event,
+      registration: registration?._id || null,
+    }).catch(err => {
+      // A concurrent delivery of the same event recorded it first
+      if (err.code !== 11000) throw err;
+    });
+
+    res.json({ success: true, message: 'Event processed.' });
+  } catch (error) {
+    console.error('🔴 Payment webhook error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to process event.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /mock/:orderId/complete — Simulate a Payment (Mock Provider)
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "outcome": "captured" }   (or "failed")
+ *
+ * Signs the webhook the mock provider would send and posts it to this
+ * server's own webhook endpoint, so the whole flow runs offline.
+ */
+router.post(
+  '/mock/:orderId/complete',
+  [
+    body('outcome')
+      .optional()
+      .isIn(['captured', 'failed']).withMessage('Outcome must be captured or failed'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const provider = getProvider();
+      if (!provider || provider.name !== 'mock') {
+        return res.status(404).json({ success: false, message: 'Mock payments are not enabled.' });
+      }
+
+      const registration = await Registration.findOne({
+        'onlinePayment.provider': 'mock',
+        'onlinePayment.orderId': req.params.orderId,
+      });
+      if (!registration) {
+        return res.status(404).json({ success: false, message: 'Order not found.' });
+      }
+
+      const { rawBody, signature } = provider.signWebhook({
+        orderId: registration.onlinePayment.orderId,
+        amount: registration.onlinePayment.amount,
+        outcome: req.body.outcome || 'captured',
+      });
+
+      const port = process.env.PORT || 5000;
+      const webhook = await fetch(`http://127.0.0.1:${port}/api/v1/payments/webhook/mock`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': signature },
+        body: rawBody,
+      });
+      if (!webhook.ok) {
+        return res.status(502).json({ success: false, message: 'The payment webhook was not accepted.' });
+      }
+
+      const updated = await Registration.findById(registration._id);
+      res.json({
+        success: true,
+        data: {
+          registrationId: updated._id,
+          status: updated.status,
+          paymentStatus: updated.onlinePayment.status,
+        },
+      });
+    } catch (error) {
+      console.error('🔴 Mock payment error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to simulate payment.' });
+    }
+  }
+);
+
+
+module.exports = router;
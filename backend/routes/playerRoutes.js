@@ -0,0 +1,343 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Player Account Routes
+ * ============================================================================
+ * Purpose: Passwordless player accounts — log in with a one-time code sent
+ *          to a phone number or email, keep a saved profile that prefills
+ *          the registration form, and see past registrations.
+ *
+ * Endpoints:
+ *   POST  /api/v1/players/otp/request     — Send a login code
+ *   POST  /api/v1/players/otp/verify      — Exchange a code for a token
+ *   GET   /api/v1/players/me              — Saved profile          (player)
+ *   PATCH /api/v1/players/me              — Update name / game IDs (player)
+ *   GET   /api/v1/players/me/registrations — Registration history   (player)
+ *
+ * Notes:
+ *   - Codes are delivered by utils/otpSender.js (OTP_SENDER in .env)
+ *   - The first verified code for a new phone/email creates the account
+ *   - Phone and email can't be edited here — they are only set by
+ *     verifying a code, so nobody can claim someone else's login
+ *   - History lists registrations submitted while logged in
+ * ============================================================================
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult, query } = require('express-validator');
+const Player = require('../models/Player');
+const OtpCode = require('../models/OtpCode');
+const Registration = require('../models/Registration');
+const { sendLoginCode } = require('../utils/otpSender');
+const { signPlayerToken, protectPlayer } = require('../middleware/playerAuth');
+
+const router = express.Router();
+
+// Wait at least this long before sending another code to the same destination
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// ── Code Request Rate Limiter ───────────────────────────────────────────
+// 5 codes per 15 minutes per IP (codes cost money once SMS is plugged in)
+const otpRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,  // 15 minutes
+  max: 5,                     // 5 requests per window
+  message: {
+    success: false,
+    message: 'Too many code requests. Please try again after 15 minutes.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ── Code Verify Rate Limiter ────────────────────────────────────────────
+// 10 attempts per 15 minutes per IP (each code also allows only 5 guesses)
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,  // 15 minutes
+  max: 10,                    // 10 attempts per window
+  message: {
+    success: false,
+    message: 'Too many login attempts. Please try again after 15 minutes.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Helper: return the first validation error (if any).
+ */
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: errors.array()[0].msg });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Work out which login the request is for.
+ * Phones are reduced to their last 10 digits (drops +91 / leading 0).
+ *
+ * @returns {{ channel: 'phone'|'email', destination: string }|null}
+ */
+function loginTarget({ phone, email }) {
+  if (email) {
+    return { channel: 'email', destination: String(email).trim().toLowerCase() };
+  }
+  if (phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length < 10 || digits.length > 13) return null;
+    return { channel: 'phone', destination: digits.slice(-10) };
+  }
+  return null;
+}
+
+// Phone OR email must be given; email is validated when present
+const loginValidators = [
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isEmail().withMessage('Please enter a valid email'),
+
+  body().custom(({ phone, email }) => {
+    if (!phone && !email) throw new Error('Enter your phone number or email');
+    if (!loginTarget({ phone, email })) throw new Error('Please enter a valid phone number');
+    return true;
+  }),
+];
+
+
+/* ========================================================================
+   POST /otp/request — Send a Login Code
+   ======================================================================== */
+
+/**
+ * Request body: { "phone": "+91 9876543210" }  or  { "email": "me@mail.com" }
+ */
+router.post('/otp/request', otpRequestLimiter, loginValidators, async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const { channel, destination } = loginTarget(req.body);
+
+    // ── Cooldown per destination ──
+    const recent = await OtpCode.findOne({
+      channel,
+      destination,
+      createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) },
+    });
+    if (recent) {
+      return res.status(429).json({
+        success: false,
+        message: 'A code was just sent. Please wait a minute before asking again.',
+      });
+    }
+
+    const code = await OtpCode.issue(channel, destination);
+    const sent = await sendLoginCode({ channel, destination, code, expiresInMinutes: OtpCode.TTL_MINUTES });
+
+    if (!sent) {
+      await OtpCode.deleteMany({ channel, destination });
+      return res.status(502).json({ success: false, message: 'Could not send the code. Please try again.' });
+    }
+
+    res.json({
+      success: true,
+      message: `Code sent. It expires in ${OtpCode.TTL_MINUTES} minutes.`,
+      data: { channel },
+    });
+  } catch (error) {
+    console.error('🔴 OTP request error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to send code.' });
+  }
+});
+
+
+/* ========================================================================
+   POST /otp/verify — Log In With a Code
+   ======================================================================== */
+
+/**
+ * Request body: { "phone": "9876543210", "code": "123456" }  (or "email")
+ * Creates the account on first login.
+ */
+router.post(
+  '/otp/verify',
+  otpVerifyLimiter,
+  [
+    ...loginValidators,
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/).withMessage('Enter the 6-digit code'),
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      const { channel, destination } = loginTarget(req.body);
+
+      const valid = await OtpCode.consume(channel, destination, req.body.code);
+      if (!valid) {
+        return res.status(401).json({ success: false, message: 'Invalid or expired code.' });
+      }
+
+      const player = await Player.findOneAndUpdate(
+        { [channel]: destination },
+        { $set: { lastLogin: new Date() } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      console.log(`🎮 Player login: ${channel} ${destination}`);
+
+      res.json({
+        success: true,
+        message: 'Logged in.',
+        data: {
+          token: signPlayerToken(player._id),
+          player: player.toProfileJSON(),
+        },
+      });
+    } catch (error) {
+      console.error('🔴 OTP verify error:', error.message);
+      res.status(500).json({ success: false, message: 'Login failed.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   Everything below requires a player token
+   ======================================================================== */
+
+router.use(protectPlayer);
+
+
+/* ========================================================================
+   GET /me — Saved Profile
+   ======================================================================== */
+
+router.get('/me', (req, res) => {
+  res.json({ success: true, data: req.player.toProfileJSON() });
+});
+
+
+/* ========================================================================
+   PATCH /me — Update Name / Saved Game IDs
+   ======================================================================== */
+
+/**
+ * Request body (all optional):
+ *   {
+ *     "name": "Ravi",
+ *     "games": { "pubg": { "inGameName": "ProPlayer", "inGameId": "5123456789" } }
+ *   }
+ */
+router.patch(
+  '/me',
+  [
+    body('name')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+    body('games')
+      .optional()
+      .isObject().withMessage('Games must be an object'),
+
+    body('games.*.inGameName')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 }).withMessage('In-game name cannot exceed 50 characters'),
+
+    body('games.*.inGameId')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 30 }).withMessage('In-game ID cannot exceed 30 characters'),
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      const player = req.player;
+      const { name, games } = req.body;
+
+      if (name !== undefined) player.name = name || null;
+
+      if (games) {
+        for (const game of ['pubg', 'freefire', 'cod']) {
+          if (!games[game]) continue;
+          const { inGameName, inGameId } = games[game];
+          if (inGameName !== undefined) player.games[game].inGameName = inGameName || null;
+          if (inGameId !== undefined) player.games[game].inGameId = inGameId || null;
+        }
+      }
+
+      await player.save();
+
+      res.json({ success: true, message: 'Profile updated.', data: player.toProfileJSON() });
+    } catch (error) {
+      console.error('🔴 Update player profile error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to update profile.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   GET /me/registrations — Registration History
+   ======================================================================== */
+
+router.get(
+  '/me/registrations',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      // Validated above; req.query is re-parsed on every read (Express 5), so parse here
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const filter = { player: req.player._id };
+
+      const [registrations, total] = await Promise.all([
+        Registration.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('tournament', 'title startTime status'),
+        Registration.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: registrations.map(reg => ({
+          registrationId: reg._id,
+          status: reg.status,
+          game: reg.game,
+          mode: reg.mode,
+          teamName: reg.teamName,
+          entryFee: reg.entryFee,
+          registeredAt: reg.createdAt,
+          tournament: reg.tournament
+            ? {
+                id: reg.tournament._id,
+                title: reg.tournament.title,
+                startTime: reg.tournament.startTime,
+                status: reg.tournament.status,
+              }
+            : null,
+        })),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      console.error('🔴 Player registrations error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to load registrations.' });
+    }
+  }
+);
+
+
+module.exports = router;
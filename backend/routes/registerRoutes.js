@@ -4,28 +4,59 @@
  * ============================================================================
  * Purpose: API route for handling tournament registrations.
  *
- * Endpoint:
- *   POST /api/v1/register
+ * Endpoints:
+ *   POST /api/v1/register          — Register for a tournament
+ *   POST /api/v1/register/status   — Look up a registration (ID + lead phone)
+ *   POST /api/v1/register/withdraw — Withdraw before the cutoff (ID + lead phone)
  *
  * What happens on submission:
- *   1. Validates input (game, mode, players, transactionId)
- *   2. Auto-calculates entry fee from mode (server-authoritative)
- *   3. Checks for duplicate transaction ID (prevents double registration)
- *   4. Validates player count matches the mode
- *   5. Saves registration to MongoDB
- *   6. Sends confirmation email to admin (non-blocking)
- *   7. Returns success/error response
+ *   1. Validates input (tournamentId, game, mode, players, transactionId)
+ *   2. Checks the tournament is open and has free slots
+ *   3. Resolves entry fee from the pricing config (server-authoritative)
+ *   4. UPI: checks for duplicate transaction ID (prevents double
+ *      registration) and that a payment screenshot was uploaded.
+ *      Online: needs a payment provider to be configured
+ *   5. Duo/squad: loads the captain's saved team and snapshots the chosen
+ *      members as the roster; validates player count matches the mode
+ *   6. Reserves the slot (Tournament.reserveSlot() — atomic, handed back
+ *      if anything below fails). UPI: stores the screenshot
+ *      (utils/storage.js). Online: creates a
+ *      gateway order (utils/paymentGateway.js). Saves the registration
+ *      to MongoDB (linked to the player account when a
+ *      player token is sent) and remembers the lead player's in-game details
+ *   7. Sends confirmation email to admin (non-blocking)
+ *   8. Returns success/error response
  *
  * Business Logic:
- *   - Solo: 1 player, ₹5 entry
- *   - Duo: 2 players, ₹10 entry, team name required
- *   - Squad: 4 players, ₹20 entry, team name required
+ *   - Every registration belongs to a scheduled Tournament
+ *   - Entries are rejected once the registration window closes or the
+ *     tournament is full
+ *   - Solo: 1 player
+ *   - Duo: 2 players from a saved team (routes/teamRoutes.js)
+ *   - Squad: 4 players from a saved team
+ *   - Team entries need a logged-in captain; one live entry per team per
+ *     tournament
+ *   - Entry fees come from models/PricingConfig.js (tournament override →
+ *     admin pricing → defaults)
+ *   - Online payments are approved by the gateway webhook
+ *     (routes/paymentRoutes.js); UPI payments by an admin
+ *   - Withdrawing frees the slot; a verified payment is queued for refund
+ *     (Registration.withdraw(), Tournament.isWithdrawalOpen())
  * ============================================================================
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const PricingConfig = require('../models/PricingConfig');
+const Team = require('../models/Team');
+const { optionalPlayer } = require('../middleware/playerAuth');
+const { paymentScreenshotUpload } = require('../middleware/uploadMiddleware');
+const storage = require('../utils/storage');
+const { getProvider } = require('../utils/paymentGateway');
 
 // Try to load emailService — don't crash if it fails
 let sendRegistrationEmail = null;
@@ -38,18 +69,42 @@ try {
 
 const router = express.Router();
 
-// Server-authoritative fee table — never trust the client
-const FEE_TABLE = { solo: 5, duo: 10, squad: 20 };
+// Minimum players required per mode
 const PLAYER_COUNT = { solo: 1, duo: 2, squad: 4 };
 
+/**
+ * Validator condition: does this entry send its own player details? Solo
+ * entries always do (a teamId is ignored); duo/squad only without a team.
+ */
+const sendsPlayers = (value, { req }) => req.body.mode === 'solo' || !req.body.teamId;
+
+// ── Status Lookup Rate Limiter ──────────────────────────────────────────
+// Slows down guessing of registration ID + phone combinations
+// 20 lookups per 15 minutes per IP
+const statusLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,  // 15 minutes
+  max: 20,                    // 20 lookups per window
+  message: {
+    success: false,
+    message: 'Too many status checks. Please try again after 15 minutes.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * POST /api/v1/register
  *
- * Request body:
+ * Sent as multipart/form-data:
+ *   - screenshot: UPI payment screenshot (JPEG/PNG/WebP, max 2 MB) — required for UPI
+ *   - payload: the JSON below as a string
+ *
+ * Payload:
  *   {
+ *     "tournamentId": "665f1c...",     (from GET /api/v1/tournaments)
  *     "game": "pubg",
  *     "mode": "solo",
- *     "teamName": null,                (required for duo/squad)
+ *     "teamName": null,                (solo only — teams use teamId)
  *     "players": [
  *       {
  *         "inGameName": "ProPlayer",
@@ -58,13 +113,32 @@ const PLAYER_COUNT = { solo: 1, duo: 2, squad: 4 };
  *         "email": "player@email.com"  (optional)
  *       }
  *     ],
- *     "transactionId": "UPI123456789"
+ *     "transactionId": "UPI123456789",
+ *     "paymentMethod": "upi"           (default; or "online")
  *   }
+ *
+ * Online payments send no transactionId or screenshot. The response then
+ * includes data.payment ({ provider, orderId, amount, currency, checkout })
+ * for the frontend to open the provider's checkout.
+ *
+ * Duo/squad entries send a saved team instead of teamName/players:
+ *   { ..., "teamId": "66a0b1...", "memberIds": ["66a0b2...", ...] }
+ * memberIds may be left out when the roster is exactly the mode's size.
+ *
+ * Optional header: "Authorization: Bearer <player token>" links the entry
+ * to the player's account (see routes/playerRoutes.js). Required for teams.
  */
 router.post(
   '/',
+  paymentScreenshotUpload,
+  optionalPlayer,
   // ── Input validation rules ──
   [
+    body('tournamentId')
+      .trim()
+      .notEmpty().withMessage('Tournament is required')
+      .isMongoId().withMessage('Invalid tournament selection'),
+
     body('game')
       .trim()
       .notEmpty().withMessage('Game is required')
@@ -80,22 +154,41 @@ router.post(
       .trim()
       .isLength({ max: 50 }).withMessage('Team name cannot exceed 50 characters'),
 
+    body('teamId')
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId().withMessage('Invalid team selection'),
+
+    body('memberIds')
+      .optional({ nullable: true })
+      .isArray({ max: Team.MAX_MEMBERS }).withMessage('Invalid player selection'),
+
+    // Player details are sent by solo entries and entries without a saved team
     body('players')
+      .if(sendsPlayers)
       .isArray({ min: 1, max: 5 }).withMessage('Players array is required (1–5 players)'),
 
     body('players.*.inGameName')
+      .if(sendsPlayers)
       .trim()
       .notEmpty().withMessage('In-game name is required for all players'),
 
     body('players.*.inGameId')
+      .if(sendsPlayers)
       .trim()
       .notEmpty().withMessage('In-game ID is required for all players'),
 
     body('players.*.phone')
+      .if(sendsPlayers)
       .trim()
       .notEmpty().withMessage('Phone number is required for all players'),
 
+    body('paymentMethod')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(['upi', 'online']).withMessage('Invalid payment method'),
+
+    // UPI entries type the transaction ID; online entries get the order ID
     body('transactionId')
+      .if(body('paymentMethod').not().equals('online'))
       .trim()
       .notEmpty().withMessage('Transaction ID is required')
       .isLength({ min: 5 }).withMessage('Transaction ID must be at least 5 characters'),
@@ -103,6 +196,8 @@ router.post(
   // ── Route handler ──
   async (req, res) => {
     console.log('📝 Registration handler reached for:', req.body?.game, req.body?.mode);
+    let screenshotKey = null;
+    let reservedIn = null;
     try {
       // Check for validation errors
       const errors = validationResult(req);
@@ -114,13 +209,57 @@ router.post(
         });
       }
 
-      const { game, mode, teamName, players, transactionId } = req.body;
+      const { tournamentId, game, mode, teamId, memberIds } = req.body;
+      let { teamName, players, transactionId } = req.body;
+      const isOnline = req.body.paymentMethod === 'online';
+
+      // ── Payment proof is required for verification ──
+      const provider = isOnline ? getProvider() : null;
+      if (isOnline && !provider) {
+        return res.status(400).json({
+          success: false,
+          message: 'Online payment is not available right now. Please pay by UPI.',
+        });
+      }
+
+      if (!isOnline && !req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please upload a screenshot of your UPI payment.',
+        });
+      }
+
+      // ── Look up the tournament and make sure it matches the form ──
+      const tournament = await Tournament.findById(tournamentId);
+      if (!tournament || tournament.game !== game || tournament.mode !== mode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tournament not found for this game and mode.',
+        });
+      }
+
+      // ── Registration window must be open ──
+      if (!tournament.isRegistrationOpen()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Registrations for this tournament are closed.',
+        });
+      }
+
+      // ── Slots must be available (quick check — reserved atomically below) ──
+      if (tournament.filledSlots >= tournament.maxSlots) {
+        return res.status(409).json({
+          success: false,
+          message: 'This tournament is full. Please pick another slot.',
+        });
+      }
 
       // ── Server-authoritative entry fee (never trust client) ──
-      const entryFee = FEE_TABLE[mode];
+      const pricingTable = await PricingConfig.getTable();
+      const { entryFee } = PricingConfig.resolve(pricingTable, game, mode, tournament);
 
       // ── Check for duplicate transaction ID ──
-      const existingRegistration = await Registration.findOne({ transactionId });
+      const existingRegistration = !isOnline && await Registration.findOne({ transactionId });
       if (existingRegistration) {
         return res.status(409).json({
           success: false,
@@ -128,8 +267,68 @@ router.post(
         });
       }
 
-      // ── Validate player count matches mode ──
       const expectedPlayers = PLAYER_COUNT[mode];
+
+      // ── Duo/squad: snapshot the roster of a saved team ──
+      let team = null;
+      if (mode !== 'solo') {
+        if (!req.player || !teamId) {
+          return res.status(400).json({
+            success: false,
+            message: 'Duo and squad entries use a saved team. Log in and pick your team.',
+          });
+        }
+
+        team = await Team.findById(teamId);
+        if (!team || !team.memberFor(req.player._id)) {
+          return res.status(404).json({ success: false, message: 'Team not found.' });
+        }
+
+        if (!team.isCaptain(req.player._id)) {
+          return res.status(403).json({ success: false, message: 'Only the team captain can register the team.' });
+        }
+
+        if (team.game !== game) {
+          return res.status(400).json({ success: false, message: 'This team is registered for a different game.' });
+        }
+
+        // Chosen members (or the whole roster when it is exactly the right size)
+        const picked = memberIds?.length
+          ? [...new Set(memberIds.map(String))].map(id => team.members.id(id))
+          : (team.members.length === expectedPlayers ? team.members : []);
+
+        if (picked.length !== expectedPlayers || picked.some(m => !m)) {
+          return res.status(400).json({
+            success: false,
+            message: `Pick exactly ${expectedPlayers} players from ${team.name}.`,
+          });
+        }
+
+        const alreadyEntered = await Registration.exists({
+          tournament: tournament._id,
+          team: team._id,
+          status: { $in: ['pending', 'approved'] },
+        });
+        if (alreadyEntered) {
+          return res.status(409).json({
+            success: false,
+            message: `${team.name} is already registered for this tournament.`,
+          });
+        }
+
+        // Captain leads the entry when playing (room emails + status lookup)
+        picked.sort((a, b) => team.isCaptain(b.player) - team.isCaptain(a.player));
+
+        teamName = team.name;
+        players = picked.map(m => ({
+          inGameName: m.inGameName,
+          inGameId: m.inGameId,
+          phone: m.phone,
+          email: m.email,
+        }));
+      }
+
+      // ── Validate player count matches mode ──
       if (players.length < expectedPlayers) {
         return res.status(400).json({
           success: false,
@@ -137,28 +336,70 @@ router.post(
         });
       }
 
-      // ── Validate team name for duo/squad ──
-      if ((mode === 'duo' || mode === 'squad') && !teamName) {
-        return res.status(400).json({
+      // ── Take the slot: two entries can't both get the last one ──
+      if (!await Tournament.reserveSlot(tournament._id)) {
+        return res.status(409).json({
           success: false,
-          message: 'Team name is required for duo and squad modes.',
+          message: 'This tournament is full. Please pick another slot.',
         });
       }
+      reservedIn = tournament._id;
 
-      // ── Save registration to MongoDB ──
       const registration = new Registration({
+        tournament: tournament._id,
         game,
         mode,
         teamName: teamName || null,
+        team: team?._id || null,
         players,
-        transactionId,
         entryFee,
         status: 'pending',
+        player: req.player?._id || null,
       });
 
+      let order = null;
+      if (isOnline) {
+        // ── Online: open a gateway order for the entry fee ──
+        try {
+          order = await provider.createOrder({ amount: entryFee * 100, currency: 'INR', receipt: String(registration._id) });
+        } catch (orderError) {
+          console.error(`🔴 ${provider.name} order error:`, orderError.message);
+          await Tournament.releaseSlots(reservedIn);
+          return res.status(502).json({
+            success: false,
+            message: 'Could not start the online payment. Please try again or pay by UPI.',
+          });
+        }
+
+        transactionId = order.orderId;
+        registration.onlinePayment = {
+          provider: provider.name,
+          orderId: order.orderId,
+          amount: order.amount,
+          currency: order.currency,
+        };
+      } else {
+        // ── UPI: save the screenshot ──
+        screenshotKey = await storage.save(req.file.buffer, { folder: 'payments', extension: req.file.extension });
+        registration.paymentScreenshot = {
+          key: screenshotKey,
+          mimetype: req.file.mimetype,
+          size: req.file.size,
+        };
+      }
+
+      registration.transactionId = transactionId;
       await registration.save();
+      reservedIn = null;  // the saved entry holds the slot now
       console.log(`🎮 New registration: ${game} ${mode} — Fee: ₹${entryFee} — Transaction: ${transactionId}`);
 
+      // ── Remember a solo player's details for next time ──
+      // (team members keep theirs on the team roster)
+      if (req.player && !team) {
+        req.player.games[game] = { inGameName: players[0].inGameName, inGameId: players[0].inGameId };
+        req.player.save().catch(err => console.warn('⚠️ Could not update player profile:', err.message));
+      }
+
       // ── Send registration confirmation email (non-blocking) ──
       if (sendRegistrationEmail) {
         sendRegistrationEmail({
@@ -176,19 +417,34 @@ router.post(
       // Return success
       return res.status(201).json({
         success: true,
-        message: 'Registration successful! You will receive match details via WhatsApp/call before the tournament.',
+        message: isOnline
+          ? 'Registration saved! Complete the payment to confirm your slot.'
+          : 'Registration successful! You will receive match details via WhatsApp/call before the tournament.',
         data: {
           registrationId: registration._id,
+          tournamentId: tournament._id,
           game,
           mode,
           teamName: teamName || null,
           playerCount: players.length,
           entryFee,
           status: 'pending',
+          payment: order
+            ? { provider: provider.name, orderId: order.orderId, amount: order.amount, currency: order.currency, checkout: order.checkout }
+            : null,
         },
       });
     } catch (error) {
       console.error('🔴 Registration error:', error.message);
+
+      // Don't keep screenshots or slots for registrations that were never saved
+      if (screenshotKey) {
+        storage.remove(screenshotKey).catch(err => console.warn('⚠️ Could not remove screenshot:', err.message));
+      }
+      if (reservedIn) {
+        Tournament.releaseSlots(reservedIn).catch(err => console.warn('⚠️ Could not release slot:', err.message));
+      }
+
       console.error('🔴 Registration stack:', error.stack);
 
       // Handle Mongoose duplicate key error (unique transactionId)
@@ -207,4 +463,179 @@ router.post(
   }
 );
 
+
+// Registration ID + lead player's phone — the proof used by /status and /withdraw
+const lookupValidators = [
+  body('registrationId')
+    .trim()
+    .notEmpty().withMessage('Registration ID is required'),
+
+  body('phone')
+    .trim()
+    .notEmpty().withMessage('Phone number is required'),
+];
+
+/**
+ * Helper: load the registration (with its tournament) for an ID + lead phone.
+ * A wrong ID and a wrong phone both send the same 404 (and return null).
+ */
+async function findByLookup(req, res) {
+  const { registrationId, phone } = req.body;
+  const registration = mongoose.isValidObjectId(registrationId)
+    ? await Registration.findById(registrationId).populate('tournament')
+    : null;
+
+  if (!registration || !registration.matchesLeadPhone(phone)) {
+    res.status(404).json({
+      success: false,
+      message: 'No registration found for that ID and phone number.',
+    });
+    return null;
+  }
+  return registration;
+}
+
+/**
+ * POST /api/v1/register/status
+ *
+ * Public status check for players. Both the registration ID and the lead
+ * player's phone are required so IDs alone can't be used to look up other
+ * teams. A wrong ID and a wrong phone return the same 404.
+ * Room ID/password are included only for approved registrations once the
+ * tournament's reveal time has passed.
+ *
+ * Request body:
+ *   { "registrationId": "665f1c...", "phone": "+91 9876543210" }
+ */
+router.post(
+  '/status',
+  statusLimiter,
+  lookupValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const registration = await findByLookup(req, res);
+      if (!registration) return;
+
+      const tournament = registration.tournament;
+
+      // Room details go to approved teams only, and only after the reveal time
+      const canSeeRoom = registration.status === 'approved' && tournament?.isRoomRevealed();
+
+      res.json({
+        success: true,
+        data: {
+          registrationId: registration._id,
+          status: registration.status,
+          game: registration.game,
+          mode: registration.mode,
+          teamName: registration.teamName,
+          players: registration.players.map(p => ({ inGameName: p.inGameName })),
+          entryFee: registration.entryFee,
+          registeredAt: registration.createdAt,
+          tournament: tournament
+            ? {
+                id: tournament._id,
+                title: tournament.title,
+                startTime: tournament.startTime,
+                status: tournament.status,
+                withdrawalClosesAt: tournament.withdrawalDeadline(),
+              }
+            : null,
+          canWithdraw: ['pending', 'approved'].includes(registration.status) && Boolean(tournament?.isWithdrawalOpen()),
+          refund: registration.refund
+            ? {
+                amount: registration.refund.amount ?? registration.entryFee,
+                referenceNumber: registration.refund.referenceNumber,
+                refundedAt: registration.refund.refundedAt,
+              }
+            : null,
+          room: canSeeRoom
+            ? { roomId: tournament.room.roomId, password: tournament.room.password }
+            : null,
+          roomRevealAt: registration.status === 'approved' && tournament?.room?.roomId && !canSeeRoom
+            ? tournament.room.revealAt
+            : null,
+        },
+      });
+    } catch (error) {
+      console.error('🔴 Registration status error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to look up registration.' });
+    }
+  }
+);
+
+
+/**
+ * POST /api/v1/register/withdraw
+ *
+ * Lets a player pull out before the tournament's withdrawal cutoff, using
+ * the same proof as the status lookup. The slot is freed at once; an entry
+ * whose payment was already verified is queued for a refund.
+ *
+ * Request body:
+ *   { "registrationId": "665f1c...", "phone": "+91 9876543210" }
+ */
+router.post(
+  '/withdraw',
+  statusLimiter,
+  lookupValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg });
+      }
+
+      const registration = await findByLookup(req, res);
+      if (!registration) return;
+
+      if (!['pending', 'approved'].includes(registration.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `This registration is already ${registration.status.replace('_', ' ')}.`,
+        });
+      }
+
+      if (!registration.tournament?.isWithdrawalOpen()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Withdrawals for this tournament have closed.',
+        });
+      }
+
+      // Only if nobody changed the entry meanwhile (the slot is released once)
+      registration.$where = { status: registration.status };
+      registration.withdraw();
+      try {
+        await registration.save();
+      } catch (saveError) {
+        if (saveError.name !== 'DocumentNotFoundError') throw saveError;
+        return res.status(409).json({
+          success: false,
+          message: 'This registration was just changed. Check its status and try again.',
+        });
+      }
+      await Tournament.releaseSlots(registration.tournament._id);
+
+      console.log(`↩️ Registration ${registration._id} withdrawn → ${registration.status}`);
+
+      res.json({
+        success: true,
+        message: registration.status === 'refund_pending'
+          ? 'You have withdrawn. Your entry fee will be refunded to the account you paid from.'
+          : 'You have withdrawn. If your payment went through, it will be refunded once we verify it.',
+        data: { registrationId: registration._id, status: registration.status },
+      });
+    } catch (error) {
+      console.error('🔴 Registration withdraw error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to withdraw registration.' });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,431 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Team Routes (Player Accounts)
+ * ============================================================================
+ * Purpose: Lets logged-in players keep a persistent duo/squad team, invite
+ *          teammates with a code, and manage the roster between tournaments.
+ *
+ * Endpoints (all require a player token):
+ *   GET    /api/v1/teams                        — Teams I captain or play in
+ *   POST   /api/v1/teams                        — Create a team (I become captain)
+ *   POST   /api/v1/teams/join                   — Join with an invite code
+ *   GET    /api/v1/teams/:id                    — Team details (members only)
+ *   PATCH  /api/v1/teams/:id                    — Rename          (captain)
+ *   POST   /api/v1/teams/:id/invite-code        — New invite code (captain)
+ *   DELETE /api/v1/teams/:id/members/:memberId  — Remove a member (captain) / leave (self)
+ *   DELETE /api/v1/teams/:id                    — Delete the team (captain)
+ *
+ * Notes:
+ *   - Team names are unique per game ignoring case, spaces and symbols
+ *   - Members are linked by in-game ID; each needs a phone number because
+ *     registrations copy the roster (see routes/registerRoutes.js)
+ *   - Roster changes are refused while the team is locked into a tournament
+ *     (Team.isRosterLocked())
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Team = require('../models/Team');
+const { protectPlayer } = require('../middleware/playerAuth');
+
+const router = express.Router();
+
+// All team routes require a logged-in player
+router.use(protectPlayer);
+
+/**
+ * Helper: return the first validation error (if any).
+ */
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: errors.array()[0].msg });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Helper: load a team the current player belongs to.
+ * Sends a 404 (and returns null) for unknown teams and non-members alike.
+ */
+async function loadTeam(req, res) {
+  const team = mongoose.isValidObjectId(req.params.id) ? await Team.findById(req.params.id) : null;
+
+  if (!team || !team.memberFor(req.player._id)) {
+    res.status(404).json({ success: false, message: 'Team not found.' });
+    return null;
+  }
+  return team;
+}
+
+/**
+ * Helper: refuse roster changes while the team is playing.
+ * Sends a 409 and returns true when locked.
+ */
+async function rejectIfLocked(team, res) {
+  if (await team.isRosterLocked()) {
+    res.status(409).json({
+      success: false,
+      message: 'The roster is locked while the team is entered in a tournament.',
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Helper: the member entry for the current player, using what they typed
+ * and falling back to their saved profile for the team's game.
+ */
+function memberFromRequest(req, game) {
+  const saved = req.player.games?.[game] || {};
+  return {
+    player: req.player._id,
+    inGameName: req.body.inGameName || saved.inGameName,
+    inGameId: req.body.inGameId || saved.inGameId,
+    phone: req.body.phone || req.player.phone,
+    email: req.body.email || req.player.email || null,
+  };
+}
+
+// Roster details — optional when already saved on the player's profile
+const memberValidators = [
+  body('inGameName').optional({ nullable: true, checkFalsy: true }).trim()
+    .isLength({ max: 50 }).withMessage('In-game name cannot exceed 50 characters'),
+  body('inGameId').optional({ nullable: true, checkFalsy: true }).trim()
+    .isLength({ max: 30 }).withMessage('In-game ID cannot exceed 30 characters'),
+  body('phone').optional({ nullable: true, checkFalsy: true }).trim(),
+  body('email').optional({ nullable: true, checkFalsy: true }).trim()
+    .isEmail().withMessage('Please enter a valid email'),
+];
+
+/**
+ * Helper: 400 if the member entry is missing anything the roster needs.
+ */
+function rejectIncompleteMember(member, res) {
+  if (!member.inGameName || !member.inGameId || !member.phone) {
+    res.status(400).json({
+      success: false,
+      message: 'In-game name, in-game ID and phone number are required to join a team.',
+    });
+    return true;
+  }
+  return false;
+}
+
+
+/* ========================================================================
+   GET / — My Teams
+   ======================================================================== */
+
+router.get('/', async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.player': req.player._id }).sort({ createdAt: -1 });
+    const locked = await Promise.all(teams.map(team => team.isRosterLocked()));
+
+    res.json({
+      success: true,
+      data: teams.map((team, i) => team.toMemberJSON(req.player._id, locked[i])),
+    });
+  } catch (error) {
+    console.error('🔴 List teams error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load teams.' });
+  }
+});
+
+
+/* ========================================================================
+   POST / — Create a Team
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "name": "Team Alpha", "game": "pubg",
+ *     "inGameName": "...", "inGameId": "...", "phone": "..." }   (captain's roster entry)
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Team name is required')
+      .isLength({ max: 50 }).withMessage('Team name cannot exceed 50 characters')
+      .custom(name => Team.nameKeyFor(name).length > 0).withMessage('Team name needs at least one letter or number'),
+
+    body('game')
+      .isIn(['pubg', 'freefire', 'cod']).withMessage('Invalid game'),
+
+    ...memberValidators,
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      const { name, game } = req.body;
+      const captain = memberFromRequest(req, game);
+      if (rejectIncompleteMember(captain, res)) return;
+
+      const team = await Team.create({
+        name,
+        game,
+        captain: req.player._id,
+        members: [captain],
+        inviteCode: Team.generateInviteCode(),
+      });
+
+      console.log(`🛡️ Team created: ${team.name} (${game})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Team created. Share the invite code with your teammates.',
+        data: team.toMemberJSON(req.player._id, false),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: 'A team with this name already exists for this game.' });
+      }
+      console.error('🔴 Create team error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to create team.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /join — Join a Team With an Invite Code
+   ======================================================================== */
+
+/**
+ * Request body:
+ *   { "inviteCode": "K7PX2M9Q", "inGameName": "...", "inGameId": "...", "phone": "..." }
+ */
+router.post(
+  '/join',
+  [
+    body('inviteCode')
+      .trim()
+      .notEmpty().withMessage('Invite code is required')
+      .toUpperCase(),
+
+    ...memberValidators,
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      const team = await Team.findOne({ inviteCode: req.body.inviteCode });
+      if (!team) {
+        return res.status(404).json({ success: false, message: 'Invalid invite code.' });
+      }
+
+      if (team.memberFor(req.player._id)) {
+        return res.status(409).json({ success: false, message: 'You are already in this team.' });
+      }
+
+      if (team.members.length >= Team.MAX_MEMBERS) {
+        return res.status(409).json({ success: false, message: `This team is full (${Team.MAX_MEMBERS} members).` });
+      }
+
+      const member = memberFromRequest(req, team.game);
+      if (rejectIncompleteMember(member, res)) return;
+
+      if (team.members.some(m => m.inGameId.toLowerCase() === member.inGameId.toLowerCase())) {
+        return res.status(409).json({ success: false, message: 'Someone in this team already uses that in-game ID.' });
+      }
+
+      if (await rejectIfLocked(team, res)) return;
+
+      // One conditional push: the checks above are repeated in the filter, so
+      // two players joining at once can't take the team past MAX_MEMBERS
+      const joined = await Team.updateOne(
+        {
+          _id: team._id,
+          [`members.${Team.MAX_MEMBERS - 1}`]: { $exists: false },
+          'members.player': { $ne: req.player._id },
+          'members.inGameId': { $ne: member.inGameId },
+        },
+        { $push: { members: member } },
+        { runValidators: true }
+      );
+      if (!joined.modifiedCount) {
+        return res.status(409).json({
+          success: false,
+          message: 'The team changed while you were joining (it may be full now). Please try again.',
+        });
+      }
+
+      const updated = await Team.findById(team._id);
+      console.log(`🛡️ ${member.inGameName} joined team ${updated.name}`);
+
+      res.json({
+        success: true,
+        message: `You joined ${updated.name}.`,
+        data: updated.toMemberJSON(req.player._id, false),
+      });
+    } catch (error) {
+      console.error('🔴 Join team error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to join team.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   GET /:id — Team Details
+   ======================================================================== */
+
+router.get('/:id', async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    res.json({ success: true, data: team.toMemberJSON(req.player._id, await team.isRosterLocked()) });
+  } catch (error) {
+    console.error('🔴 Get team error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load team.' });
+  }
+});
+
+
+/* ========================================================================
+   PATCH /:id — Rename (Captain)
+   ======================================================================== */
+
+router.patch(
+  '/:id',
+  [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Team name is required')
+      .isLength({ max: 50 }).withMessage('Team name cannot exceed 50 characters')
+      .custom(name => Team.nameKeyFor(name).length > 0).withMessage('Team name needs at least one letter or number'),
+  ],
+  async (req, res) => {
+    try {
+      if (!checkValidation(req, res)) return;
+
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      if (!team.isCaptain(req.player._id)) {
+        return res.status(403).json({ success: false, message: 'Only the captain can rename the team.' });
+      }
+
+      if (await rejectIfLocked(team, res)) return;
+
+      team.name = req.body.name;
+      await team.save();
+
+      res.json({ success: true, message: 'Team renamed.', data: team.toMemberJSON(req.player._id, false) });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: 'A team with this name already exists for this game.' });
+      }
+      console.error('🔴 Rename team error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to rename team.' });
+    }
+  }
+);
+
+
+/* ========================================================================
+   POST /:id/invite-code — Reset the Invite Code (Captain)
+   ======================================================================== */
+
+router.post('/:id/invite-code', async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    if (!team.isCaptain(req.player._id)) {
+      return res.status(403).json({ success: false, message: 'Only the captain can reset the invite code.' });
+    }
+
+    team.inviteCode = Team.generateInviteCode();
+    await team.save();
+
+    res.json({
+      success: true,
+      message: 'New invite code created. The old code no longer works.',
+      data: team.toMemberJSON(req.player._id, await team.isRosterLocked()),
+    });
+  } catch (error) {
+    console.error('🔴 Reset invite code error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to reset invite code.' });
+  }
+});
+
+
+/* ========================================================================
+   DELETE /:id/members/:memberId — Remove a Member / Leave
+   ======================================================================== */
+
+router.delete('/:id/members/:memberId', async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const member = team.members.id(req.params.memberId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Member not found.' });
+    }
+
+    const isSelf = String(member.player) === String(req.player._id);
+    if (!isSelf && !team.isCaptain(req.player._id)) {
+      return res.status(403).json({ success: false, message: 'Only the captain can remove other members.' });
+    }
+
+    if (String(member.player) === String(team.captain)) {
+      return res.status(400).json({ success: false, message: 'The captain cannot leave. Delete the team instead.' });
+    }
+
+    if (await rejectIfLocked(team, res)) return;
+
+    member.deleteOne();
+    await team.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? `You left ${team.name}.` : 'Member removed.',
+      data: isSelf ? null : team.toMemberJSON(req.player._id, false),
+    });
+  } catch (error) {
+    console.error('🔴 Remove team member error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to remove member.' });
+  }
+});
+
+
+/* ========================================================================
+   DELETE /:id — Delete the Team (Captain)
+   ======================================================================== */
+
+/**
+ * Past registrations keep their roster snapshot and team name.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    if (!team.isCaptain(req.player._id)) {
+      return res.status(403).json({ success: false, message: 'Only the captain can delete the team.' });
+    }
+
+    if (await rejectIfLocked(team, res)) return;
+
+    await team.deleteOne();
+    console.log(`🗑️ Team deleted: ${team.name}`);
+
+    res.json({ success: true, message: 'Team deleted.' });
+  } catch (error) {
+    console.error('🔴 Delete team error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to delete team.' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Tournament Routes (Public)
+ * ============================================================================
+ * Purpose: Public, read-only API for listing scheduled tournaments with
+ *          live slot counts. Used by the game pages and registration form.
+ *
+ * Endpoints:
+ *   GET /api/v1/tournaments       — List upcoming tournaments
+ *   GET /api/v1/tournaments/:id   — Get a single tournament
+ *
+ * Query params (list):
+ *   - game: pubg | freefire | cod   (optional)
+ *   - mode: solo | duo | squad      (optional)
+ *
+ * Note: Only "scheduled" tournaments that have not started yet are listed.
+ *       Cancelled/archived events are hidden from the public site.
+ * ============================================================================
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+const PricingConfig = require('../models/PricingConfig');
+
+const router = express.Router();
+
+
+/* ========================================================================
+   GET / — List Upcoming Tournaments
+   ======================================================================== */
+
+router.get('/', async (req, res) => {
+  try {
+    const { game, mode } = req.query;
+
+    // Build filter — only upcoming, scheduled events
+    const filter = { status: 'scheduled', startTime: { $gt: new Date() } };
+    if (game && ['pubg', 'freefire', 'cod'].includes(game)) filter.game = game;
+    if (mode && ['solo', 'duo', 'squad'].includes(mode)) filter.mode = mode;
+
+    const tournaments = await Tournament.find(filter)
+      .sort({ startTime: 1 })
+      .limit(50);
+
+    const [filled, pricing] = await Promise.all([
+      Tournament.getFilledSlots(tournaments.map(t => t._id)),
+      PricingConfig.getTable(),
+    ]);
+
+    res.json({
+      success: true,
+      data: tournaments.map(t => t.toPublicJSON(filled.get(String(t._id)) || 0, pricing)),
+    });
+  } catch (error) {
+    console.error('🔴 Tournaments list error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load tournaments.' });
+  }
+});
+
+
+/* ========================================================================
+   GET /:id — Get a Single Tournament
+   ======================================================================== */
+
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Tournament not found.' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament || tournament.status === 'archived') {
+      return res.status(404).json({ success: false, message: 'Tournament not found.' });
+    }
+
+    const [filled, pricing] = await Promise.all([
+      Tournament.getFilledSlots([tournament._id]),
+      PricingConfig.getTable(),
+    ]);
+
+    res.json({
+      success: true,
+      data: tournament.toPublicJSON(filled.get(String(tournament._id)) || 0, pricing),
+    });
+  } catch (error) {
+    console.error('🔴 Tournament fetch error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load tournament.' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Create Admin Script
+ * ============================================================================
+ * Purpose: Creates an admin account from the command line — the bootstrap
+ *          for a fresh database (or a way back in if every superadmin is
+ *          locked out). No credentials live in the code.
+ *
+ * Usage:
+ *   npm run create-admin                      (prompts for everything)
+ *   ADMIN_EMAIL=you@example.com ADMIN_NAME="Your Name" ADMIN_PASSWORD=... \
+ *     npm run create-admin                    (non-interactive, e.g. CI)
+ *
+ * Environment (each one is prompted for when missing):
+ *   - ADMIN_EMAIL    — Login email
+ *   - ADMIN_NAME     — Display name
+ *   - ADMIN_PASSWORD — At least 8 characters (typed twice, hidden, when prompted)
+ *   - ADMIN_ROLE     — Role to grant (default: superadmin)
+ *
+ * What it does:
+ *   1. Connects to MongoDB using MONGO_URI from .env
+ *   2. Refuses if an admin with that email already exists
+ *   3. Creates the admin (password auto-hashed by the Admin model)
+ *   4. Disconnects from database
+ *
+ * Alternative: with no admin in the database, the server prints a one-time
+ *              setup link for creating the first superadmin from admin.html
+ *              (see utils/adminSetup.js).
+ * ============================================================================
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const readline = require('readline');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const { ROLES } = require('../utils/permissions');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Ask a question on the terminal. Hidden answers are not echoed.
+ */
+function ask(question, { hidden = false } = {}) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+    if (hidden) {
+      // Print the prompt, then swallow the echoed keystrokes
+      rl._writeToOutput = (text) => {
+        if (text.startsWith(question)) rl.output.write(question);
+      };
+    }
+
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Credentials from the environment, prompting for whatever is missing.
+ */
+async function readCredentials() {
+  const email = (process.env.ADMIN_EMAIL || await ask('Admin email: ')).toLowerCase();
+  const name = process.env.ADMIN_NAME || await ask('Display name: ');
+  const role = process.env.ADMIN_ROLE || 'superadmin';
+
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = await ask(`Password (min ${MIN_PASSWORD_LENGTH} characters): `, { hidden: true });
+    const confirm = await ask('Confirm password: ', { hidden: true });
+    if (password !== confirm) throw new Error('The passwords do not match.');
+  }
+
+  if (!/^\S+@\S+\.\S+$/.test(email)) throw new Error('Please enter a valid email.');
+  if (!name) throw new Error('A display name is required.');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`The password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  if (!ROLES.includes(role)) throw new Error(`ADMIN_ROLE must be one of: ${ROLES.join(', ')}`);
+
+  return { email, name, password, role };
+}
+
+async function createAdmin() {
+  try {
+    const credentials = await readCredentials();
+
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGO_URI || 'mongodb://localhost:27017/gullyesports';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    if (await Admin.exists({ email: credentials.email })) {
+      console.log(`⚠️ An admin with this email already exists: ${credentials.email}`);
+      console.log('   Nothing changed. Use the dashboard to reset their password.');
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
+    // Password is auto-hashed by the pre-save hook
+    const admin = await Admin.create(credentials);
+
+    console.log('🎉 Admin created successfully!');
+    console.log(`   Email: ${admin.email}`);
+    console.log(`   Role:  ${admin.role}`);
+
+    // Disconnect
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('🔴 Create admin error:', error.message);
+    process.exit(1);
+  }
+}
+
+createAdmin();
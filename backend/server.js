@@ -5,6 +5,18 @@
  * Purpose: Main Express.js server that handles:
  *   1. Contact form submissions (save to DB + send email)
  *   2. Tournament registrations (save to DB)
+ *   3. Public tournament listings with live slot counts
+ *   4. Public pricing config (fees + prizes) for the frontend
+ *   5. Public leaderboards built from match results
+ *   6. Player accounts (one-time code login, profile, history)
+ *   7. Persistent duo/squad teams with invite codes
+ *   8. Payment reconciliation from bank/UPI statements (admin)
+ *   9. Online entry-fee payments through a pluggable gateway (webhooks)
+ *  10. Admin accounts managed from the dashboard (invites, roles, deactivation)
+ *  11. First-run setup link for the first superadmin (no built-in account)
+ *  12. Optional authenticator-app (TOTP) two-factor login for admins
+ *  13. Admin dashboard sessions in httpOnly cookies (refresh rotation, CSRF)
+ *  14. Audit log of every admin action (read-only view for superadmins)
  *
  * How it works:
  *   - Loads environment variables from .env file
@@ -25,6 +37,7 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
@@ -32,24 +45,36 @@ const path = require('path');
 // ── Custom NoSQL Injection Sanitizer (Express 5 compatible) ──────────
 // express-mongo-sanitize is NOT compatible with Express 5 (req.query is read-only)
 // This custom middleware sanitizes req.body in-place to strip MongoDB operators
-function sanitizeObject(obj) {
-  if (typeof obj !== 'object' || obj === null) return obj;
-  for (const key of Object.keys(obj)) {
-    // Remove keys that start with $ (MongoDB operators like $gt, $ne, $regex)
-    if (key.startsWith('$')) {
-      console.warn(`⚠️ Sanitized NoSQL injection attempt: key "${key}" removed`);
-      delete obj[key];
-    } else if (typeof obj[key] === 'object') {
-      sanitizeObject(obj[key]); // Recursively sanitize nested objects
-    }
-  }
-  return obj;
-}
+const { sanitizeObject } = require('./utils/sanitize');
 
 // ── Import route modules ────────────────────────────────────────────────
 const contactRoutes = require('./routes/contactRoutes');
 const registerRoutes = require('./routes/registerRoutes');
+const tournamentRoutes = require('./routes/tournamentRoutes');
+const configRoutes = require('./routes/configRoutes');
+const leaderboardRoutes = require('./routes/leaderboardRoutes');
+const playerRoutes = require('./routes/playerRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const adminTournamentRoutes = require('./routes/adminTournamentRoutes');
+const adminConfigRoutes = require('./routes/adminConfigRoutes');
+const adminResultRoutes = require('./routes/adminResultRoutes');
+const adminPayoutRoutes = require('./routes/adminPayoutRoutes');
+const adminReconciliationRoutes = require('./routes/adminReconciliationRoutes');
+const adminUserRoutes = require('./routes/adminUserRoutes');
+const adminTwoFactorRoutes = require('./routes/adminTwoFactorRoutes');
+const adminAuditRoutes = require('./routes/adminAuditRoutes');
+
+// ── Background jobs ─────────────────────────────────────────────────────
+const { startRoomDelivery } = require('./utils/roomDelivery');
+const { startOrderExpiry } = require('./utils/orderExpiry');
+
+// ── First-run admin setup (no hard-coded accounts) ──────────────────────
+const { prepareSetup } = require('./utils/adminSetup');
+
+// ── Slot counters (rebuilt at startup) ──────────────────────────────────
+const Tournament = require('./models/Tournament');
 
 // ── Initialize Express app ──────────────────────────────────────────────
 const app = express();
@@ -81,17 +106,26 @@ app.use(cors({
     }
     return callback(new Error('Not allowed by CORS'));
   },
-  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token'],
+  // The admin dashboard signs in with httpOnly cookies (utils/adminSession.js)
+  credentials: true,
 }));
 
 // --- Parse JSON request bodies ---
 // Limit to 10MB to prevent large payload attacks
-app.use(express.json({ limit: '10mb' }));
+// The raw bytes are kept for payment webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
 
 // --- Parse URL-encoded form data ---
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// --- Parse cookies (admin dashboard session) ---
+app.use(cookieParser());
+
 // --- NoSQL Injection Prevention (Express 5 compatible) ---
 // Sanitizes req.body to strip MongoDB operators ($gt, $ne, etc.)
 // NOTE: express-mongo-sanitize is not used because it tries to set
@@ -112,6 +146,8 @@ const apiLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Payment providers deliver webhooks in bursts from a few IPs
+  skip: (req) => req.path.startsWith('/v1/payments/webhook/'),
 });
 
 // Apply rate limiter to all API routes
@@ -143,6 +179,48 @@ app.use('/api/v1/contact', contactRoutes);
 // Mount registration routes: POST /api/v1/register
 app.use('/api/v1/register', registerRoutes);
 
+// Mount tournament routes: GET /api/v1/tournaments
+app.use('/api/v1/tournaments', tournamentRoutes);
+
+// Mount public config routes: GET /api/v1/config/pricing
+app.use('/api/v1/config', configRoutes);
+
+// Mount leaderboard routes: GET /api/v1/leaderboards
+app.use('/api/v1/leaderboards', leaderboardRoutes);
+
+// Mount player account routes: /api/v1/players/*
+app.use('/api/v1/players', playerRoutes);
+
+// Mount team routes: /api/v1/teams/*
+app.use('/api/v1/teams', teamRoutes);
+
+// Mount payment routes: /api/v1/payments/*
+app.use('/api/v1/payments', paymentRoutes);
+
+// Mount admin config routes: /api/v1/admin/config/*
+app.use('/api/v1/admin/config', adminConfigRoutes);
+
+// Mount admin result routes: /api/v1/admin/tournaments/:tournamentId/results
+app.use('/api/v1/admin/tournaments/:tournamentId/results', adminResultRoutes);
+
+// Mount admin payout routes: /api/v1/admin/payouts/*
+app.use('/api/v1/admin/payouts', adminPayoutRoutes);
+
+// Mount admin reconciliation routes: /api/v1/admin/reconciliation/*
+app.use('/api/v1/admin/reconciliation', adminReconciliationRoutes);
+
+// Mount admin user management routes: /api/v1/admin/users/*
+app.use('/api/v1/admin/users', adminUserRoutes);
+
+// Mount admin two-factor routes: /api/v1/admin/me/2fa/*
+app.use('/api/v1/admin/me/2fa', adminTwoFactorRoutes);
+
+// Mount admin audit log routes: /api/v1/admin/audit
+app.use('/api/v1/admin/audit', adminAuditRoutes);
+
+// Mount admin tournament routes: /api/v1/admin/tournaments/*
+app.use('/api/v1/admin/tournaments', adminTournamentRoutes);
+
 // Mount admin routes: /api/v1/admin/*
 app.use('/api/v1/admin', adminRoutes);
 
@@ -189,23 +267,26 @@ async function startServer() {
     dbConnected = true;
     console.log('✅ Connected to MongoDB successfully');
 
-    // ── Auto-seed admin user (if not exists) ──
+    // ── First run: offer a one-time setup link if no admin exists ──
+    try {
+      await prepareSetup();
+    } catch (setupErr) {
+      console.warn('⚠️ Admin setup check failed:', setupErr.message);
+    }
+
+    // ── Bring tournament slot counters in line with the registrations ──
     try {
-      const Admin = require('./models/Admin');
-      const existingAdmin = await Admin.findOne({ email: 'ishukriitpatna@gmail.com' });
-      if (!existingAdmin) {
-        const admin = new Admin({
-          email: 'ishukriitpatna@gmail.com',
-          password: 'ISHUkr75@',
-          name: 'GULLYESPORTS Admin',
-          role: 'superadmin',
-        });
-        await admin.save();
-        console.log('🎉 Admin user auto-seeded successfully');
-      }
-    } catch (seedErr) {
-      console.warn('⚠️ Admin seed skipped:', seedErr.message);
+      const corrected = await Tournament.syncFilledSlots();
+      if (corrected) console.log(`🎟️ Slot counters corrected for ${corrected} tournament(s)`);
+    } catch (syncErr) {
+      console.warn('⚠️ Slot counter sync failed:', syncErr.message);
     }
+
+    // ── Email room details to approved teams when they are revealed ──
+    startRoomDelivery();
+
+    // ── Give back the slots of online entries that were never paid ──
+    startOrderExpiry();
   } catch (err) {
     console.error('🔴 Failed to connect to MongoDB:', err.message);
     console.warn('⚠️ Server will start without database — DB features will fail.');
@@ -226,6 +307,7 @@ async function startServer() {
     console.log(`  MongoDB:   ${dbConnected ? '✅ Connected' : '❌ Not Connected'}`);
     console.log(`  Email:     ${process.env.EMAIL_PASS && process.env.EMAIL_PASS !== 'your_gmail_app_password_here' ? '✅ Configured' : '⚠️ App Password not set (emails will fail)'}`);
     console.log(`  JWT:       ${process.env.JWT_SECRET ? '✅ Secret set' : '⚠️ JWT_SECRET missing (admin auth will fail)'}`);
+    console.log(`  Payments:  ${process.env.PAYMENT_PROVIDER ? `✅ Online via ${process.env.PAYMENT_PROVIDER}` : 'UPI only (PAYMENT_PROVIDER not set)'}`);
     console.log(`  Security:  ✅ Helmet, CORS, Rate Limit, Mongo Sanitize`);
     console.log('');
   });
@@ -0,0 +1,108 @@
+/*
+ * Bulk registration status changes (PATCH /api/v1/admin/registrations/bulk).
+ * Runs the route against stubbed models (see helpers.js).
+ */
+
+const { test, mock, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const router = require('../routes/adminRoutes');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const AuditLog = require('../models/AuditLog');
+const { fakeReq, fakeSession, callRoute } = require('./helpers');
+
+/**
+ * Registration.find stand-in: the selection returns `registrations`; the
+ * read-back of the write (it filters on the write's updatedAt stamp)
+ * returns those in `changedByUs`, with the new status and the stamp.
+ */
+function stubFind(registrations, changedByUs = registrations) {
+  return mock.method(Registration, 'find', async query => {
+    if (!query.updatedAt) return registrations;
+    return changedByUs.map(reg => Registration.hydrate({ ...reg.toObject(), status: query.status, updatedAt: query.updatedAt }));
+  });
+}
+
+function bulkReq(registrations, status) {
+  return fakeReq({ body: { ids: registrations.map(reg => String(reg._id)), status } });
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(Registration, 'startSession', async () => fakeSession());
+});
+
+afterEach(() => mock.restoreAll());
+
+test('bulk reject releases slots only for registrations with a tournament', async () => {
+  const tournamentId = new mongoose.Types.ObjectId();
+  const registrations = [
+    new Registration({ status: 'pending', tournament: null }),
+    new Registration({ status: 'approved', tournament: tournamentId }),
+    new Registration({ status: 'pending', tournament: tournamentId }),
+  ];
+
+  stubFind(registrations);
+  mock.method(Registration, 'bulkWrite', async () => ({ modifiedCount: registrations.length }));
+  mock.method(AuditLog, 'insertMany', async () => []);
+  const releaseSlots = mock.method(Tournament, 'releaseSlots', async () => {});
+
+  const res = await callRoute(router, 'patch', '/registrations/bulk', bulkReq(registrations, 'rejected'));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.data.updated, 3);
+  assert.deepStrictEqual(releaseSlots.mock.calls.map(call => call.arguments), [[String(tournamentId), 2]]);
+});
+
+test('only the registrations the write changed are audited', async () => {
+  const registrations = [
+    new Registration({ status: 'pending' }),
+    new Registration({ status: 'pending' }),  // rejected by another admin before our write
+    new Registration({ status: 'rejected' }),  // already rejected when read
+  ];
+  const [ours, theirs] = registrations;
+
+  stubFind(registrations, [ours]);
+  mock.method(Registration, 'bulkWrite', async () => ({ modifiedCount: 1 }));
+  const audit = mock.method(AuditLog, 'insertMany', async () => []);
+  mock.method(Tournament, 'releaseSlots', async () => {});
+
+  const res = await callRoute(router, 'patch', '/registrations/bulk', bulkReq(registrations, 'rejected'));
+
+  assert.strictEqual(res.body.data.updated, 1);
+  assert.strictEqual(res.body.data.skipped, 2);
+  const outcome = id => res.body.data.results.find(result => result.id === String(id)).message;
+  assert.strictEqual(outcome(theirs._id), 'Changed by someone else meanwhile');
+
+  assert.strictEqual(audit.mock.callCount(), 1);
+  const [entries] = audit.mock.calls[0].arguments;
+  assert.deepStrictEqual(entries.map(entry => String(entry.targetId)), [String(ours._id)]);
+});
+
+test('a failed write changes, audits and keeps nothing', async () => {
+  const tournamentId = new mongoose.Types.ObjectId();
+  const registrations = [
+    new Registration({ status: 'rejected', tournament: tournamentId }),
+    new Registration({ status: 'rejected', tournament: tournamentId }),
+  ];
+
+  const find = stubFind(registrations);
+  mock.method(Registration, 'bulkWrite', async () => {
+    throw new Error('WriteConflict');
+  });
+  const audit = mock.method(AuditLog, 'insertMany', async () => []);
+  mock.method(Tournament, 'reserveSlot', async () => ({ _id: tournamentId }));
+  const releaseSlots = mock.method(Tournament, 'releaseSlots', async () => {});
+  mock.method(console, 'error', () => {});
+
+  const res = await callRoute(router, 'patch', '/registrations/bulk', bulkReq(registrations, 'pending'));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.data.updated, 0);
+  assert.ok(res.body.data.results.every(result => result.message === 'Not saved — please try again'));
+  assert.strictEqual(find.mock.callCount(), 1);  // no read-back of a rolled-back write
+  assert.strictEqual(audit.mock.callCount(), 0);
+  // Both re-admissions took a slot, and both go back
+  assert.deepStrictEqual(releaseSlots.mock.calls.map(call => call.arguments), [[String(tournamentId), 2]]);
+});
@@ -0,0 +1,29 @@
+/*
+ * Match results entry (PUT /api/v1/admin/tournaments/:tournamentId/results).
+ */
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/adminResultRoutes');
+const Tournament = require('../models/Tournament');
+const Result = require('../models/Result');
+const { fakeReq, callRoute, objectId } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('a team listed twice is refused before anything is written', async () => {
+  const findTournament = mock.method(Tournament, 'findById', async () => null);
+  const upsert = mock.method(Result, 'findOneAndUpdate', async () => null);
+  const registrationId = objectId();
+
+  const req = fakeReq({
+    params: { tournamentId: objectId() },
+    body: { results: [{ registrationId, placement: 1 }, { registrationId, placement: 2 }] },
+  });
+  const res = await callRoute(router, 'put', '/', req);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.message, 'Each team can only appear once in the results');
+  assert.strictEqual(findTournament.mock.callCount(), 0);
+  assert.strictEqual(upsert.mock.callCount(), 0);
+});
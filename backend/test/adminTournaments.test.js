@@ -0,0 +1,69 @@
+/*
+ * Admin tournament routes (/api/v1/admin/tournaments): error responses.
+ */
+
+const { test, mock, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/adminTournamentRoutes');
+const adminRouter = require('../routes/adminRoutes');
+const Tournament = require('../models/Tournament');
+const Registration = require('../models/Registration');
+const { fakeReq, callRoute } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+function schedule({ startsIn = 48, closesIn = 24 } = {}) {
+  return {
+    game: 'pubg',
+    mode: 'squad',
+    startTime: new Date(Date.now() + startsIn * HOUR).toISOString(),
+    registrationClosesAt: new Date(Date.now() + closesIn * HOUR).toISOString(),
+    maxSlots: 25,
+  };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a malformed tournament ID is a 404, not a CastError', async () => {
+  const findById = mock.method(Tournament, 'findById', async () => null);
+
+  for (const path of ['/:id', '/:id/clone']) {
+    const method = path === '/:id' ? 'patch' : 'post';
+    const res = await callRoute(router, method, path, fakeReq({ params: { id: 'not-an-id' }, body: {} }));
+    assert.strictEqual(res.statusCode, 404, path);
+  }
+  assert.strictEqual(findById.mock.callCount(), 0);
+});
+
+test('an impossible schedule is a 400 with a readable message', async () => {
+  const res = await callRoute(router, 'post', '/', fakeReq({ body: schedule({ startsIn: 24, closesIn: 48 }) }));
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.message, 'Registration must close before the tournament starts');
+});
+
+test('a database error is a generic 500', async () => {
+  mock.method(Tournament.prototype, 'save', async () => {
+    throw new Error('connection reset by mongodb-01.internal');
+  });
+
+  const res = await callRoute(router, 'post', '/', fakeReq({ body: schedule() }));
+
+  assert.strictEqual(res.statusCode, 500);
+  assert.strictEqual(res.body.message, 'Failed to create tournament.');
+});
+
+test('a malformed registration ID is a 404 on PATCH /registrations/:id', async () => {
+  const findById = mock.method(Registration, 'findById', async () => null);
+
+  const req = fakeReq({ params: { id: 'not-an-id' }, body: { status: 'approved' } });
+  const res = await callRoute(adminRouter, 'patch', '/registrations/:id', req);
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(findById.mock.callCount(), 0);
+});
@@ -0,0 +1,105 @@
+/*
+ * Shared helpers for the route tests. Routes run against stubbed models
+ * (node:test mock.method) — no database or HTTP server needed.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Minimal Express response: records the status and JSON body.
+ */
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  };
+}
+
+/**
+ * Minimal Express request. `admin` defaults to a superadmin.
+ */
+function fakeReq({ body = {}, params = {}, query = {}, admin, ...rest } = {}) {
+  return {
+    body,
+    params,
+    query,
+    headers: {},
+    cookies: {},
+    ip: '127.0.0.1',
+    admin: admin === undefined ? fakeAdmin() : admin,
+    get: () => undefined,
+    ...rest,
+  };
+}
+
+/**
+ * An Admin document of the given role (never saved).
+ */
+function fakeAdmin(role = 'superadmin') {
+  const Admin = require('../models/Admin');
+  return new Admin({ name: 'Test Admin', email: `${role}@example.com`, role });
+}
+
+/**
+ * A stand-in for a Mongoose query: chainable (sort, populate, ...) and
+ * awaitable, resolving to `value`.
+ */
+function fakeQuery(value) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  for (const method of ['sort', 'skip', 'limit', 'select', 'populate', 'lean', 'session']) {
+    query[method] = () => query;
+  }
+  return query;
+}
+
+/**
+ * A stand-in for a Mongoose ClientSession: withTransaction() just runs the
+ * callback (a throw inside it stands for a rolled-back transaction).
+ */
+function fakeSession() {
+  return {
+    withTransaction: async fn => { await fn(); },
+    endSession: async () => {},
+  };
+}
+
+/**
+ * Run the handlers of one route in order, like Express would, and return
+ * the response. Handlers named in `skip` (e.g. auth or upload middleware)
+ * are left out; router-level middleware (router.use) never runs.
+ *
+ * @param {Router} router
+ * @param {string} method - e.g. 'post'
+ * @param {string} path - The route path as declared, e.g. '/:id/room'
+ * @param {Object} req - From fakeReq()
+ * @param {Object} [options]
+ * @param {string[]} [options.skip] - Handler function names to skip
+ */
+async function callRoute(router, method, path, req, { skip = ['protect'] } = {}) {
+  const layer = router.stack.find(l => l.route?.path === path && l.route.methods[method]);
+  if (!layer) throw new Error(`No route ${method.toUpperCase()} ${path}`);
+
+  const res = fakeRes();
+  for (const { handle } of layer.route.stack) {
+    if (skip.includes(handle.name)) continue;
+    let nextCalled = false;
+    await handle(req, res, (err) => {
+      if (err) throw err;
+      nextCalled = true;
+    });
+    if (!nextCalled) break;
+  }
+  return res;
+}
+
+/** A new ObjectId as a string. */
+function objectId() {
+  return String(new mongoose.Types.ObjectId());
+}
+
+module.exports = { fakeRes, fakeReq, fakeAdmin, fakeQuery, fakeSession, callRoute, objectId };
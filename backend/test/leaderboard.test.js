@@ -0,0 +1,32 @@
+/*
+ * Public leaderboards (GET /api/v1/leaderboards).
+ */
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/leaderboardRoutes');
+const Tournament = require('../models/Tournament');
+const { fakeReq, callRoute } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('filters tournaments first, counts approved entries only and caches the board', async () => {
+  const aggregate = mock.method(Tournament, 'aggregate', async () => [{
+    players: [{ inGameId: '5123456789', inGameName: 'Ace', points: 25 }],
+    teams: [],
+  }]);
+
+  const req = () => fakeReq({ admin: null, query: { game: 'cod', season: '2026-09', limit: '5' } });
+  const first = await callRoute(router, 'get', '/', req());
+  const second = await callRoute(router, 'get', '/', req());
+
+  assert.strictEqual(first.statusCode, 200);
+  assert.deepStrictEqual(second.body, first.body);
+  assert.strictEqual(first.body.data.players[0].rank, 1);
+  assert.strictEqual(aggregate.mock.callCount(), 1);
+
+  const [pipeline] = aggregate.mock.calls[0].arguments;
+  assert.strictEqual(pipeline[0].$match.game, 'cod');
+  assert.ok(pipeline[0].$match.startTime.$gte instanceof Date);
+  assert.ok(pipeline.some(stage => stage.$match?.['reg.status'] === 'approved'));
+});
@@ -0,0 +1,77 @@
+/*
+ * One-time login codes (models/OtpCode.js). The collection is replaced by
+ * an in-memory stand-in whose single-document operations are atomic, like
+ * MongoDB's, with a pause before each so parallel calls interleave.
+ */
+
+const { test, mock, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+let docs;
+let attemptsCounted;
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (condition?.$gt !== undefined) return doc[key] > condition.$gt;
+    if (condition?.$lt !== undefined) return doc[key] < condition.$lt;
+    return String(doc[key]) === String(condition);
+  });
+}
+
+beforeEach(() => {
+  docs = [];
+  attemptsCounted = 0;
+  mock.method(OtpCode, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const doc = docs.find(d => matches(d, filter));
+    if (!doc) return null;
+    attemptsCounted++;
+    doc.attempts += update.$inc.attempts;
+    return { ...doc };
+  });
+  mock.method(OtpCode, 'findOneAndDelete', async (filter) => {
+    await tick();
+    const index = docs.findIndex(d => matches(d, filter));
+    return index === -1 ? null : docs.splice(index, 1)[0];
+  });
+  mock.method(OtpCode, 'deleteOne', async (filter) => {
+    await tick();
+    docs = docs.filter(d => !matches(d, filter));
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+function storeCode(code) {
+  docs.push({
+    _id: 'otp1',
+    channel: 'email',
+    destination: 'ace@example.com',
+    codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+    attempts: 0,
+    expiresAt: new Date(Date.now() + 60000),
+  });
+}
+
+test('parallel requests redeem a code only once', async () => {
+  storeCode('123456');
+
+  const outcomes = await Promise.all([1, 2, 3].map(() => OtpCode.consume('email', 'ace@example.com', '123456')));
+
+  assert.strictEqual(outcomes.filter(Boolean).length, 1);
+});
+
+test('parallel wrong guesses cannot go past the attempt limit', async () => {
+  storeCode('123456');
+
+  const guesses = Array.from({ length: 20 }, (_, i) => String(200000 + i));
+  await Promise.all(guesses.map(guess => OtpCode.consume('email', 'ace@example.com', guess)));
+
+  assert.strictEqual(attemptsCounted, OtpCode.MAX_ATTEMPTS);
+  assert.strictEqual(docs.length, 0);  // burnt
+  assert.strictEqual(await OtpCode.consume('email', 'ace@example.com', '123456'), false);
+});
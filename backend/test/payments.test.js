@@ -0,0 +1,157 @@
+/*
+ * Online payments: webhook state changes (POST /api/v1/payments/webhook/:provider)
+ * and the expiry of unpaid orders (utils/orderExpiry.js).
+ */
+
+const { test, mock, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/paymentRoutes');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const PaymentEvent = require('../models/PaymentEvent');
+const { getProvider } = require('../utils/paymentGateway');
+const { expireStaleOrders, ORDER_TTL_MINUTES } = require('../utils/orderExpiry');
+const { fakeReq, fakeQuery, callRoute, objectId } = require('./helpers');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+
+function onlineEntry(overrides = {}) {
+  return new Registration({
+    tournament: objectId(),
+    game: 'pubg',
+    mode: 'solo',
+    status: 'pending',
+    onlinePayment: { provider: 'mock', orderId: 'mock_order_1', amount: 500 },
+    ...overrides,
+  });
+}
+
+/**
+ * A signed mock webhook for the entry's order.
+ */
+function webhookReq(registration, outcome) {
+  const { rawBody, signature } = getProvider().signWebhook({
+    orderId: registration.onlinePayment.orderId,
+    amount: registration.onlinePayment.amount,
+    outcome,
+  });
+  return fakeReq({ params: { provider: 'mock' }, rawBody: Buffer.from(rawBody), headers: { 'x-mock-signature': signature } });
+}
+
+/**
+ * Stub Registration.findOneAndUpdate with one in-memory document: the update
+ * applies only if `doc` matches every field of the filter.
+ */
+function stubConditionalUpdate(doc) {
+  return mock.method(Registration, 'findOneAndUpdate', (filter, update) => {
+    const matches = Object.entries(filter).every(([path, expected]) => {
+      if (path === '_id') return true;
+      const actual = doc.get(path);
+      return expected?.$ne !== undefined ? actual !== expected.$ne : actual === expected;
+    });
+    if (!matches) return fakeQuery(null);
+    doc.set(update);
+    return fakeQuery(doc);
+  });
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(PaymentEvent, 'exists', async () => null);
+  mock.method(PaymentEvent, 'create', async () => ({}));
+  mock.method(Tournament, 'findById', async () => null);  // late room email
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a failed payment withdraws the pending entry and releases its slot', async () => {
+  const entry = onlineEntry();
+  mock.method(Registration, 'findOne', async () => entry);
+  stubConditionalUpdate(entry);
+  const release = mock.method(Tournament, 'releaseSlots', async () => {});
+
+  const res = await callRoute(router, 'post', '/webhook/:provider', webhookReq(entry, 'failed'));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(entry.status, 'withdrawn');
+  assert.strictEqual(entry.onlinePayment.status, 'failed');
+  assert.deepStrictEqual(release.mock.calls.map(call => String(call.arguments[0])), [String(entry.tournament)]);
+});
+
+test('a failed payment for an entry an admin already approved keeps its slot', async () => {
+  const entry = onlineEntry({ status: 'approved' });
+  mock.method(Registration, 'findOne', async () => entry);
+  stubConditionalUpdate(entry);
+  const markFailed = mock.method(Registration, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const release = mock.method(Tournament, 'releaseSlots', async () => {});
+
+  const res = await callRoute(router, 'post', '/webhook/:provider', webhookReq(entry, 'failed'));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(entry.status, 'approved');
+  assert.strictEqual(markFailed.mock.callCount(), 1);
+  assert.strictEqual(release.mock.callCount(), 0);
+});
+
+test('a full capture approves the pending entry', async () => {
+  const entry = onlineEntry();
+  mock.method(Registration, 'findOne', async () => entry);
+  stubConditionalUpdate(entry);
+
+  const res = await callRoute(router, 'post', '/webhook/:provider', webhookReq(entry, 'captured'));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(entry.onlinePayment.status, 'captured');
+  assert.strictEqual(entry.status, 'approved');
+});
+
+test('a redelivered event is acknowledged without touching the entry', async () => {
+  PaymentEvent.exists.mock.mockImplementation(async () => ({ _id: objectId() }));
+  const findOne = mock.method(Registration, 'findOne', async () => onlineEntry());
+
+  const res = await callRoute(router, 'post', '/webhook/:provider', webhookReq(onlineEntry(), 'captured'));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.message, 'Event already processed.');
+  assert.strictEqual(findOne.mock.callCount(), 0);
+});
+
+test('a capture after the order expired queues a refund', async () => {
+  const entry = onlineEntry({ status: 'withdrawn' });
+  entry.onlinePayment.status = 'expired';
+  mock.method(Registration, 'findOne', async () => entry);
+  stubConditionalUpdate(entry);
+  const refund = mock.method(Registration, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const res = await callRoute(router, 'post', '/webhook/:provider', webhookReq(entry, 'captured'));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(refund.mock.callCount(), 1);
+  assert.strictEqual(refund.mock.calls[0].arguments[1].status, 'refund_pending');
+});
+
+test('stale unpaid orders are withdrawn and give their slots back', async () => {
+  const now = new Date();
+  const stale = onlineEntry();
+  const paidMeanwhile = onlineEntry({ status: 'approved' });
+  const byId = new Map([stale, paidMeanwhile].map(doc => [String(doc._id), doc]));
+
+  const find = mock.method(Registration, 'find', () => fakeQuery([stale, paidMeanwhile]));
+  mock.method(Registration, 'findOneAndUpdate', (filter, update) => {
+    const doc = byId.get(String(filter._id));
+    if (doc.status !== filter.status || doc.onlinePayment.status !== filter['onlinePayment.status']) return fakeQuery(null);
+    doc.set(update);
+    return fakeQuery(doc);
+  });
+  const release = mock.method(Tournament, 'releaseSlots', async () => {});
+
+  assert.strictEqual(await expireStaleOrders(now), 1);
+
+  const cutoff = find.mock.calls[0].arguments[0].createdAt.$lte;
+  assert.strictEqual(now - cutoff, ORDER_TTL_MINUTES * 60 * 1000);
+  assert.strictEqual(stale.status, 'withdrawn');
+  assert.strictEqual(stale.onlinePayment.status, 'expired');
+  assert.strictEqual(paidMeanwhile.status, 'approved');
+  assert.deepStrictEqual(release.mock.calls.map(call => String(call.arguments[0])), [String(stale.tournament)]);
+});
@@ -0,0 +1,87 @@
+/*
+ * Statement reconciliation approval (POST /api/v1/admin/reconciliation/approve).
+ */
+
+const { test, mock, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/adminReconciliationRoutes');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const AuditLog = require('../models/AuditLog');
+const { fakeReq, fakeQuery, fakeSession, callRoute, objectId } = require('./helpers');
+
+beforeEach(() => {
+  mock.method(Registration, 'startSession', async () => fakeSession());
+});
+
+afterEach(() => mock.restoreAll());
+
+function pendingEntry(transactionId, entryFee = 20) {
+  return new Registration({ tournament: objectId(), transactionId, entryFee, status: 'pending' });
+}
+
+function statement(lines) {
+  return { buffer: Buffer.from(['UTR,Amount', ...lines].join('\n')) };
+}
+
+/**
+ * Registration.find stand-in for the approve flow. `approvedByUs` are the
+ * entries the bulk write changed (they carry its updatedAt stamp).
+ */
+function stubFind(pending, approvedByUs) {
+  return mock.method(Registration, 'find', (query) => {
+    // The statement match, then the already-decided lookup
+    if (query.status === 'pending') return fakeQuery(pending);
+    if (query.status?.$ne) return fakeQuery([]);
+
+    // Read-back of the write (and the audit's "after")
+    const ids = query._id.$in.map(String);
+    const approved = approvedByUs
+      .filter(reg => ids.includes(String(reg._id)))
+      .map(reg => Registration.hydrate({ ...reg.toObject(), status: 'approved', updatedAt: query.updatedAt }));
+    return fakeQuery(approved);
+  });
+}
+
+test('only exact matches are approved, whatever the client sends', async () => {
+  const exact = pendingEntry('UTR111');
+  const underpaid = pendingEntry('UTR222');
+  stubFind([exact, underpaid], [exact]);
+  const write = mock.method(Registration, 'bulkWrite', async () => ({ modifiedCount: 1 }));
+  mock.method(AuditLog, 'insertMany', async () => []);
+  mock.method(Tournament, 'findById', async () => null);
+
+  const req = fakeReq({
+    file: statement(['UTR111,20', 'UTR222,10']),
+    body: { ids: JSON.stringify([String(exact._id), String(underpaid._id)]) },
+  });
+  const res = await callRoute(router, 'post', '/approve', req);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.data, { requested: 2, updated: 1, skipped: 1 });
+  const [ops] = write.mock.calls[0].arguments;
+  assert.deepStrictEqual(ops[0].updateMany.filter._id.$in.map(String), [String(exact._id)]);
+});
+
+test('entries another admin decided meanwhile are not audited or emailed', async () => {
+  const ours = pendingEntry('UTR111');
+  const theirs = pendingEntry('UTR333');  // rejected by someone else before our write
+  stubFind([ours, theirs], [ours]);
+  mock.method(Registration, 'bulkWrite', async () => ({ modifiedCount: 1 }));
+  const audit = mock.method(AuditLog, 'insertMany', async () => []);
+  const roomLookup = mock.method(Tournament, 'findById', async () => null);
+  mock.method(console, 'warn', () => {});
+
+  const req = fakeReq({
+    file: statement(['UTR111,20', 'UTR333,20']),
+    body: { ids: JSON.stringify([String(ours._id), String(theirs._id)]) },
+  });
+  const res = await callRoute(router, 'post', '/approve', req);
+  await new Promise(resolve => setImmediate(resolve));  // let the late room emails start
+
+  assert.strictEqual(res.body.data.updated, 1);
+  const [entries] = audit.mock.calls[0].arguments;
+  assert.deepStrictEqual(entries.map(entry => String(entry.targetId)), [String(ours._id)]);
+  assert.strictEqual(entries[0].details.source, 'statement_reconciliation');
+  assert.deepStrictEqual(roomLookup.mock.calls.map(call => String(call.arguments[0])), [String(ours.tournament)]);
+});
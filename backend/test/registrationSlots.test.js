@@ -0,0 +1,123 @@
+/*
+ * Tournament slots: reserved on registration and re-admission, released
+ * when an entry stops holding one (POST /api/v1/register,
+ * PATCH /api/v1/admin/registrations/:id).
+ */
+
+const { test, mock, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const registerRouter = require('../routes/registerRoutes');
+const adminRouter = require('../routes/adminRoutes');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const PricingConfig = require('../models/PricingConfig');
+const AuditLog = require('../models/AuditLog');
+const { fakeReq, fakeQuery, callRoute, objectId } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// The upload and player-token middleware need a real request
+const REGISTER_SKIP = ['paymentScreenshotUpload', 'optionalPlayer'];
+
+function openTournament(overrides = {}) {
+  return new Tournament({
+    title: 'Friday Solo Cup',
+    game: 'pubg',
+    mode: 'solo',
+    startTime: new Date(Date.now() + 48 * HOUR),
+    registrationClosesAt: new Date(Date.now() + 24 * HOUR),
+    maxSlots: 2,
+    filledSlots: 1,
+    ...overrides,
+  });
+}
+
+function soloEntry(tournament, extra = {}) {
+  return {
+    tournamentId: String(tournament._id),
+    game: 'pubg',
+    mode: 'solo',
+    players: [{ inGameName: 'Ace', inGameId: '5123456789', phone: '9876543210' }],
+    transactionId: 'UPI1234567',
+    ...extra,
+  };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(AuditLog, 'create', async () => ({}));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('solo entry with a teamId still validates its players', async () => {
+  const tournament = openTournament();
+  const body = soloEntry(tournament, { teamId: objectId() });
+  delete body.players;
+
+  const res = await callRoute(registerRouter, 'post', '/', fakeReq({ body, admin: null }), { skip: REGISTER_SKIP });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.match(res.body.errors.join(' '), /Players array is required/);
+});
+
+test('registration is refused when the last slot was just taken', async () => {
+  const tournament = openTournament();
+  mock.method(Tournament, 'findById', async () => tournament);
+  mock.method(PricingConfig, 'getTable', async () => ({}));
+  mock.method(PricingConfig, 'resolve', () => ({ entryFee: 5 }));
+  mock.method(Registration, 'findOne', async () => null);
+  mock.method(Tournament, 'reserveSlot', async () => null);
+  const save = mock.method(Registration.prototype, 'save', async function () { return this; });
+
+  const req = fakeReq({ body: soloEntry(tournament), admin: null, file: { buffer: Buffer.from('x'), mimetype: 'image/png', size: 1 } });
+  const res = await callRoute(registerRouter, 'post', '/', req, { skip: REGISTER_SKIP });
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('re-admitting a rejected entry into a full tournament is refused', async () => {
+  const tournament = openTournament({ filledSlots: 2 });
+  const current = new Registration({ tournament: tournament._id, status: 'rejected' });
+  mock.method(Registration, 'findById', async () => current);
+  const reserve = mock.method(Tournament, 'reserveSlot', async () => null);
+  const update = mock.method(Registration, 'findOneAndUpdate', () => fakeQuery(null));
+
+  const req = fakeReq({ params: { id: String(current._id) }, body: { status: 'approved' } });
+  const res = await callRoute(adminRouter, 'patch', '/registrations/:id', req);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(reserve.mock.callCount(), 1);
+  assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('rejecting a pending entry gives its slot back', async () => {
+  const tournamentId = objectId();
+  const current = new Registration({ tournament: tournamentId, status: 'pending' });
+  const updated = Registration.hydrate({ ...current.toObject(), status: 'rejected' });
+  mock.method(Registration, 'findById', async () => current);
+  mock.method(Registration, 'findOneAndUpdate', () => fakeQuery(updated));
+  const release = mock.method(Tournament, 'releaseSlots', async () => {});
+
+  const req = fakeReq({ params: { id: String(current._id) }, body: { status: 'rejected' } });
+  const res = await callRoute(adminRouter, 'patch', '/registrations/:id', req);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(release.mock.calls.map(call => String(call.arguments[0])), [tournamentId]);
+});
+
+test('a re-admission that loses the race hands its new slot back', async () => {
+  const tournamentId = objectId();
+  const current = new Registration({ tournament: tournamentId, status: 'rejected' });
+  mock.method(Registration, 'findById', async () => current);
+  mock.method(Tournament, 'reserveSlot', async () => ({ _id: tournamentId }));
+  mock.method(Registration, 'findOneAndUpdate', () => fakeQuery(null));  // changed meanwhile
+  const release = mock.method(Tournament, 'releaseSlots', async () => {});
+
+  const req = fakeReq({ params: { id: String(current._id) }, body: { status: 'pending' } });
+  const res = await callRoute(adminRouter, 'patch', '/registrations/:id', req);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(release.mock.callCount(), 1);
+});
@@ -0,0 +1,66 @@
+/*
+ * Joining a team with an invite code (POST /api/v1/teams/join).
+ */
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/teamRoutes');
+const Team = require('../models/Team');
+const Player = require('../models/Player');
+const { fakeReq, callRoute } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+function fiveMemberTeam() {
+  const captain = new Player({ phone: '9000000000' });
+  return new Team({
+    name: 'Night Owls',
+    game: 'pubg',
+    captain: captain._id,
+    inviteCode: 'OWLS42',
+    members: Array.from({ length: Team.MAX_MEMBERS - 1 }, (_, i) => ({
+      player: i === 0 ? captain._id : new Player({ phone: `900000000${i}` })._id,
+      inGameName: `Owl${i}`,
+      inGameId: `51000000${i}`,
+      phone: `900000000${i}`,
+    })),
+  });
+}
+
+function joinRequest(player) {
+  return fakeReq({
+    admin: null,
+    player,
+    body: { inviteCode: 'owls42', inGameName: 'Latecomer', inGameId: '5999999999' },
+  });
+}
+
+test('the last place is taken with one conditional push', async () => {
+  const team = fiveMemberTeam();
+  const player = new Player({ phone: '9111111111' });
+  mock.method(Team, 'findOne', async () => team);
+  mock.method(Team.prototype, 'isRosterLocked', async () => false);
+  const push = mock.method(Team, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(Team, 'findById', async () => team);
+  mock.method(console, 'log', () => {});
+
+  const res = await callRoute(router, 'post', '/join', joinRequest(player));
+
+  assert.strictEqual(res.statusCode, 200);
+  const [filter, update] = push.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter[`members.${Team.MAX_MEMBERS - 1}`], { $exists: false });
+  assert.strictEqual(update.$push.members.inGameId, '5999999999');
+});
+
+test('a join that loses the race for the last place is refused', async () => {
+  const team = fiveMemberTeam();
+  mock.method(Team, 'findOne', async () => team);
+  mock.method(Team.prototype, 'isRosterLocked', async () => false);
+  mock.method(Team, 'updateOne', async () => ({ modifiedCount: 0 }));  // someone else joined first
+  const reload = mock.method(Team, 'findById', async () => team);
+
+  const res = await callRoute(router, 'post', '/join', joinRequest(new Player({ phone: '9222222222' })));
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(reload.mock.callCount(), 0);
+});
@@ -0,0 +1,56 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Password Links
+ * ============================================================================
+ * Purpose: Builds and emails the one-time admin.html?token=... link an admin
+ *          uses to choose a password. Shared by invites and forced resets
+ *          (routes/adminUserRoutes.js) and "forgot password"
+ *          (routes/adminRoutes.js).
+ *
+ * Reasons:
+ *   - invite — new admin; the account has no usable password yet
+ *   - reset  — a superadmin forced a reset; the old password stops working
+ *   - forgot — the admin asked; the old password keeps working until the
+ *              link is used
+ *
+ * The dashboard URL comes from DASHBOARD_URL in .env.
+ * ============================================================================
+ */
+
+const Admin = require('../models/Admin');
+const { sendAdminPasswordLinkEmail } = require('./emailService');
+
+/**
+ * URL of admin.html, optionally with a query string appended.
+ */
+function dashboardUrl(query = '') {
+  const dashboard = process.env.DASHBOARD_URL || 'http://localhost:5173/admin.html';
+  return query ? `${dashboard}?${query}` : dashboard;
+}
+
+/**
+ * Issue a password link for the admin, save, and email it.
+ *
+ * @param {Document} admin
+ * @param {string} reason - invite | reset | forgot
+ * @param {Document} [sentBy] - Superadmin who triggered it (invite / reset)
+ * @returns {Promise<{ link: string, emailed: boolean }>}
+ */
+async function sendPasswordLink(admin, reason, sentBy = null) {
+  const token = admin.issuePasswordToken({ lockPassword: reason !== 'forgot' });
+  const link = dashboardUrl(`token=${token}`);
+  await admin.save();
+
+  const emailed = await sendAdminPasswordLinkEmail({
+    to: admin.email,
+    name: admin.name,
+    link,
+    expiresInHours: Admin.PASSWORD_TOKEN_HOURS,
+    reason,
+    sentBy: sentBy?.name,
+  });
+
+  return { link, emailed };
+}
+
+module.exports = { dashboardUrl, sendPasswordLink };
@@ -0,0 +1,240 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Dashboard Sessions
+ * ============================================================================
+ * Purpose: Keeps admin tokens out of browser storage. A sign-in sets two
+ *          httpOnly, SameSite cookies that page scripts cannot read:
+ *
+ *   ge_admin_access  — short-lived JWT (ADMIN_ACCESS_TOKEN_TTL, default 15m),
+ *                      accepted by protect() like a bearer token
+ *   ge_admin_refresh — random refresh token (ADMIN_REFRESH_TOKEN_DAYS,
+ *                      default 7), exchanged at POST /api/v1/admin/session/refresh
+ *                      for a new access token and a NEW refresh token
+ *
+ * Rotation:
+ *   - Each refresh replaces the refresh token (models/AdminSession.js)
+ *   - The replaced token still works for ROTATION_GRACE_MS, so two tabs
+ *     refreshing at once do not sign each other out; it then only gets a
+ *     new access token
+ *   - Presenting a replaced token after that means it was copied — the
+ *     whole session is ended
+ *
+ * CSRF:
+ *   - Requests authenticated by the cookie must send X-CSRF-Token for any
+ *     method other than GET/HEAD/OPTIONS (checked in protect())
+ *   - The CSRF token is an HMAC of the session id, returned in the body of
+ *     login and refresh; the dashboard keeps it in memory only
+ *   - Bearer-header requests (scripts) need no CSRF token — browsers never
+ *     attach that header on their own
+ *
+ * Cookie settings (.env):
+ *   ADMIN_COOKIE_SAMESITE — strict (default) | lax | none. Use "none" when
+ *   admin.html and the API are on different sites; cookies are then
+ *   Secure (HTTPS only). Cookies are also Secure when NODE_ENV=production.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const AdminSession = require('../models/AdminSession');
+
+const ACCESS_COOKIE = 'ge_admin_access';
+const REFRESH_COOKIE = 'ge_admin_refresh';
+const COOKIE_PATH = '/api/v1/admin';
+const REFRESH_COOKIE_PATH = '/api/v1/admin/session';
+
+const ACCESS_TOKEN_TTL = process.env.ADMIN_ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 7;
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Options shared by both cookies.
+ */
+function cookieOptions(path, maxAge) {
+  const sameSite = (process.env.ADMIN_COOKIE_SAMESITE || 'strict').toLowerCase();
+  return {
+    httpOnly: true,
+    sameSite,
+    secure: sameSite === 'none' || process.env.NODE_ENV === 'production',
+    path,
+    maxAge,
+  };
+}
+
+/**
+ * CSRF token for a session: HMAC of its id, so nothing extra is stored.
+ *
+ * @param {string|ObjectId} sessionId
+ * @returns {string}
+ */
+function csrfTokenFor(sessionId) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`csrf:${sessionId}`).digest('hex');
+}
+
+/**
+ * Does the request carry the right X-CSRF-Token? Safe methods always pass.
+ *
+ * @param {Request} req
+ * @param {string} sessionId - "sid" claim of the cookie's access token
+ * @returns {boolean}
+ */
+function checkCsrf(req, sessionId) {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const given = req.get('X-CSRF-Token');
+  if (!sessionId || !given) return false;
+
+  const expected = Buffer.from(csrfTokenFor(sessionId));
+  const actual = Buffer.from(String(given));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Short-lived access token. Also returned in the login body for scripts
+ * that use the Authorization header.
+ */
+function signAccessToken(admin, sessionId) {
+  return jwt.sign(
+    { id: admin._id, tv: admin.tokenVersion, sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function setAccessCookie(res, token) {
+  // The JWT expiry is what counts; the cookie just should not outlive the session
+  res.cookie(ACCESS_COOKIE, token, cookieOptions(COOKIE_PATH, REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000));
+}
+
+function setRefreshCookie(res, refreshToken) {
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_COOKIE_PATH, REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Remove both cookies (sign-out, or a refresh that failed).
+ */
+function clearSessionCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions(COOKIE_PATH));
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(REFRESH_COOKIE_PATH));
+}
+
+/**
+ * Start a session after a successful login: store it and set both cookies.
+ *
+ * @param {Document} admin
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise<{ token: string, csrfToken: string }>}
+ */
+async function startSession(admin, req, res) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+
+  const session = await AdminSession.create({
+    admin: admin._id,
+    tokenHash: AdminSession.hashToken(refreshToken),
+    tokenVersion: admin.tokenVersion,
+    expiresAt: refreshExpiry(),
+    userAgent: String(req.get('User-Agent') || '').slice(0, 300),
+    ip: req.ip,
+  });
+
+  const token = signAccessToken(admin, session._id);
+  setAccessCookie(res, token);
+  setRefreshCookie(res, refreshToken);
+
+  return { token, csrfToken: csrfTokenFor(session._id) };
+}
+
+/**
+ * Exchange the refresh cookie for a new access token (and, normally, a new
+ * refresh token).
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise<{ admin: Document, csrfToken: string }|null>} - null → sign in again
+ */
+async function refreshSession(req, res) {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) return null;
+
+  const hash = AdminSession.hashToken(presented);
+  let session = await AdminSession.findOne({ tokenHash: hash, expiresAt: { $gt: new Date() } });
+  let rotate = Boolean(session);
+
+  if (!session) {
+    // A token that was already rotated away
+    session = await AdminSession.findOne({ previousTokenHash: hash, expiresAt: { $gt: new Date() } });
+    if (!session) return null;
+
+    if (Date.now() - session.rotatedAt > ROTATION_GRACE_MS) {
+      await session.deleteOne();
+      console.warn(`⚠️ Reused admin refresh token — session ended (admin ${session.admin}, ip ${req.ip})`);
+      return null;
+    }
+  }
+
+  const admin = await Admin.findById(session.admin);
+  if (!admin || !admin.active || admin.tokenVersion !== session.tokenVersion) {
+    await session.deleteOne();
+    return null;
+  }
+
+  if (rotate) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    // Only one of two simultaneous refreshes wins the rotation; the other
+    // falls back to the grace path (new access token, same cookie)
+    const rotated = await AdminSession.findOneAndUpdate(
+      { _id: session._id, tokenHash: hash },
+      {
+        tokenHash: AdminSession.hashToken(refreshToken),
+        previousTokenHash: hash,
+        rotatedAt: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+      { new: true }
+    );
+    if (rotated) setRefreshCookie(res, refreshToken);
+  }
+
+  setAccessCookie(res, signAccessToken(admin, session._id));
+
+  return { admin, csrfToken: csrfTokenFor(session._id) };
+}
+
+/**
+ * Sign out this browser: delete its session and clear the cookies.
+ */
+async function endSession(req, res) {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (presented) {
+    const hash = AdminSession.hashToken(presented);
+    await AdminSession.deleteOne({ $or: [{ tokenHash: hash }, { previousTokenHash: hash }] });
+  }
+  clearSessionCookies(res);
+}
+
+/**
+ * Delete every session of an admin. Their access tokens stop working
+ * through the tokenVersion bump that goes with this.
+ */
+async function endAllSessions(adminId) {
+  await AdminSession.deleteMany({ admin: adminId });
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  startSession,
+  refreshSession,
+  endSession,
+  endAllSessions,
+  clearSessionCookies,
+  checkCsrf,
+};
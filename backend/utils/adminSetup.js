@@ -0,0 +1,76 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - First-Run Admin Setup
+ * ============================================================================
+ * Purpose: Lets the first superadmin be created from the dashboard without
+ *          any account or password being baked into the code.
+ *
+ * How it works:
+ *   1. On startup, prepareSetup() checks whether any admin exists
+ *   2. If none does, a one-time setup token is created — ADMIN_SETUP_TOKEN
+ *      from .env, or a random one printed in the server log
+ *   3. admin.html shows a setup form (GET /api/v1/admin/setup says so);
+ *      POST /api/v1/admin/setup with the token creates the first superadmin
+ *   4. The token is used up at once and setup is refused while any admin
+ *      exists
+ *
+ * Alternative: create the account from a shell with
+ *   npm run create-admin   (scripts/createAdmin.js)
+ *
+ * Note: A random token lives in this process only. When running several
+ *       instances, set ADMIN_SETUP_TOKEN so every instance accepts it.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const { dashboardUrl } = require('./adminPasswordLink');
+
+let setupToken = null;
+
+/**
+ * Is there still no admin account?
+ *
+ * @returns {Promise<boolean>}
+ */
+async function isSetupRequired() {
+  return !(await Admin.exists({}));
+}
+
+/**
+ * Create the setup token if no admin exists yet. Called once on startup,
+ * after the database is connected.
+ */
+async function prepareSetup() {
+  if (!(await isSetupRequired())) {
+    setupToken = null;
+    return;
+  }
+
+  setupToken = process.env.ADMIN_SETUP_TOKEN || crypto.randomBytes(16).toString('hex');
+
+  console.log('');
+  console.log('🛠️  No admin account exists yet. Create the first superadmin at:');
+  console.log(`    ${dashboardUrl(`setup=${process.env.ADMIN_SETUP_TOKEN ? '<ADMIN_SETUP_TOKEN>' : setupToken}`)}`);
+  console.log('    or run: npm run create-admin');
+  console.log('');
+}
+
+/**
+ * Check and use up the setup token. Returns true at most once per token.
+ *
+ * @param {string} given - Token from the request
+ * @returns {boolean}
+ */
+function consumeSetupToken(given) {
+  if (!setupToken || !given) return false;
+
+  const expected = Buffer.from(setupToken);
+  const actual = Buffer.from(String(given));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+
+  setupToken = null;
+  return true;
+}
+
+module.exports = { isSetupRequired, prepareSetup, consumeSetupToken };
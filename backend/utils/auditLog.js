@@ -0,0 +1,179 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Audit Logging
+ * ============================================================================
+ * Purpose: Records admin actions in the AuditLog collection
+ *          (models/AuditLog.js), shown read-only in the dashboard's Audit tab.
+ *
+ * Usage (in a route handler, after the change is saved):
+ *   const before = snapshot(registration);
+ *   registration.status = 'rejected';
+ *   await registration.save();
+ *   await recordAudit(req, {
+ *     action: 'registration.update',
+ *     target: registration,
+ *     before,
+ *     after: snapshot(registration),
+ *   });
+ *
+ * Actions on many documents at once (e.g. cancelling a tournament queues
+ * refunds for every entry) write one entry per document, so each
+ * document's history stays complete:
+ *   const affected = await Payout.find(filter);   // before
+ *   await Payout.updateMany(filter, update);
+ *   await recordBulkAudit(req, affected, 'payout.mark_paid');
+ *
+ * Notes:
+ *   - Only changed fields are stored (diff of before and after); creations
+ *     have no "before", deletions no "after"
+ *   - Secret fields (password hashes, tokens, 2FA secrets, tournament room
+ *     passwords) are dropped from snapshots
+ *   - A failed audit write is logged but never fails the admin's request
+ * ============================================================================
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit log
+const SECRET_FIELDS = [
+  'password',
+  'passwordToken',
+  'passwordTokenExpires',
+  'tokenVersion',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+];
+
+// Secrets inside sub-documents, as [parent, field]
+const NESTED_SECRET_FIELDS = [
+  ['room', 'password'],  // Tournament room password
+];
+
+// Change on every save, so they would show up in every diff
+const NOISE_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Plain copy of a document (or object) for before/after comparison,
+ * without secrets.
+ *
+ * @param {Document|Object|null} doc
+ * @returns {Object|null}
+ */
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  for (const field of [...SECRET_FIELDS, ...NOISE_FIELDS]) delete plain[field];
+  for (const [parent, field] of NESTED_SECRET_FIELDS) {
+    if (plain[parent] && typeof plain[parent] === 'object') plain[parent] = { ...plain[parent], [field]: undefined };
+  }
+  // JSON round-trip turns ObjectIds and Dates into plain values
+  return JSON.parse(JSON.stringify(plain));
+}
+
+/**
+ * The top-level fields that differ between two snapshots.
+ *
+ * @returns {{ before: Object|null, after: Object|null }}
+ */
+function diff(before, after) {
+  if (!before || !after) return { before, after };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    changedBefore[key] = before[key] ?? null;
+    changedAfter[key] = after[key] ?? null;
+  }
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Build the stored form of an entry (see recordAudit for the fields).
+ */
+function buildEntry(req, { action, target, targetModel, targetId, before = null, after = null, details = null, actor, actorEmail }) {
+  const who = actor === undefined ? req.admin : actor;
+  const changes = diff(before, after);
+
+  return {
+    actor: who?._id || null,
+    actorEmail: actorEmail || who?.email || '',
+    action,
+    targetModel: target?.constructor?.modelName || targetModel || null,
+    targetId: target?._id || targetId || null,
+    before: changes.before,
+    after: changes.after,
+    details,
+    ip: req.ip || '',
+  };
+}
+
+/**
+ * Write one audit entry.
+ *
+ * @param {Request} req - For the acting admin (req.admin) and IP
+ * @param {Object} entry
+ * @param {string} entry.action - "<thing>.<verb>", e.g. contact.delete
+ * @param {Document} [entry.target] - Document acted on (model name and _id are read from it)
+ * @param {string} [entry.targetModel] - When there is no document at hand
+ * @param {string|ObjectId} [entry.targetId]
+ * @param {Object} [entry.before] - snapshot() before the change
+ * @param {Object} [entry.after] - snapshot() after the change
+ * @param {Object} [entry.details] - Extra context
+ * @param {Document} [entry.actor] - Defaults to req.admin (pass it for logins)
+ * @param {string} [entry.actorEmail] - Defaults to the actor's email
+ */
+async function recordAudit(req, entry) {
+  try {
+    await AuditLog.create(buildEntry(req, entry));
+  } catch (error) {
+    console.error(`🔴 Audit log error (${entry.action}):`, error.message);
+  }
+}
+
+/**
+ * Write several audit entries in one insert (same fields as recordAudit).
+ *
+ * @param {Request} req
+ * @param {Object[]} entries
+ */
+async function recordAuditMany(req, entries) {
+  if (!entries.length) return;
+  try {
+    await AuditLog.insertMany(entries.map(entry => buildEntry(req, entry)));
+  } catch (error) {
+    console.error(`🔴 Audit log error (${entries[0].action} ×${entries.length}):`, error.message);
+  }
+}
+
+/**
+ * Audit an updateMany(): one entry per document, with "after" read back
+ * from the database.
+ *
+ * @param {Request} req
+ * @param {Document[]} affected - The documents as they were before the update
+ * @param {string} action
+ * @param {Object} [details]
+ */
+async function recordBulkAudit(req, affected, action, details = null) {
+  if (!affected.length) return;
+  try {
+    const Model = affected[0].constructor;
+    const updated = await Model.find({ _id: { $in: affected.map(doc => doc._id) } });
+    const afterById = new Map(updated.map(doc => [String(doc._id), snapshot(doc)]));
+
+    await recordAuditMany(req, affected.map(doc => ({
+      action,
+      target: doc,
+      before: snapshot(doc),
+      after: afterById.get(String(doc._id)) || null,
+      details,
+    })));
+  } catch (error) {
+    console.error(`🔴 Audit log error (${action}):`, error.message);
+  }
+}
+
+module.exports = { recordAudit, recordAuditMany, recordBulkAudit, snapshot, diff };
@@ -0,0 +1,204 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Bulk Status Changes
+ * ============================================================================
+ * Purpose: Shared logic of the dashboard's bulk actions (PATCH
+ *          /api/v1/admin/registrations/bulk, PATCH /contacts/bulk, POST
+ *          /contacts/bulk-delete). applyBulkStatus() also backs POST
+ *          /reconciliation/approve.
+ *
+ * Request body — exactly one of:
+ *   { ids: [id, ...] }            — the rows ticked in the table
+ *   { filter: { game, status } }  — everything matching a list filter
+ *                                   (refused if it matches more than MAX_BULK)
+ *
+ * Every bulk action answers with a per-item report:
+ *   { requested, updated, deleted, skipped, notFound,
+ *     results: [{ id, outcome: 'updated'|'deleted'|'skipped'|'not_found', message }] }
+ *
+ * Concurrency:
+ *   - The selected documents are changed in one bulkWrite whose filters
+ *     repeat the status each document had when it was read, inside a
+ *     transaction: the whole batch is changed or none of it is (MongoDB
+ *     needs to run as a replica set for transactions — Atlas always does)
+ *   - Every document the write changed gets the same updatedAt stamp, and
+ *     the report, audit log and follow-ups (e.g. late room emails) cover
+ *     exactly the documents carrying it. A document changed by someone
+ *     else between the read and the write no longer matches, keeps their
+ *     change and is reported as skipped — even if they set the same status
+ * ============================================================================
+ */
+
+const { body } = require('express-validator');
+const { recordBulkAudit } = require('./auditLog');
+
+const MAX_BULK = 500;
+
+/**
+ * Validation for the { ids } | { filter } part of a bulk body.
+ *
+ * @param {string} noun - Plural for messages, e.g. "registrations"
+ */
+function bulkSelectionRules(noun) {
+  return [
+    body()
+      .custom(value => (value?.ids === undefined) !== (value?.filter === undefined))
+      .withMessage(`Send either ids or filter to select ${noun}`),
+
+    body('ids')
+      .optional()
+      .isArray({ min: 1, max: MAX_BULK }).withMessage(`Select between 1 and ${MAX_BULK} ${noun}`),
+
+    body('ids.*')
+      .isMongoId().withMessage('Invalid ID in selection'),
+
+    body('filter')
+      .optional()
+      .isObject().withMessage('Filter must be an object'),
+  ];
+}
+
+/**
+ * Load the documents a bulk action applies to.
+ *
+ * @param {Model} Model
+ * @param {Object} selection - The request body ({ ids } or { filter })
+ * @param {Function} buildFilter - Turns selection.filter into a query (only
+ *                                 known fields and values pass)
+ * @returns {Promise<{ docs: Document[], missingIds: string[], error?: string }>}
+ */
+async function selectBulkTargets(Model, { ids, filter }, buildFilter) {
+  if (ids) {
+    const uniqueIds = [...new Set(ids.map(String))];
+    const docs = await Model.find({ _id: { $in: uniqueIds } });
+    const found = new Set(docs.map(doc => String(doc._id)));
+    return { docs, missingIds: uniqueIds.filter(id => !found.has(id)) };
+  }
+
+  const query = buildFilter(filter);
+  const docs = await Model.find(query).sort({ createdAt: -1 }).limit(MAX_BULK + 1);
+  if (docs.length > MAX_BULK) {
+    return { docs: [], missingIds: [], error: `The filter matches more than ${MAX_BULK} items — narrow it down first.` };
+  }
+  return { docs, missingIds: [] };
+}
+
+/**
+ * Change the status of many documents at once and report on each.
+ *
+ * @param {Request} req - For the audit log
+ * @param {Object} options
+ * @param {Model} options.Model
+ * @param {Document[]} options.docs - From selectBulkTargets()
+ * @param {string[]} options.missingIds
+ * @param {string} options.status - New status
+ * @param {Object} [options.update] - Other fields to set alongside it
+ * @param {string[]} options.fromStatuses - Statuses that may be changed
+ * @param {Function} [options.skipMessage] - doc → why it is not eligible
+ * @param {Function} [options.reserve] - async doc → null when the change may
+ *                                       go ahead (taking what it needs, e.g.
+ *                                       a tournament slot), or why it may not
+ * @param {Function} [options.release] - async docs → hand back what reserve()
+ *                                       took for docs that were not changed
+ * @param {string} options.action - Audit action, e.g. registration.update
+ * @param {Object} [options.auditDetails] - Stored with each audit entry
+ * @returns {Promise<{ report: Object, updatedDocs: Document[] }>}
+ */
+async function applyBulkStatus(req, { Model, docs, missingIds, status, update = {}, fromStatuses, skipMessage, reserve, release, action, auditDetails = { bulk: true } }) {
+  const results = missingIds.map(id => ({ id, outcome: 'not_found', message: 'Not found' }));
+
+  const eligible = [];
+  for (const doc of docs) {
+    if (doc.status === status) {
+      results.push({ id: String(doc._id), outcome: 'skipped', message: `Already ${status}` });
+    } else if (!fromStatuses.includes(doc.status)) {
+      const message = skipMessage ? skipMessage(doc) : `Cannot change a ${doc.status.replace('_', ' ')} item`;
+      results.push({ id: String(doc._id), outcome: 'skipped', message });
+    } else {
+      const refusal = reserve ? await reserve(doc) : null;
+      if (refusal) results.push({ id: String(doc._id), outcome: 'skipped', message: refusal });
+      else eligible.push(doc);
+    }
+  }
+
+  const updatedDocs = [];
+  if (eligible.length) {
+    const ids = eligible.map(doc => doc._id);
+    const stamp = new Date();
+
+    // One update per current status, guarded by that status
+    const byStatus = new Map();
+    for (const doc of eligible) byStatus.set(doc.status, [...(byStatus.get(doc.status) || []), doc._id]);
+
+    let written = null;
+    let writeError = null;
+    let afterById = new Map();
+    const session = await Model.startSession();
+    try {
+      await session.withTransaction(async () => {
+        written = await Model.bulkWrite([...byStatus].map(([current, currentIds]) => ({
+          updateMany: {
+            filter: { _id: { $in: currentIds }, status: current },
+            update: { $set: { ...update, status, updatedAt: stamp } },
+            timestamps: false,  // keep our stamp
+          },
+        })), { ordered: false, session });
+
+        // Changed by THIS write: the new status with our stamp
+        const after = await Model.find({ _id: { $in: ids }, status, updatedAt: stamp }, null, { session });
+        afterById = new Map(after.map(doc => [String(doc._id), doc]));
+      });
+    } catch (error) {
+      // The transaction was rolled back — nothing was changed
+      console.error('🔴 Bulk write failed:', error.message);
+      writeError = error;
+      afterById = new Map();
+    } finally {
+      await session.endSession();
+    }
+
+    const changed = [];
+    const unchanged = [];
+    for (const doc of eligible) {
+      const after = afterById.get(String(doc._id));
+      if (after) {
+        changed.push(doc);
+        updatedDocs.push(after);
+        results.push({ id: String(doc._id), outcome: 'updated', message: `${doc.status} → ${status}` });
+      } else {
+        unchanged.push(doc);
+        const message = writeError ? 'Not saved — please try again' : 'Changed by someone else meanwhile';
+        results.push({ id: String(doc._id), outcome: 'skipped', message });
+      }
+    }
+
+    if (!writeError && written.modifiedCount !== changed.length) {
+      console.warn(`⚠️ Bulk ${action}: write changed ${written.modifiedCount}, ${changed.length} carry its stamp`);
+    }
+
+    if (release && unchanged.length) await release(unchanged);
+
+    await recordBulkAudit(req, changed, action, auditDetails);
+  }
+
+  return { report: bulkReport(results), updatedDocs };
+}
+
+/**
+ * Counts plus the per-item results.
+ *
+ * @param {Object[]} results - [{ id, outcome, message }]
+ */
+function bulkReport(results) {
+  const count = outcome => results.filter(result => result.outcome === outcome).length;
+  return {
+    requested: results.length,
+    updated: count('updated'),
+    deleted: count('deleted'),
+    skipped: count('skipped'),
+    notFound: count('not_found'),
+    results,
+  };
+}
+
+module.exports = { MAX_BULK, bulkSelectionRules, selectBulkTargets, applyBulkStatus, bulkReport };
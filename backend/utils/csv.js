@@ -0,0 +1,89 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - CSV Helpers
+ * ============================================================================
+ * Purpose: Minimal RFC 4180 CSV parsing for admin imports (bank/UPI
+ *          statements). Handles quoted fields, escaped quotes ("") and
+ *          newlines inside quotes, CRLF line endings and a UTF-8 BOM.
+ *          Also writes CSV rows for admin exports.
+ * ============================================================================
+ */
+
+/**
+ * Parse CSV text into rows of strings. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * One CSV field. Values a spreadsheet would run as a formula (=, +, -, @
+ * at the start — player-supplied names can be anything) get a leading
+ * apostrophe; phone and plain numbers such as "+91 98765 43210" are left
+ * alone.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-][\d\s().-]*$/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * One CSV line (CRLF-terminated, as RFC 4180 asks).
+ *
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+module.exports = { parseCsv, csvField, toCsvRow };
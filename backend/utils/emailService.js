@@ -5,6 +5,8 @@
  * Purpose: Sends email notifications using Gmail SMTP for:
  *   1. Contact form submissions  → sendContactEmail()
  *   2. Tournament registrations  → sendRegistrationEmail()
+ *   3. Room ID/password to approved teams → sendRoomDetailsEmail()
+ *   4. Player login codes              → sendLoginCodeEmail()
  *
  * How it works:
  *   1. Creates a Nodemailer transporter using Gmail SMTP settings
@@ -288,4 +290,227 @@ ${players.map((p, i) => `  ${i + 1}. ${p.inGameName} (ID: ${p.inGameId}) — Pho
 }
 
 
-module.exports = { sendContactEmail, sendRegistrationEmail };
+/**
+ * Send custom room details to an approved team's lead player.
+ *
+ * @param {Object} roomData
+ * @param {string} roomData.to - Lead player's email
+ * @param {string} roomData.game - Game key (pubg, freefire, cod)
+ * @param {string} roomData.mode - Mode (solo, duo, squad)
+ * @param {string} roomData.teamName - Team name (may be null)
+ * @param {string} roomData.playerName - Lead player's in-game name
+ * @param {string} roomData.tournamentTitle - Tournament title (may be null)
+ * @param {Date}   roomData.startTime - Match start time
+ * @param {string} roomData.roomId - Custom room ID
+ * @param {string} roomData.password - Custom room password
+ *
+ * @returns {Promise<boolean>} - true if email sent, false if failed
+ */
+async function sendRoomDetailsEmail(roomData) {
+  try {
+    const { to, game, mode, teamName, playerName, tournamentTitle, startTime, roomId, password } = roomData;
+    const gameName = gameNames[game] || game;
+    const modeCap = mode.charAt(0).toUpperCase() + mode.slice(1);
+    const start = new Date(startTime).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+
+    const mailOptions = {
+      from: `"GULLYESPORTS Tournaments" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: `[GULLYESPORTS] Room details: ${tournamentTitle || `${gameName} ${modeCap}`} — ${start}`,
+
+      text: `
+Your Room Details
+============================
+Tournament: ${tournamentTitle || `${gameName} ${modeCap}`}
+Team / Player: ${teamName || playerName}
+Starts: ${start}
+
+Room ID: ${roomId}
+Password: ${password || '—'}
+============================
+Do not share these details outside your team. Join 10 minutes before the start.
+      `,
+
+      html: `
+        <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0a0a0f; color: #f1f5f9; border-radius: 12px; overflow: hidden;">
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #6366f1, #4f46e5); padding: 24px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px; letter-spacing: 0.1em;">🎮 GULLYESPORTS</h1>
+            <p style="margin: 8px 0 0; font-size: 14px; opacity: 0.8;">Your Room Details</p>
+          </div>
+
+          <!-- Body -->
+          <div style="padding: 24px;">
+            <table style="width: 100%; border-collapse: collapse;">
+              <tr>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; color: #94a3b8; width: 140px;">Tournament</td>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; font-weight: 600;">${tournamentTitle || `${gameName} ${modeCap}`}</td>
+              </tr>
+              <tr>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; color: #94a3b8;">Team / Player</td>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32;">${teamName || playerName}</td>
+              </tr>
+              <tr>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; color: #94a3b8;">Starts</td>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32;">${start}</td>
+              </tr>
+              <tr>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; color: #94a3b8;">Room ID</td>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; font-family: monospace; font-size: 18px; color: #a5b4fc; font-weight: 700;">${roomId}</td>
+              </tr>
+              <tr>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; color: #94a3b8;">Password</td>
+                <td style="padding: 10px 12px; border-bottom: 1px solid #1e1e32; font-family: monospace; font-size: 18px; color: #a5b4fc; font-weight: 700;">${password || '—'}</td>
+              </tr>
+            </table>
+          </div>
+
+          <!-- Footer -->
+          <div style="padding: 16px 24px; border-top: 1px solid #1e1e32; text-align: center;">
+            <p style="margin: 0; font-size: 12px; color: #64748b;">
+              Do not share these details outside your team. Join 10 minutes before the start.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`📧 Room details sent to ${to} for ${gameName} ${modeCap}`);
+    return true;
+  } catch (error) {
+    console.error('🔴 Failed to send room details email:', error.message);
+    return false;
+  }
+}
+
+
+/**
+ * Send a player login code.
+ *
+ * @param {Object} codeData
+ * @param {string} codeData.to - Player's email
+ * @param {string} codeData.code - 6-digit one-time code
+ * @param {number} codeData.expiresInMinutes - How long the code is valid
+ *
+ * @returns {Promise<boolean>} - true if email sent, false if failed
+ */
+async function sendLoginCodeEmail({ to, code, expiresInMinutes }) {
+  try {
+    const mailOptions = {
+      from: `"GULLYESPORTS" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: `[GULLYESPORTS] Your login code: ${code}`,
+
+      text: `
+Your GULLYESPORTS login code is ${code}
+
+It expires in ${expiresInMinutes} minutes. If you didn't ask for it, ignore this email.
+      `,
+
+      html: `
+        <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0a0a0f; color: #f1f5f9; border-radius: 12px; overflow: hidden;">
+          <div style="background: linear-gradient(135deg, #6366f1, #4f46e5); padding: 24px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px; letter-spacing: 0.1em;">🎮 GULLYESPORTS</h1>
+            <p style="margin: 8px 0 0; font-size: 14px; opacity: 0.8;">Your Login Code</p>
+          </div>
+          <div style="padding: 24px; text-align: center;">
+            <p style="margin: 0; font-family: monospace; font-size: 32px; letter-spacing: 0.3em; color: #a5b4fc; font-weight: 700;">${code}</p>
+          </div>
+          <div style="padding: 16px 24px; border-top: 1px solid #1e1e32; text-align: center;">
+            <p style="margin: 0; font-size: 12px; color: #64748b;">
+              Expires in ${expiresInMinutes} minutes. If you didn't ask for this code, ignore this email.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`📧 Login code sent to ${to}`);
+    return true;
+  } catch (error) {
+    console.error('🔴 Failed to send login code email:', error.message);
+    return false;
+  }
+}
+
+
+/**
+ * Send an admin their one-time "set your password" link — after an invite,
+ * a password reset forced by a superadmin, or a "forgot password" request.
+ *
+ * @param {Object} linkData
+ * @param {string} linkData.to - Admin's email
+ * @param {string} linkData.name - Admin's display name
+ * @param {string} linkData.link - Dashboard URL with the token
+ * @param {number} linkData.expiresInHours - How long the link works
+ * @param {string} linkData.reason - invite | reset | forgot
+ * @param {string} [linkData.sentBy] - Name of the superadmin who sent it
+ *
+ * @returns {Promise<boolean>} - true if email sent, false if failed
+ */
+async function sendAdminPasswordLinkEmail({ to, name, link, expiresInHours, reason, sentBy }) {
+  const invite = reason === 'invite';
+  const intros = {
+    invite: `${sentBy || 'A GULLYESPORTS admin'} invited you to the GULLYESPORTS admin dashboard.`,
+    reset: `${sentBy || 'A GULLYESPORTS admin'} reset your GULLYESPORTS admin password. Your old password no longer works.`,
+    forgot: 'Someone asked to reset your GULLYESPORTS admin password. If it was not you, ignore this email — your password has not changed.',
+  };
+  const intro = intros[reason];
+
+  try {
+    const mailOptions = {
+      from: `"GULLYESPORTS" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: invite ? '[GULLYESPORTS] You are invited to the admin dashboard' : '[GULLYESPORTS] Set a new admin password',
+
+      text: `
+Hi ${name},
+
+${intro}
+
+Set your password here: ${link}
+
+The link works once and expires in ${expiresInHours} hours.
+      `,
+
+      html: `
+        <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0a0a0f; color: #f1f5f9; border-radius: 12px; overflow: hidden;">
+          <div style="background: linear-gradient(135deg, #6366f1, #4f46e5); padding: 24px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px; letter-spacing: 0.1em;">🎮 GULLYESPORTS</h1>
+            <p style="margin: 8px 0 0; font-size: 14px; opacity: 0.8;">${invite ? 'Admin Invitation' : 'Password Reset'}</p>
+          </div>
+          <div style="padding: 24px;">
+            <p style="margin: 0 0 12px;">Hi ${name},</p>
+            <p style="margin: 0 0 20px; color: #94a3b8;">${intro}</p>
+            <p style="margin: 0; text-align: center;">
+              <a href="${link}" style="display: inline-block; padding: 12px 24px; background: #6366f1; color: #fff; text-decoration: none; border-radius: 8px; font-weight: 600;">Set your password</a>
+            </p>
+          </div>
+          <div style="padding: 16px 24px; border-top: 1px solid #1e1e32; text-align: center;">
+            <p style="margin: 0; font-size: 12px; color: #64748b;">
+              The link works once and expires in ${expiresInHours} hours.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`📧 Admin ${reason} link sent to ${to}`);
+    return true;
+  } catch (error) {
+    console.error(`🔴 Failed to send admin ${reason} email:`, error.message);
+    return false;
+  }
+}
+
+
+module.exports = {
+  sendContactEmail,
+  sendRegistrationEmail,
+  sendRoomDetailsEmail,
+  sendLoginCodeEmail,
+  sendAdminPasswordLinkEmail,
+};
@@ -0,0 +1,186 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin List Queries (dates, sorting, cursor pagination)
+ * ============================================================================
+ * Purpose: The query-string handling shared by the dashboard's long lists
+ *          (GET /api/v1/admin/registrations and /contacts).
+ *
+ * Query params:
+ *   from / to — createdAt window (YYYY-MM-DD or ISO timestamps, inclusive;
+ *               a bare date is an Indian calendar day — IST, as on the
+ *               leaderboard — and as "to" covers the whole day)
+ *   sort      — one of the list's whitelisted fields (default createdAt)
+ *   order     — asc | desc (default desc)
+ *   limit     — page size (1–100, default 20)
+ *   cursor    — nextCursor of the previous page (omit for the first page)
+ *
+ * Cursor pagination:
+ *   - Pages are cut by the sort value and _id of the last row shown, not by
+ *     skipping N rows, so registrations arriving while an admin pages
+ *     through the list never shift rows onto the next page twice
+ *   - A cursor is opaque (base64url JSON) and only valid for the sort it
+ *     was issued for
+ *   - Documents without a value for the sort field (e.g. solo entries have
+ *     no teamName) sort first ascending and last descending, as in MongoDB
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Bare dates are days in IST (UTC+05:30), like the leaderboard periods
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a from/to query value. A bare date (YYYY-MM-DD) starts at IST
+ * midnight; as "to" it covers the whole IST day.
+ *
+ * @returns {Date|null}
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value || typeof value !== 'string') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return date;
+
+  // new Date('YYYY-MM-DD') is UTC midnight — move it to IST midnight
+  const dayStart = date.getTime() - IST_OFFSET_MS;
+  return new Date(endOfDay ? dayStart + DAY_MS - 1 : dayStart);
+}
+
+/**
+ * createdAt condition for from/to, or null when neither is given.
+ * Unparseable dates are ignored (the routes validate them first).
+ *
+ * @returns {Object|null} e.g. { $gte: Date, $lte: Date }
+ */
+function dateRange(from, to) {
+  const since = parseDate(from);
+  const until = parseDate(to, true);
+  if (!since && !until) return null;
+
+  const range = {};
+  if (since) range.$gte = since;
+  if (until) range.$lte = until;
+  return range;
+}
+
+function encodeCursor(sortField, order, doc) {
+  const value = doc[sortField] ?? null;
+  const payload = {
+    s: sortField,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * @returns {{ value: *, id: string }|null} null when the cursor is malformed
+ *          or was issued for another sort
+ */
+function decodeCursor(cursor, sortField, order, type) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.s !== sortField || payload.o !== order || !mongoose.isValidObjectId(payload.id)) return null;
+
+    let value = payload.v;
+    if (value !== null) {
+      if (type === 'date') value = new Date(value);
+      if (type === 'date' ? Number.isNaN(value.getTime()) : typeof value !== type) return null;
+    }
+    return { value, id: payload.id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rows after the cursor, in sort order (ties broken by _id).
+ */
+function afterCursor(sortField, order, { value, id }) {
+  const _id = new mongoose.Types.ObjectId(id);
+  const beyond = order === 'asc' ? '$gt' : '$lt';
+
+  if (value === null) {
+    // Missing values come first ascending, last descending
+    return order === 'asc'
+      ? { $or: [{ [sortField]: null, _id: { $gt: _id } }, { [sortField]: { $ne: null } }] }
+      : { [sortField]: null, _id: { $lt: _id } };
+  }
+
+  const next = [
+    { [sortField]: { [beyond]: value } },
+    { [sortField]: value, _id: { [beyond]: _id } },
+  ];
+  if (order === 'desc') next.push({ [sortField]: null });
+  return { $or: next };
+}
+
+/**
+ * Read sort, order, limit and cursor from a list request.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} sortFields - Whitelist: field → 'date' | 'number' | 'string'
+ * @returns {{ sortField, order, limit, sort, after: Object|null, error?: string }}
+ */
+function parseListQuery(query, sortFields) {
+  const sortField = Object.hasOwn(sortFields, query.sort) ? query.sort : 'createdAt';
+  const order = query.order === 'asc' ? 'asc' : 'desc';
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const direction = order === 'asc' ? 1 : -1;
+
+  const list = {
+    sortField,
+    order,
+    limit,
+    sort: { [sortField]: direction, _id: direction },
+    after: null,
+  };
+
+  if (query.cursor) {
+    const position = decodeCursor(query.cursor, sortField, order, sortFields[sortField]);
+    if (!position) return { ...list, error: 'Invalid or outdated page cursor — reload the first page.' };
+    list.after = afterCursor(sortField, order, position);
+  }
+  return list;
+}
+
+/**
+ * Load one page of a list.
+ *
+ * @param {Model} Model
+ * @param {Object} filter - The list's filters (counted for the total)
+ * @param {Object} list - From parseListQuery()
+ * @param {Function} [customize] - Adds populate()/select() to the find
+ * @returns {Promise<{ docs: Document[], pagination: Object }>}
+ */
+async function findPage(Model, filter, list, customize = query => query) {
+  const pageFilter = list.after ? { $and: [filter, list.after] } : filter;
+
+  const [docs, total] = await Promise.all([
+    customize(Model.find(pageFilter).sort(list.sort).limit(list.limit + 1)),
+    Model.countDocuments(filter),
+  ]);
+
+  const hasMore = docs.length > list.limit;
+  if (hasMore) docs.pop();
+
+  return {
+    docs,
+    pagination: {
+      limit: list.limit,
+      total,
+      sort: list.sortField,
+      order: list.order,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(list.sortField, list.order, docs[docs.length - 1]) : null,
+    },
+  };
+}
+
+module.exports = { parseDate, dateRange, parseListQuery, findPage };
@@ -0,0 +1,89 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Unpaid Online Orders
+ * ============================================================================
+ * Purpose: Gives back the tournament slot of an online entry whose payment
+ *          never arrives. POST /api/v1/register reserves the slot before the
+ *          player pays, so an abandoned or failed checkout would otherwise
+ *          hold it until an admin rejects the entry.
+ *
+ * How it works:
+ *   1. A "payment.failed" webhook withdraws the entry straight away
+ *      (routes/paymentRoutes.js → withdrawUnpaidEntry())
+ *   2. startOrderExpiry() runs expireStaleOrders() every 5 minutes; entries
+ *      still waiting for payment ORDER_TTL_MINUTES after they were made are
+ *      withdrawn with their order marked expired
+ *   3. A capture that arrives later still counts: the entry stays withdrawn
+ *      and a refund is queued (see applyPaymentEvent())
+ *
+ * Every change is conditional on the entry still being pending with an open
+ * order, so an approval or capture that gets there first always wins.
+ * ============================================================================
+ */
+
+const Tournament = require('../models/Tournament');
+const Registration = require('../models/Registration');
+
+// How long a player has to finish paying
+const ORDER_TTL_MINUTES = 30;
+
+// How often to look for expired orders (5 minutes)
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Withdraw a pending entry whose online order is still open and release its
+ * slot.
+ *
+ * @param {ObjectId} registrationId
+ * @param {Object} payment - onlinePayment fields to set, e.g. { status: 'failed' }
+ * @param {Date} [now]
+ * @returns {Promise<Document|null>} - The withdrawn entry, or null if it was
+ *                                     no longer pending with an open order
+ */
+async function withdrawUnpaidEntry(registrationId, payment, now = new Date()) {
+  const set = { status: 'withdrawn', withdrawnAt: now, refund: null };
+  for (const [field, value] of Object.entries(payment)) set[`onlinePayment.${field}`] = value;
+
+  const withdrawn = await Registration.findOneAndUpdate(
+    { _id: registrationId, status: 'pending', 'onlinePayment.status': 'created' },
+    set,
+    { new: true }
+  );
+  if (!withdrawn) return null;
+
+  await Tournament.releaseSlots(withdrawn.tournament);
+  return withdrawn;
+}
+
+/**
+ * Withdraw every entry whose order has been open for longer than
+ * ORDER_TTL_MINUTES.
+ *
+ * @returns {Promise<number>} - Number of entries withdrawn
+ */
+async function expireStaleOrders(now = new Date()) {
+  const stale = await Registration.find({
+    status: 'pending',
+    'onlinePayment.status': 'created',
+    createdAt: { $lte: new Date(now.getTime() - ORDER_TTL_MINUTES * 60 * 1000) },
+  }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    if (await withdrawUnpaidEntry(_id, { status: 'expired' }, now)) expired += 1;
+  }
+
+  if (expired) console.log(`⌛ ${expired} unpaid online entr${expired === 1 ? 'y' : 'ies'} expired`);
+  return expired;
+}
+
+/**
+ * Start the background check. Safe to call once at server start.
+ */
+function startOrderExpiry() {
+  const run = () => expireStaleOrders().catch(err => console.error('🔴 Order expiry error:', err.message));
+  run();
+  setInterval(run, CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = { ORDER_TTL_MINUTES, startOrderExpiry, expireStaleOrders, withdrawUnpaidEntry };
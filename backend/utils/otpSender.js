@@ -0,0 +1,82 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Login Code Sender (Pluggable)
+ * ============================================================================
+ * Purpose: Delivers player login codes. The delivery method is chosen with
+ *          OTP_SENDER in .env so an SMS provider can be plugged in later
+ *          without touching the routes.
+ *
+ * Built-in senders:
+ *   - console (default) — prints the code to the server log (local dev)
+ *   - file              — appends the code to OTP_FILE (default: otp-codes.log)
+ *   - email             — emails codes to email logins via emailService;
+ *                         phone logins fall back to the console sender
+ *
+ * Adding a provider:
+ *   registerSender('msg91', async ({ channel, destination, code, expiresInMinutes }) => { ... return true; });
+ *   then set OTP_SENDER=msg91
+ *
+ * Every sender resolves to true when the code was handed off, false otherwise.
+ * ============================================================================
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const senders = {
+  console: async ({ channel, destination, code }) => {
+    console.log(`🔐 Login code for ${channel} ${destination}: ${code}`);
+    return true;
+  },
+
+  file: async ({ channel, destination, code }) => {
+    const file = path.resolve(process.env.OTP_FILE || 'otp-codes.log');
+    await fs.appendFile(file, `${new Date().toISOString()}  ${channel}  ${destination}  ${code}\n`);
+    return true;
+  },
+
+  email: async (message) => {
+    if (message.channel !== 'email') return senders.console(message);
+
+    // Loaded lazily so the console/file senders work without SMTP settings
+    const { sendLoginCodeEmail } = require('./emailService');
+    return sendLoginCodeEmail({ to: message.destination, code: message.code, expiresInMinutes: message.expiresInMinutes });
+  },
+};
+
+/**
+ * Register (or replace) a sender by name.
+ */
+function registerSender(name, fn) {
+  senders[name] = fn;
+}
+
+/**
+ * Send a login code with the sender selected by OTP_SENDER.
+ *
+ * @param {Object} message
+ * @param {'phone'|'email'} message.channel
+ * @param {string} message.destination - Normalised phone or email
+ * @param {string} message.code
+ * @param {number} message.expiresInMinutes
+ *
+ * @returns {Promise<boolean>} - true if the code was handed off
+ */
+async function sendLoginCode(message) {
+  const name = process.env.OTP_SENDER || 'console';
+  const sender = senders[name];
+
+  if (!sender) {
+    console.error(`🔴 Unknown OTP_SENDER "${name}"`);
+    return false;
+  }
+
+  try {
+    return await sender(message);
+  } catch (error) {
+    console.error(`🔴 Login code sender "${name}" failed:`, error.message);
+    return false;
+  }
+}
+
+module.exports = { sendLoginCode, registerSender };
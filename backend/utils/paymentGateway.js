@@ -0,0 +1,125 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Payment Gateway (Pluggable)
+ * ============================================================================
+ * Purpose: One small interface for online payment providers, so players can
+ *          pay the entry fee through a gateway instead of typing a UPI
+ *          transaction ID. The manual UPI + screenshot path stays available.
+ *
+ * Interface (every provider):
+ *   createOrder({ amount, currency, receipt }) → Promise<{ orderId, amount, currency, checkout }>
+ *   verifyWebhook(rawBody, headers)            → boolean (signature valid)
+ *   parseWebhook(rawBody)                      → { eventId, type, orderId, paymentId, amount } | null
+ *
+ *   - amount is in paise (₹10 → 1000)
+ *   - checkout is whatever the frontend needs to open the provider's payment page
+ *   - type is "captured" or "failed"; other events parse to null and are ignored
+ *
+ * Built-in providers (PAYMENT_PROVIDER in .env; unset = online payments off):
+ *   - mock — no network calls, for local development and testing. Webhooks
+ *            are signed with HMAC-SHA256 of the raw body using
+ *            PAYMENT_WEBHOOK_SECRET, sent in the "X-Mock-Signature" header.
+ *            routes/paymentRoutes.js can simulate a payment end to end.
+ *
+ * Adding a provider:
+ *   registerProvider('razorpay', () => ({ name: 'razorpay', createOrder, verifyWebhook, parseWebhook }));
+ *   then set PAYMENT_PROVIDER=razorpay
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constant-time comparison of two hex signatures.
+ */
+function signaturesMatch(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Offline provider. Orders exist only as IDs; payments are simulated by
+ * posting a signed webhook (see signWebhook()).
+ */
+function mockProvider() {
+  // The default secret is public — never accept mock payments in production
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+  const sign = (rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+  return {
+    name: 'mock',
+
+    async createOrder({ amount, currency }) {
+      return {
+        orderId: `mock_order_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        currency,
+        checkout: { type: 'mock' },
+      };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      return Boolean(rawBody) && signaturesMatch(sign(rawBody), headers['x-mock-signature']);
+    },
+
+    parseWebhook(rawBody) {
+      const event = JSON.parse(rawBody.toString('utf8'));
+      const types = { 'payment.captured': 'captured', 'payment.failed': 'failed' };
+      if (!types[event.event] || !event.orderId) return null;
+
+      return {
+        eventId: String(event.id),
+        type: types[event.event],
+        orderId: String(event.orderId),
+        paymentId: event.paymentId ? String(event.paymentId) : null,
+        amount: Number(event.amount),
+      };
+    },
+
+    // Mock only — build the signed webhook a real provider would send
+    signWebhook({ orderId, amount, outcome }) {
+      const rawBody = JSON.stringify({
+        id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+        event: outcome === 'failed' ? 'payment.failed' : 'payment.captured',
+        orderId,
+        paymentId: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+      });
+      return { rawBody, signature: sign(rawBody) };
+    },
+  };
+}
+
+const providers = {
+  mock: mockProvider,
+};
+
+const instances = {};
+
+/**
+ * Register (or replace) a provider factory by name.
+ */
+function registerProvider(name, factory) {
+  providers[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * A provider by name, or the one selected by PAYMENT_PROVIDER.
+ *
+ * @param {string} [name]
+ * @returns {Object|null} - null when online payments are off or the name is unknown
+ */
+function getProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (!name || !providers[name]) return null;
+  if (!instances[name]) instances[name] = providers[name]();
+  return instances[name];
+}
+
+module.exports = { getProvider, registerProvider };
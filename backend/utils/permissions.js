@@ -0,0 +1,96 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Roles & Permissions
+ * ============================================================================
+ * Purpose: The single list of what each admin role may do. Routes check a
+ *          permission (middleware/authMiddleware.js → authorize()), never a
+ *          role, and the dashboard hides actions using the same list
+ *          (returned by GET /api/v1/admin/me).
+ *
+ * Roles (least to most access):
+ *   - viewer     — read-only access to the dashboard
+ *   - moderator  — viewer + answer contacts, verify payments, enter results
+ *   - admin      — day-to-day operations: tournaments, refunds, payouts
+ *   - superadmin — everything, including pricing, admin accounts and the audit log
+ *
+ * Adding a permission:
+ *   1. Add it to PERMISSIONS with a short description
+ *   2. Grant it to the roles that need it in ROLE_PERMISSIONS
+ *   3. Protect the route with authorize('<permission>')
+ * ============================================================================
+ */
+
+const PERMISSIONS = {
+  'stats:view': 'See dashboard statistics and margins',
+  'contacts:view': 'Read contact messages',
+  'contacts:update': 'Mark contact messages read / replied',
+  'contacts:delete': 'Delete contact messages',
+  'registrations:view': 'List registrations and payment screenshots',
+  'registrations:approve': 'Approve or reject payments (incl. statement reconciliation)',
+  'refunds:manage': 'Record refunds',
+  'tournaments:view': 'List tournaments and results sheets',
+  'tournaments:manage': 'Create, edit, clone, cancel and archive tournaments; set room details',
+  'results:manage': 'Enter match results',
+  'payouts:view': 'See the payout ledger',
+  'payouts:manage': 'Update payouts and mark them paid',
+  'pricing:view': 'See the pricing table',
+  'pricing:manage': 'Change entry fees and prizes',
+  'admins:manage': 'Manage admin accounts and their roles',
+  'audit:view': 'Read the audit log of admin actions',
+};
+
+const VIEWER = [
+  'stats:view',
+  'contacts:view',
+  'registrations:view',
+  'tournaments:view',
+  'payouts:view',
+  'pricing:view',
+];
+
+const MODERATOR = [
+  ...VIEWER,
+  'contacts:update',
+  'registrations:approve',
+  'results:manage',
+];
+
+const ADMIN = [
+  ...MODERATOR,
+  'contacts:delete',
+  'refunds:manage',
+  'tournaments:manage',
+  'payouts:manage',
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER,
+  moderator: MODERATOR,
+  admin: ADMIN,
+  superadmin: Object.keys(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions granted to a role (empty for unknown roles).
+ *
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Does the role grant the permission?
+ *
+ * @param {string} role
+ * @param {string} permission - A key of PERMISSIONS
+ * @returns {boolean}
+ */
+function roleCan(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, permissionsFor, roleCan };
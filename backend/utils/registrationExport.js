@@ -0,0 +1,177 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Registration Export (CSV / Excel)
+ * ============================================================================
+ * Purpose: Writes registrations to a response as a match-day sheet — one
+ *          row per player, with team name, IGN, in-game ID and phone — for
+ *          GET /api/v1/admin/registrations/export.
+ *
+ * Streaming:
+ *   - Registrations are read through a MongoDB cursor and every row is
+ *     written as soon as it is built, so an export of any size never sits
+ *     in memory
+ *   - CSV respects the response's backpressure (waits for "drain")
+ *   - Excel uses ExcelJS's streaming workbook writer (rows are committed
+ *     one by one, no shared-strings table); the cell values are always
+ *     text, never formulas
+ *   - If the admin cancels the download, reading stops and the cursor is
+ *     closed
+ * ============================================================================
+ */
+
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Header, key and Excel column width of each column
+const COLUMNS = [
+  { header: 'Tournament', key: 'tournament', width: 28 },
+  { header: 'Game', key: 'game', width: 10 },
+  { header: 'Mode', key: 'mode', width: 8 },
+  { header: 'Status', key: 'status', width: 14 },
+  { header: 'Team Name', key: 'teamName', width: 24 },
+  { header: 'Player', key: 'slot', width: 8 },
+  { header: 'IGN', key: 'inGameName', width: 22 },
+  { header: 'In-Game ID', key: 'inGameId', width: 18 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Registration ID', key: 'registrationId', width: 26 },
+];
+
+/**
+ * The rows of one registration, one per player.
+ *
+ * @param {Object} registration - Lean document, tournament populated (title)
+ * @returns {Object[]} Keyed by COLUMNS[].key
+ */
+function rowsFor(registration) {
+  return (registration.players || []).map((player, index) => ({
+    tournament: registration.tournament?.title || '',
+    game: registration.game,
+    mode: registration.mode,
+    status: registration.status,
+    teamName: registration.teamName || '',
+    slot: index + 1,
+    inGameName: player.inGameName,
+    inGameId: player.inGameId,
+    phone: player.phone,
+    registrationId: String(registration._id),
+  }));
+}
+
+/**
+ * Download file name, e.g. registrations-pubg-squad-2026-10-18.csv
+ *
+ * @param {string} format
+ * @param {Object} filter - The applied game/mode/status filter
+ */
+function exportFileName(format, filter = {}) {
+  const parts = ['registrations', filter.game, filter.mode, filter.status].filter(Boolean);
+  parts.push(new Date().toISOString().slice(0, 10));
+  return `${parts.join('-')}.${format}`;
+}
+
+/**
+ * Resolves once the response can take more data (or the download was
+ * cancelled). A response that is already closed resolves at once — its
+ * "close" event has fired and will not fire again.
+ */
+function drained(res) {
+  return new Promise(resolve => {
+    if (res.destroyed || res.writableEnded) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Write to the response, waiting when its buffer is full.
+ */
+async function write(res, chunk) {
+  if (!res.write(chunk)) await drained(res);
+}
+
+async function streamCsv(res, cursor) {
+  let rows = 0;
+
+  // BOM so Excel opens the file as UTF-8 (player names are often not ASCII)
+  await write(res, `\uFEFF${toCsvRow(COLUMNS.map(column => column.header))}`);
+
+  for await (const registration of cursor) {
+    if (res.destroyed) break;
+    for (const row of rowsFor(registration)) {
+      if (res.destroyed) break;
+      await write(res, toCsvRow(COLUMNS.map(column => row[column.key])));
+      rows++;
+    }
+  }
+
+  res.end();
+  return rows;
+}
+
+async function streamXlsx(res, cursor) {
+  let rows = 0;
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet('Registrations', {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const registration of cursor) {
+    if (res.destroyed) break;
+    for (const row of rowsFor(registration)) {
+      sheet.addRow(row).commit();
+      rows++;
+    }
+    // The zip writer pipes into the response; let it catch up
+    if (!res.destroyed && res.writableNeedDrain) await drained(res);
+  }
+
+  if (res.destroyed) return rows;
+
+  sheet.commit();
+  await workbook.commit();
+  return rows;
+}
+
+/**
+ * Set the download headers and stream every registration from the cursor.
+ *
+ * @param {Response} res
+ * @param {QueryCursor} cursor - Registration cursor (lean, tournament populated)
+ * @param {Object} options
+ * @param {string} options.format - csv | xlsx
+ * @param {string} options.fileName
+ * @returns {Promise<number>} Number of player rows written
+ */
+async function streamRegistrationExport(res, cursor, { format, fileName }) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    return format === 'xlsx' ? await streamXlsx(res, cursor) : await streamCsv(res, cursor);
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = { FORMATS, exportFileName, streamRegistrationExport };
@@ -0,0 +1,100 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Room Details Delivery
+ * ============================================================================
+ * Purpose: Emails custom room ID/password to APPROVED registrations once a
+ *          tournament's reveal time has passed.
+ *
+ * How it works:
+ *   1. startRoomDelivery() runs deliverDueRooms() once a minute
+ *   2. deliverDueRooms() finds scheduled tournaments whose room is revealed
+ *      but not yet emailed, emails every approved team and stamps
+ *      room.emailedAt so each room goes out once
+ *   3. Teams approved after the room went out are emailed individually
+ *      via sendLateRoomEmail() (called from the admin approve routes)
+ *
+ * Pending and rejected registrations are never emailed.
+ * ============================================================================
+ */
+
+const Tournament = require('../models/Tournament');
+const Registration = require('../models/Registration');
+const { sendRoomDetailsEmail } = require('./emailService');
+
+// How often to check for rooms that are due (1 minute)
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Email the room details of a tournament to one approved registration.
+ * Skips registrations without a lead player email.
+ *
+ * @returns {Promise<boolean>} - true if an email was sent
+ */
+async function sendRoomToRegistration(tournament, registration) {
+  const lead = registration.players[0];
+  if (registration.status !== 'approved' || !lead?.email) return false;
+
+  return sendRoomDetailsEmail({
+    to: lead.email,
+    game: tournament.game,
+    mode: tournament.mode,
+    teamName: registration.teamName,
+    playerName: lead.inGameName,
+    tournamentTitle: tournament.title,
+    startTime: tournament.startTime,
+    roomId: tournament.room.roomId,
+    password: tournament.room.password,
+  });
+}
+
+/**
+ * Late approval: if the tournament's room email already went out to the
+ * other teams, send this newly approved team its copy.
+ *
+ * @returns {Promise<boolean>} - true if an email was sent
+ */
+async function sendLateRoomEmail(registration) {
+  if (registration.status !== 'approved' || !registration.tournament) return false;
+
+  const tournament = await Tournament.findById(registration.tournament);
+  if (!tournament?.room?.emailedAt || !tournament.isRoomRevealed()) return false;
+
+  return sendRoomToRegistration(tournament, registration);
+}
+
+/**
+ * Send room emails for every tournament whose reveal time has passed.
+ *
+ * @returns {Promise<number>} - Number of tournaments processed
+ */
+async function deliverDueRooms(now = new Date()) {
+  const due = await Tournament.find({
+    status: 'scheduled',
+    'room.roomId': { $ne: null },
+    'room.emailedAt': null,
+    $or: [{ 'room.revealAt': null }, { 'room.revealAt': { $lte: now } }],
+  });
+
+  for (const tournament of due) {
+    const registrations = await Registration.find({ tournament: tournament._id, status: 'approved' });
+    const results = await Promise.all(registrations.map(reg => sendRoomToRegistration(tournament, reg)));
+
+    tournament.room.emailedAt = new Date();
+    await tournament.save();
+
+    console.log(`🔑 Room details for tournament ${tournament._id} emailed to ${results.filter(Boolean).length}/${registrations.length} approved team(s)`);
+  }
+
+  return due.length;
+}
+
+/**
+ * Start the background check. Safe to call once at server start.
+ */
+function startRoomDelivery() {
+  const run = () => deliverDueRooms().catch(err => console.error('🔴 Room delivery error:', err.message));
+  run();
+  setInterval(run, CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = { startRoomDelivery, deliverDueRooms, sendRoomToRegistration, sendLateRoomEmail };
@@ -0,0 +1,38 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - NoSQL Injection Sanitizer (Express 5 compatible)
+ * ============================================================================
+ * Purpose: Strips MongoDB operator keys ($gt, $ne, $regex, ...) from request
+ *          bodies, in place.
+ *
+ * Used by:
+ *   - server.js — on every req.body after the body parsers
+ *   - middleware/uploadMiddleware.js — on the JSON "payload" of multipart
+ *     registrations, which is parsed after the global pass has run
+ *
+ * express-mongo-sanitize is NOT compatible with Express 5 (req.query is
+ * read-only), hence this small replacement.
+ * ============================================================================
+ */
+
+/**
+ * Remove every key starting with $ from an object, recursively.
+ *
+ * @param {*} obj
+ * @returns {*} The same object
+ */
+function sanitizeObject(obj) {
+  if (typeof obj !== 'object' || obj === null) return obj;
+  for (const key of Object.keys(obj)) {
+    // Remove keys that start with $ (MongoDB operators like $gt, $ne, $regex)
+    if (key.startsWith('$')) {
+      console.warn(`⚠️ Sanitized NoSQL injection attempt: key "${key}" removed`);
+      delete obj[key];
+    } else if (typeof obj[key] === 'object') {
+      sanitizeObject(obj[key]); // Recursively sanitize nested objects
+    }
+  }
+  return obj;
+}
+
+module.exports = { sanitizeObject };
@@ -0,0 +1,98 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Admin Search (the "q" parameter)
+ * ============================================================================
+ * Purpose: Turns the dashboard's search box into a MongoDB filter for
+ *          registrations and contacts.
+ *
+ * A search matches a document when either:
+ *   - a whole word of q is in its text index (team name, IGNs, in-game IDs,
+ *     phones, emails, transaction ID / contact name, email, phone, message),
+ *     case-insensitive — "phoenix" finds "Team Phoenix"; or
+ *   - an identifier STARTS with q (transaction ID, in-game ID, phone,
+ *     email) — "4123" finds UTR 412398765012
+ *
+ * Every branch is backed by an index (see the models), which is also what
+ * MongoDB requires to combine $text with $or. Prefix branches are
+ * case-sensitive, anchored regexes, so they read a narrow slice of the
+ * index rather than scanning it.
+ * ============================================================================
+ */
+
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Escape text for use inside a RegExp.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The search text, or null when there is nothing to search for. Anything
+ * but a string (e.g. ?q[]=...) is ignored.
+ *
+ * @param {*} q
+ * @returns {string|null}
+ */
+function normalizeQuery(q) {
+  if (typeof q !== 'string') return null;
+  const text = q.trim().slice(0, MAX_QUERY_LENGTH);
+  return text || null;
+}
+
+/**
+ * Phone prefixes to try: as typed, and (for bare digits) behind the +91
+ * country code the registration form suggests.
+ */
+function phonePrefixes(text) {
+  const prefixes = [new RegExp(`^${escapeRegex(text)}`)];
+  if (/^\d+$/.test(text)) prefixes.push(new RegExp(`^\\+91\\s?${text}`));
+  return prefixes;
+}
+
+/**
+ * Registration filter for q (merge into the list filter).
+ *
+ * @param {*} q
+ * @returns {Object} {} when q is empty
+ */
+function registrationSearch(q) {
+  const text = normalizeQuery(q);
+  if (!text) return {};
+
+  const prefix = new RegExp(`^${escapeRegex(text)}`);
+  return {
+    $or: [
+      { $text: { $search: text } },
+      { transactionId: prefix },
+      { 'players.inGameId': prefix },
+      { 'players.phone': { $in: phonePrefixes(text) } },
+      { 'players.email': new RegExp(`^${escapeRegex(text.toLowerCase())}`) },
+    ],
+  };
+}
+
+/**
+ * Contact filter for q (merge into the list filter).
+ *
+ * @param {*} q
+ * @returns {Object} {} when q is empty
+ */
+function contactSearch(q) {
+  const text = normalizeQuery(q);
+  if (!text) return {};
+
+  return {
+    $or: [
+      { $text: { $search: text } },
+      { email: new RegExp(`^${escapeRegex(text.toLowerCase())}`) },
+      { phone: { $in: phonePrefixes(text) } },
+    ],
+  };
+}
+
+module.exports = { escapeRegex, normalizeQuery, registrationSearch, contactSearch };
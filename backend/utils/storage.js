@@ -0,0 +1,74 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - File Storage
+ * ============================================================================
+ * Purpose: One small interface for storing uploaded files (payment
+ *          screenshots) so the backing store can change without touching
+ *          the routes.
+ *
+ * Interface (every driver):
+ *   save(buffer, { folder, extension }) → Promise<key>
+ *   createReadStream(key)               → Readable stream
+ *   remove(key)                         → Promise<void> (missing files are ignored)
+ *
+ * Drivers (STORAGE_DRIVER in .env):
+ *   - local (default) — files under UPLOAD_DIR (default: backend/uploads)
+ *
+ * Keys look like "payments/2026-10/4f9c...e1.jpg" and are stored on the
+ * document that owns the file. Files are never served statically — admins
+ * fetch them through an authenticated route.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk driver.
+ *
+ * @param {string} rootDir - Directory all keys are relative to
+ */
+function localDiskStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  // Resolve a key to a path inside root (rejects "../" tricks)
+  function pathFor(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  return {
+    async save(buffer, { folder, extension }) {
+      const month = new Date().toISOString().slice(0, 7);
+      const key = [folder, month, `${crypto.randomBytes(16).toString('hex')}.${extension}`].join('/');
+      const filePath = pathFor(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+      return key;
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(pathFor(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(pathFor(key), { force: true });
+    },
+  };
+}
+
+const drivers = {
+  local: () => localDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')),
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,125 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - TOTP (Authenticator App Codes)
+ * ============================================================================
+ * Purpose: Time-based one-time passwords (RFC 6238) for admin two-factor
+ *          login. Works with Google Authenticator, Authy, 1Password, etc.
+ *
+ * Parameters (the authenticator-app defaults):
+ *   - HMAC-SHA1, 6 digits, 30-second steps
+ *   - Secrets are 20 random bytes, shared as base32 (RFC 4648, no padding)
+ *   - verify() accepts the previous and next step too, for clock drift
+ *
+ * Usage:
+ *   const secret = generateSecret();
+ *   const url = otpauthUrl({ secret, account: admin.email });   // → QR code
+ *   const step = verify(secret, '123456');   // matched time step, or null
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const DRIFT_STEPS = 1;
+const ISSUER = 'GULLYESPORTS';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret (base32).
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for a time step (HOTP of the step counter).
+ *
+ * @param {string} secret - base32
+ * @param {number} step - floor(unix seconds / 30)
+ * @returns {string} - Zero-padded code
+ */
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The current time step.
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the current step ± DRIFT_STEPS.
+ *
+ * @param {string} secret - base32
+ * @param {string} code - What the admin typed (spaces ignored)
+ * @returns {number|null} - The matched step (store it to refuse replays), or null
+ */
+function verify(secret, code, now = Date.now()) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(given)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = codeAt(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step + drift;
+  }
+  return null;
+}
+
+/**
+ * The otpauth:// URL authenticator apps read from a QR code.
+ *
+ * @param {Object} params
+ * @param {string} params.secret - base32
+ * @param {string} params.account - Shown under the issuer in the app (admin email)
+ */
+function otpauthUrl({ secret, account }) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = { generateSecret, verify, otpauthUrl, codeAt, currentStep };
@@ -0,0 +1,167 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Registration Status Controller
+ * ============================================================================
+ * Purpose: Handles the registration status lookup page:
+ *   1. Prefill the registration ID from ?id= (link shown after registering)
+ *   2. Validate the ID + lead player's phone
+ *   3. Look up the registration and render its status card
+ *   4. Show the room ID/password (approved teams, after the reveal time)
+ *   5. Withdraw before the cutoff; show refund details
+ *
+ * Dependencies:
+ *   - main.js (must be loaded first for showToast, apiRequest, helpers)
+ *   - status.html form structure
+ *
+ * API Endpoints:
+ *   POST /api/v1/register/status
+ *   POST /api/v1/register/withdraw
+ * ============================================================================
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('statusForm');
+  if (!form) return;
+
+  const submitBtn = document.getElementById('submitBtn');
+  const idInput = document.getElementById('registrationId');
+  const phoneInput = document.getElementById('phone');
+  const resultBox = document.getElementById('statusResult');
+
+  const gameNames = { pubg: 'PUBG (BGMI)', freefire: 'Free Fire', cod: 'Call of Duty Mobile' };
+
+  // What each status means for the player
+  const statusInfo = {
+    pending:  { label: '⏳ Pending Review', text: 'We are verifying your payment. This usually takes a few hours.' },
+    approved: { label: '✅ Approved',       text: 'You\'re in! Room details appear here (and in your email) before the match.' },
+    rejected: { label: '❌ Rejected',       text: 'Your registration could not be verified. Contact us if you think this is a mistake.' },
+    withdrawn: { label: '↩️ Withdrawn',     text: 'You withdrew from this tournament. If your payment went through, it will be refunded once we verify it.' },
+    refund_pending: { label: '💸 Refund Pending', text: 'Your entry fee will be refunded to the account you paid from.' },
+    refunded: { label: '💸 Refunded',       text: 'Your entry fee has been refunded.' },
+  };
+
+  // Last successful lookup (reused by the withdraw button)
+  let lookup = null;
+
+  // ── Prefill from URL ────────────────────────────────────────────
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('id')) {
+    idInput.value = params.get('id');
+    phoneInput.focus();
+  }
+
+  // ── Submit ──────────────────────────────────────────────────────
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearAllErrors(form);
+
+    const registrationId = idInput.value.trim();
+    const phone = phoneInput.value.trim();
+    let isValid = true;
+
+    if (!/^[a-f0-9]{24}$/i.test(registrationId)) {
+      showFieldError(idInput, 'Registration ID is the 24-character code shown after registering');
+      isValid = false;
+    }
+
+    if (!isValidPhone(phone)) {
+      showFieldError(phoneInput, 'Please enter a valid phone number');
+      isValid = false;
+    }
+
+    if (!isValid) return;
+
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '⏳ Checking...';
+
+    await checkStatus({ registrationId, phone });
+
+    submitBtn.disabled = false;
+    submitBtn.innerHTML = '🔎 Check Status';
+  });
+
+  async function checkStatus(credentials) {
+    const result = await apiRequest('/api/v1/register/status', 'POST', credentials);
+
+    if (!result.success) {
+      lookup = null;
+      resultBox.style.display = 'none';
+      showToast(result.message || 'Could not find that registration.', 'error');
+      return;
+    }
+
+    lookup = credentials;
+    renderStatus(result.data);
+  }
+
+  // ── Withdraw ────────────────────────────────────────────────────
+  resultBox.addEventListener('click', async (e) => {
+    if (e.target.id !== 'withdrawBtn' || !lookup) return;
+    if (!confirm('Withdraw from this tournament? Your slot will be given up and this cannot be undone.')) return;
+
+    e.target.disabled = true;
+    const result = await apiRequest('/api/v1/register/withdraw', 'POST', lookup);
+
+    if (!result.success) {
+      e.target.disabled = false;
+      showToast(result.message || 'Could not withdraw. Please try again.', 'error');
+      return;
+    }
+
+    showToast(result.message, 'success');
+    await checkStatus(lookup);
+  });
+
+  // ── Render the status card ──────────────────────────────────────
+  function renderStatus(reg) {
+    const info = statusInfo[reg.status] || { label: reg.status, text: '' };
+    const t = reg.tournament;
+    const name = reg.teamName || reg.players[0]?.inGameName || '—';
+
+    const rows = [
+      ['Team / Player', name],
+      ['Game', `${gameNames[reg.game] || reg.game} — ${reg.mode.charAt(0).toUpperCase() + reg.mode.slice(1)}`],
+      ['Tournament', t ? (t.title || 'Scheduled match') : '—'],
+      ['Starts', t ? formatTournamentTime(t.startTime) : '—'],
+      ['Entry Fee', `₹${reg.entryFee}`],
+      ['Registered', formatTournamentTime(reg.registeredAt)],
+    ];
+
+    if (reg.refund) {
+      rows.push(['Refund', `₹${reg.refund.amount}${reg.refund.refundedAt ? ' — sent ' + formatTournamentTime(reg.refund.refundedAt) : ''}`]);
+      if (reg.refund.referenceNumber) rows.push(['Refund Reference', reg.refund.referenceNumber]);
+    }
+
+    resultBox.innerHTML = `
+      <div class="status-badge status-${reg.status}">${info.label}</div>
+      <p class="status-text">${info.text}</p>
+      ${t && t.status === 'cancelled' ? '<p class="status-text status-warning">⚠️ This tournament was cancelled.</p>' : ''}
+      ${renderRoom(reg)}
+      <dl class="status-details">
+        ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+      </dl>
+      ${reg.canWithdraw ? `
+        <div class="status-withdraw">
+          <p class="status-text">Can't make it? You can withdraw until ${formatTournamentTime(t.withdrawalClosesAt)}.</p>
+          <button type="button" class="btn btn-secondary" id="withdrawBtn">↩️ Withdraw Registration</button>
+        </div>` : ''}
+    `;
+    resultBox.style.display = 'block';
+    resultBox.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  // ── Room details (only sent by the API to approved teams) ───────
+  function renderRoom(reg) {
+    if (reg.room) {
+      return `
+        <div class="status-room">
+          <div><span>Room ID</span><strong>${escapeHtml(reg.room.roomId)}</strong></div>
+          <div><span>Password</span><strong>${escapeHtml(reg.room.password || '—')}</strong></div>
+        </div>`;
+    }
+    if (reg.roomRevealAt) {
+      return `<p class="status-text">🔑 Room ID and password will appear here at ${formatTournamentTime(reg.roomRevealAt)}.</p>`;
+    }
+    return '';
+  }
+});
@@ -0,0 +1,329 @@
+/*
+ * ============================================================================
+ * GULLYESPORTS - Player Account Controller
+ * ============================================================================
+ * Purpose: Handles the player account page:
+ *   1. Log in with a one-time code (phone or email → code → token)
+ *   2. Return to ?next=<path> after logging in (e.g. the register page)
+ *   3. Edit display name + saved in-game name/ID per game
+ *   4. Duo/squad teams: create, join by invite code, remove members, leave
+ *   5. List past registrations with links to the status page
+ *
+ * Dependencies:
+ *   - main.js (must be loaded first for apiRequest, player session helpers)
+ *   - account.html structure
+ *
+ * API Endpoints:
+ *   POST  /api/v1/players/otp/request
+ *   POST  /api/v1/players/otp/verify
+ *   GET   /api/v1/players/me
+ *   PATCH /api/v1/players/me
+ *   GET   /api/v1/players/me/registrations
+ *   GET/POST/PATCH/DELETE /api/v1/teams/*
+ * ============================================================================
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const loginForm = document.getElementById('loginForm');
+  if (!loginForm) return;
+
+  const loginBtn = document.getElementById('loginBtn');
+  const loginId = document.getElementById('loginId');
+  const codeGroup = document.getElementById('codeGroup');
+  const loginCode = document.getElementById('loginCode');
+  const accountSection = document.getElementById('accountSection');
+  const profileForm = document.getElementById('profileForm');
+  const historyList = document.getElementById('historyList');
+  const historyMore = document.getElementById('historyMore');
+
+  const gameNames = { pubg: 'PUBG (BGMI)', freefire: 'Free Fire', cod: 'Call of Duty Mobile' };
+
+  // Only same-site paths are followed after login
+  const next = new URLSearchParams(window.location.search).get('next');
+  const nextUrl = next && next.startsWith('/') && !next.startsWith('//') ? next : null;
+
+  let codeSent = false;
+  let historyPage = 1;
+
+  // ── Start: logged in already? ───────────────────────────────────
+  loadPlayerProfile().then(profile => {
+    if (profile) showAccount(profile);
+  });
+
+  // ── Login: step 1 sends the code, step 2 verifies it ────────────
+  loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearAllErrors(loginForm);
+
+    const target = loginTarget();
+    if (!target) {
+      showFieldError(loginId, 'Enter a valid phone number or email');
+      return;
+    }
+
+    if (!codeSent) {
+      await requestCode(target);
+      return;
+    }
+
+    const code = loginCode.value.trim();
+    if (!/^\d{6}$/.test(code)) {
+      showFieldError(loginCode, 'Enter the 6-digit code');
+      return;
+    }
+
+    setLoginButton(true, '⏳ Logging in...');
+    const result = await apiRequest('/api/v1/players/otp/verify', 'POST', { ...target, code });
+    setLoginButton(false, '🔓 Log In');
+
+    if (!result.success) {
+      showToast(result.message || 'Login failed.', 'error');
+      return;
+    }
+
+    setPlayerToken(result.data.token);
+    showToast('Logged in! 🎮', 'success');
+
+    if (nextUrl) {
+      window.location.href = nextUrl;
+      return;
+    }
+    showAccount(result.data.player);
+  });
+
+  // Changing the phone/email starts over
+  loginId.addEventListener('input', () => {
+    if (!codeSent) return;
+    codeSent = false;
+    codeGroup.style.display = 'none';
+    loginCode.value = '';
+    setLoginButton(false, '📩 Send Code');
+  });
+
+  async function requestCode(target) {
+    setLoginButton(true, '⏳ Sending...');
+    const result = await apiRequest('/api/v1/players/otp/request', 'POST', target);
+
+    if (!result.success) {
+      setLoginButton(false, '📩 Send Code');
+      showToast(result.message || 'Could not send the code.', 'error');
+      return;
+    }
+
+    codeSent = true;
+    codeGroup.style.display = 'block';
+    loginCode.focus();
+    setLoginButton(false, '🔓 Log In');
+    showToast(result.message, 'success');
+  }
+
+  // Phone or email, decided by what was typed
+  function loginTarget() {
+    const value = loginId.value.trim();
+    if (value.includes('@')) return isValidEmail(value) ? { email: value } : null;
+    return isValidPhone(value) ? { phone: value } : null;
+  }
+
+  function setLoginButton(disabled, label) {
+    loginBtn.disabled = disabled;
+    loginBtn.innerHTML = label;
+  }
+
+  // ── Logged-in view ──────────────────────────────────────────────
+  function showAccount(profile) {
+    loginForm.style.display = 'none';
+    accountSection.style.display = 'block';
+
+    document.getElementById('accountWho').textContent = profile.name || profile.phone || profile.email;
+    document.getElementById('profileName').value = profile.name || '';
+    document.getElementById('profileGames').innerHTML = Object.entries(gameNames).map(([game, name]) => `
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label" for="ign_${game}">${name} — In-Game Name</label>
+          <input type="text" id="ign_${game}" class="form-input" maxlength="50" value="${escapeHtml(profile.games?.[game]?.inGameName || '')}" />
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="igid_${game}">${name} — In-Game ID</label>
+          <input type="text" id="igid_${game}" class="form-input" maxlength="30" value="${escapeHtml(profile.games?.[game]?.inGameId || '')}" />
+        </div>
+      </div>`).join('');
+
+    document.getElementById('teamPhone').value = profile.phone || '';
+
+    historyPage = 1;
+    historyList.innerHTML = '';
+    loadHistory();
+    loadTeams();
+  }
+
+  document.getElementById('logoutLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    clearPlayerToken();
+    window.location.reload();
+  });
+
+  // ── Save profile ────────────────────────────────────────────────
+  profileForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const profileBtn = document.getElementById('profileBtn');
+
+    const games = {};
+    for (const game of Object.keys(gameNames)) {
+      games[game] = {
+        inGameName: document.getElementById(`ign_${game}`).value.trim(),
+        inGameId: document.getElementById(`igid_${game}`).value.trim(),
+      };
+    }
+
+    profileBtn.disabled = true;
+    const result = await apiRequest('/api/v1/players/me', 'PATCH', {
+      name: document.getElementById('profileName').value.trim(),
+      games,
+    }, getPlayerToken());
+    profileBtn.disabled = false;
+
+    if (!result.success) {
+      showToast(result.message || 'Could not save your profile.', 'error');
+      return;
+    }
+
+    document.getElementById('accountWho').textContent = result.data.name || result.data.phone || result.data.email;
+    showToast('Profile saved.', 'success');
+  });
+
+  // ── Teams ───────────────────────────────────────────────────────
+  const teamList = document.getElementById('teamList');
+
+  async function loadTeams() {
+    const result = await apiRequest('/api/v1/teams', 'GET', null, getPlayerToken());
+    if (!result.success) {
+      showToast(result.message || 'Could not load your teams.', 'error');
+      return;
+    }
+
+    teamList.innerHTML = result.data.length
+      ? result.data.map(renderTeam).join('')
+      : '<p class="status-text">No teams yet. Create one for duo/squad tournaments, or join with a code from your captain.</p>';
+  }
+
+  function renderTeam(team) {
+    const members = team.members.map(m => {
+      const canRemove = !team.locked && !m.isCaptain && (team.isCaptain || m.isYou);
+      return `
+        <li>
+          <span>${escapeHtml(m.inGameName)} <small>${escapeHtml(m.inGameId)}${m.isCaptain ? ' · Captain' : ''}${m.isYou ? ' · You' : ''}</small></span>
+          ${canRemove ? `<button type="button" class="btn btn-secondary btn-sm" data-team="${team.id}" data-remove="${m.id}">${m.isYou ? 'Leave' : 'Remove'}</button>` : ''}
+        </li>`;
+    }).join('');
+
+    return `
+      <div class="account-team">
+        <div class="account-team-head">
+          <strong>${escapeHtml(team.name)}</strong>
+          <span>${gameNames[team.game] || team.game} · ${team.members.length}/${team.maxMembers} members${team.locked ? ' · 🔒 Locked (in a tournament)' : ''}</span>
+        </div>
+        ${team.isCaptain ? `
+          <p class="status-text">Invite code: <code>${escapeHtml(team.inviteCode)}</code>
+            <button type="button" class="btn btn-secondary btn-sm" data-team="${team.id}" data-action="new-code">New code</button>
+            ${team.locked ? '' : `<button type="button" class="btn btn-secondary btn-sm" data-team="${team.id}" data-action="delete">Delete team</button>`}
+          </p>` : ''}
+        <ul class="account-team-members">${members}</ul>
+      </div>`;
+  }
+
+  // One click handler for every team button
+  teamList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-team]');
+    if (!btn) return;
+
+    const teamId = btn.dataset.team;
+    let result;
+
+    if (btn.dataset.remove) {
+      if (!confirm(btn.textContent === 'Leave' ? 'Leave this team?' : 'Remove this member?')) return;
+      result = await apiRequest(`/api/v1/teams/${teamId}/members/${btn.dataset.remove}`, 'DELETE', null, getPlayerToken());
+    } else if (btn.dataset.action === 'new-code') {
+      result = await apiRequest(`/api/v1/teams/${teamId}/invite-code`, 'POST', null, getPlayerToken());
+    } else if (btn.dataset.action === 'delete') {
+      if (!confirm('Delete this team? Past registrations are kept.')) return;
+      result = await apiRequest(`/api/v1/teams/${teamId}`, 'DELETE', null, getPlayerToken());
+    }
+
+    if (!result) return;
+    showToast(result.message || (result.success ? 'Done.' : 'Something went wrong.'), result.success ? 'success' : 'error');
+    if (result.success) loadTeams();
+  });
+
+  document.getElementById('createTeamForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const game = document.getElementById('newTeamGame').value;
+    const saved = {
+      inGameName: document.getElementById(`ign_${game}`).value.trim(),
+      inGameId: document.getElementById(`igid_${game}`).value.trim(),
+    };
+
+    const result = await apiRequest('/api/v1/teams', 'POST', {
+      name: document.getElementById('newTeamName').value.trim(),
+      game,
+      ...saved,
+      phone: document.getElementById('teamPhone').value.trim(),
+    }, getPlayerToken());
+
+    showToast(result.message || (result.success ? 'Team created.' : 'Could not create the team.'), result.success ? 'success' : 'error');
+    if (result.success) {
+      e.target.reset();
+      loadTeams();
+    }
+  });
+
+  document.getElementById('joinTeamForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    // The server fills the roster entry from the saved profile for the team's game
+    const result = await apiRequest('/api/v1/teams/join', 'POST', {
+      inviteCode: document.getElementById('inviteCode').value.trim(),
+      phone: document.getElementById('teamPhone').value.trim(),
+    }, getPlayerToken());
+
+    showToast(result.message || (result.success ? 'Joined.' : 'Could not join the team.'), result.success ? 'success' : 'error');
+    if (result.success) {
+      e.target.reset();
+      loadTeams();
+    }
+  });
+
+  // ── Registration history ────────────────────────────────────────
+  historyMore.addEventListener('click', () => {
+    historyPage += 1;
+    loadHistory();
+  });
+
+  async function loadHistory() {
+    const result = await apiRequest(`/api/v1/players/me/registrations?page=${historyPage}`, 'GET', null, getPlayerToken());
+
+    if (!result.success) {
+      showToast(result.message || 'Could not load your registrations.', 'error');
+      return;
+    }
+
+    if (!result.data.length && historyPage === 1) {
+      historyList.innerHTML = '<p class="status-text">No registrations yet. Registrations you make while logged in show up here.</p>';
+    }
+
+    historyList.insertAdjacentHTML('beforeend', result.data.map(reg => {
+      const t = reg.tournament;
+      const title = t ? (t.title || 'Scheduled match') : '—';
+      return `
+        <a class="account-history-item" href="/status.html?id=${encodeURIComponent(reg.registrationId)}">
+          <div>
+            <strong>${escapeHtml(title)}</strong>
+            <span>${gameNames[reg.game] || reg.game} · ${reg.mode} · ${escapeHtml(reg.teamName || '')}</span>
+            <span>${t ? formatTournamentTime(t.startTime) : ''}</span>
+          </div>
+          <span class="status-badge status-${reg.status}">${reg.status.replace('_', ' ')}</span>
+        </a>`;
+    }).join(''));
+
+    historyMore.style.display = result.pagination.page < result.pagination.pages ? 'inline-flex' : 'none';
+  }
+});
@@ -14,6 +14,10 @@
  *   9. ✨ NEW: Scroll progress bar (thin bar at top of page)
  *  10. ✨ NEW: FAQ accordion toggle
  *  11. ✨ NEW: Page entrance animation
+ *  12. Live tournament slot counts on game pages
+ *  13. Live pricing (fees + prizes) from the pricing config API
+ *  14. Leaderboards (weekly / monthly / all-time) on game pages
+ *  15. Player session (login token for player accounts)
  *
  * How it works:
  *   - This file runs on every page via <script> tag
@@ -35,6 +39,9 @@ document.addEventListener('DOMContentLoaded', () => {
   initTypedText();
   initAccordion();
   initPageEntrance();
+  initTournamentSlots();
+  initLeaderboards();
+  initPricing();
 });
 
 /* ========================================================================
@@ -279,10 +286,13 @@ function clearAllErrors(form) {
  * Send data to backend API and return parsed response.
  * Handles JSON and FormData.
  *
+ * Pass authToken to send "Authorization: Bearer <token>" (player routes).
+ *
  * Example:
  *   const result = await apiRequest('/api/v1/contact', 'POST', { name: 'John' });
+ *   const me = await apiRequest('/api/v1/players/me', 'GET', null, getPlayerToken());
  */
-async function apiRequest(url, method = 'POST', data = null) {
+async function apiRequest(url, method = 'POST', data = null, authToken = null) {
   // Determine the base URL based on environment
   const baseUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
     ? 'http://localhost:5000'
@@ -295,6 +305,10 @@ async function apiRequest(url, method = 'POST', data = null) {
     headers: {},
   };
 
+  if (authToken) {
+    options.headers['Authorization'] = `Bearer ${authToken}`;
+  }
+
   if (data instanceof FormData) {
     // FormData — don't set Content-Type (browser sets boundary automatically)
     options.body = data;
@@ -607,3 +621,225 @@ function initPageEntrance() {
     });
   });
 }
+
+/* ========================================================================
+   13. LIVE TOURNAMENT SLOTS — Next event + slots left per game/mode
+   ======================================================================== */
+
+/**
+ * Fills every element marked with data-tournament-slots with the next
+ * upcoming tournament for its game/mode and how many slots are left.
+ * One API request is made per game on the page.
+ *
+ * Usage in HTML:
+ *   <p class="tournament-slots" data-tournament-slots data-game="pubg" data-mode="solo"></p>
+ */
+async function initTournamentSlots() {
+  const elements = document.querySelectorAll('[data-tournament-slots]');
+  if (elements.length === 0) return;
+
+  const games = [...new Set([...elements].map(el => el.dataset.game))];
+
+  for (const game of games) {
+    const result = await apiRequest(`/api/v1/tournaments?game=${encodeURIComponent(game)}`, 'GET');
+    const tournaments = result.success ? result.data : [];
+
+    elements.forEach(el => {
+      if (el.dataset.game !== game) return;
+
+      // Prefer the next event that is still taking entries
+      const forMode = tournaments.filter(t => t.mode === el.dataset.mode);
+      const next = forMode.find(t => t.isOpen) || forMode[0];
+
+      if (!result.success) {
+        el.textContent = '🎟️ Live slot info unavailable right now';
+      } else if (!next) {
+        el.textContent = '🗓️ Next tournament will be announced soon';
+      } else {
+        el.textContent = next.isOpen
+          ? `🎟️ ${next.slotsLeft} of ${next.maxSlots} slots left · Starts ${formatTournamentTime(next.startTime)}`
+          : `⛔ Registrations closed · Starts ${formatTournamentTime(next.startTime)}`;
+      }
+
+      el.classList.toggle('closed', !next || !next.isOpen);
+    });
+  }
+}
+
+/**
+ * Format a tournament start time for display, e.g. "Sun, 19 Oct, 8:00 pm".
+ */
+function formatTournamentTime(date) {
+  return new Date(date).toLocaleString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/* ========================================================================
+   14. LIVE PRICING — Fees and prizes rendered from the pricing config
+   ======================================================================== */
+
+/**
+ * Replaces every element marked with data-pricing with the current value
+ * from GET /api/v1/config/pricing. The static HTML value stays as a
+ * fallback (and for search engines) if the API is unreachable.
+ *
+ * Usage in HTML (path is game.mode.field):
+ *   <span data-pricing="pubg.solo.entryFee">₹5</span>
+ *   <span data-pricing="pubg.solo.prizes.winner">₹500</span>
+ */
+async function initPricing() {
+  const elements = document.querySelectorAll('[data-pricing]');
+  if (elements.length === 0) return;
+
+  const pricing = await getPricing();
+  if (!pricing) return;
+
+  elements.forEach(el => {
+    const value = el.dataset.pricing.split('.').reduce((obj, key) => obj?.[key], pricing.games);
+    if (typeof value === 'number') el.textContent = `₹${value}`;
+  });
+}
+
+/**
+ * Fetch the pricing config once per page and cache the promise.
+ * Resolves to the config data, or null if the request failed.
+ */
+function getPricing() {
+  if (!getPricing.cache) {
+    getPricing.cache = apiRequest('/api/v1/config/pricing', 'GET')
+      .then(result => (result.success ? result.data : null));
+  }
+  return getPricing.cache;
+}
+
+/* ========================================================================
+   15. LEADERBOARDS — Player + team standings per game
+   ======================================================================== */
+
+/**
+ * Renders the leaderboard block on game pages from GET /api/v1/leaderboards.
+ * The season tabs (weekly / monthly / all-time) reload the tables in place.
+ *
+ * Usage in HTML:
+ *   <div data-leaderboard data-game="pubg">
+ *     <button class="leaderboard-tab" data-season="weekly">This Week</button>
+ *     <tbody data-leaderboard-players></tbody>
+ *     <tbody data-leaderboard-teams></tbody>
+ *   </div>
+ */
+function initLeaderboards() {
+  document.querySelectorAll('[data-leaderboard]').forEach(board => {
+    const tabs = board.querySelectorAll('.leaderboard-tab');
+
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        tabs.forEach(t => t.classList.toggle('active', t === tab));
+        loadLeaderboard(board, tab.dataset.season);
+      });
+    });
+
+    const active = board.querySelector('.leaderboard-tab.active');
+    loadLeaderboard(board, active ? active.dataset.season : 'all-time');
+  });
+}
+
+/**
+ * Fetch one season's standings and fill the player and team tables.
+ */
+async function loadLeaderboard(board, season) {
+  const playersBody = board.querySelector('[data-leaderboard-players]');
+  const teamsBody = board.querySelector('[data-leaderboard-teams]');
+  const message = (text) => `<tr><td colspan="6" class="leaderboard-empty">${text}</td></tr>`;
+
+  playersBody.innerHTML = message('Loading…');
+  teamsBody.innerHTML = message('Loading…');
+
+  const result = await apiRequest(
+    `/api/v1/leaderboards?game=${encodeURIComponent(board.dataset.game)}&season=${encodeURIComponent(season)}&limit=10`,
+    'GET'
+  );
+
+  if (!result.success) {
+    playersBody.innerHTML = message('Leaderboard unavailable right now');
+    teamsBody.innerHTML = message('Leaderboard unavailable right now');
+    return;
+  }
+
+  const row = (rank, name, r) => `
+    <tr>
+      <td>${rank}</td>
+      <td>${escapeHtml(name)}</td>
+      <td>${r.kills}</td>
+      <td>${r.wins}</td>
+      <td>₹${r.earnings}</td>
+      <td class="points">${r.points}</td>
+    </tr>`;
+
+  playersBody.innerHTML = result.data.players.length
+    ? result.data.players.map(p => row(p.rank, p.inGameName || p.inGameId, p)).join('')
+    : message('No matches played yet — be the first on the board!');
+
+  teamsBody.innerHTML = result.data.teams.length
+    ? result.data.teams.map(t => row(t.rank, t.teamName, t)).join('')
+    : message('No team matches played yet');
+}
+
+/**
+ * Escape text for safe insertion into innerHTML.
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str == null ? '' : String(str);
+  return div.innerHTML;
+}
+
+/* ========================================================================
+   16. PLAYER SESSION — Login token for player accounts
+   ======================================================================== */
+
+const PLAYER_TOKEN_KEY = 'gullyPlayerToken';
+
+/**
+ * Token from the last player login (null when logged out).
+ */
+function getPlayerToken() {
+  return localStorage.getItem(PLAYER_TOKEN_KEY);
+}
+
+/**
+ * Store the token returned by POST /api/v1/players/otp/verify.
+ */
+function setPlayerToken(token) {
+  localStorage.setItem(PLAYER_TOKEN_KEY, token);
+}
+
+/**
+ * Forget the logged-in player.
+ */
+function clearPlayerToken() {
+  localStorage.removeItem(PLAYER_TOKEN_KEY);
+}
+
+/**
+ * Fetch the logged-in player's profile.
+ *
+ * @returns {Promise<Object|null>} - Profile, or null when logged out
+ */
+async function loadPlayerProfile() {
+  const token = getPlayerToken();
+  if (!token) return null;
+
+  const result = await apiRequest('/api/v1/players/me', 'GET', null, token);
+  if (!result.success) {
+    // Expired/invalid tokens come back as "...log in again" — drop them
+    if (/log in/i.test(result.message || '')) clearPlayerToken();
+    return null;
+  }
+
+  return result.data;
+}
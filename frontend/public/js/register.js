@@ -4,18 +4,29 @@
  * ============================================================================
  * Purpose: Handles the tournament registration form logic:
  *   1. Read game/mode from URL parameters (?game=pubg&mode=solo)
- *   2. Dynamically show/hide player fields based on mode
+ *      plus an optional ?tournament=<id> to pick a specific event
+ *   1b. Load the next open tournament and its live slot count
+ *   2. Solo: player details form; duo/squad: pick a saved team + players
  *   3. Update hero text and info bar with game/mode details
  *   4. Real-time validation on all fields
  *   5. Honeypot spam detection
- *   6. Form submission to backend API
+ *   6. Form submission to backend API (multipart, with payment screenshot)
  *   7. Step indicator progress
+ *   8. Registration ID + status page link on success
+ *   9. Prefill Player 1 from the logged-in player's profile (account.html)
+ *  10. Online payment option when a payment gateway is configured
  *
  * Dependencies:
  *   - main.js (must be loaded first for showToast, validation helpers)
  *   - register.html form structure
  *
- * API Endpoint: POST /api/v1/register
+ * API Endpoints:
+ *   GET  /api/v1/tournaments?game=&mode=
+ *   POST /api/v1/register
+ *   GET  /api/v1/players/me   (only when logged in)
+ *   GET  /api/v1/teams        (duo/squad, only when logged in)
+ *   GET  /api/v1/payments/config
+ *   POST /api/v1/payments/mock/:orderId/complete   (mock gateway only)
  * ============================================================================
  */
 
@@ -32,16 +43,19 @@ document.addEventListener('DOMContentLoaded', () => {
     cod:      { name: 'Call of Duty Mobile', emoji: '⚔️', color: '#3d3d1a' },
   };
 
+  // Fees and prizes are NOT hard-coded — they come from the pricing
+  // config API (and the selected tournament's overrides) below
   const modeConfig = {
-    solo:  { players: 1, fee: '₹5',  feeNum: 5,  showTeam: false },
-    duo:   { players: 2, fee: '₹10', feeNum: 10, showTeam: true  },
-    squad: { players: 4, fee: '₹20', feeNum: 20, showTeam: true  },
+    solo:  { players: 1, showTeam: false },
+    duo:   { players: 2, showTeam: true  },
+    squad: { players: 4, showTeam: true  },
   };
 
   // ── Read URL parameters ─────────────────────────────────────────
   const params = new URLSearchParams(window.location.search);
   const game = params.get('game') || 'pubg';
   const mode = params.get('mode') || 'solo';
+  const requestedTournamentId = params.get('tournament');
 
   const gameInfo = gameConfig[game] || gameConfig.pubg;
   const modeInfo = modeConfig[mode] || modeConfig.solo;
@@ -53,7 +67,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
   if (heroBadge) heroBadge.textContent = `${gameInfo.emoji} ${gameInfo.name} — ${capitalize(mode)}`;
   if (heroTitle) heroTitle.innerHTML = `Register for <span class="gradient-text">${capitalize(mode)}</span>`;
-  if (heroSubtitle) heroSubtitle.textContent = `${modeInfo.players} player${modeInfo.players > 1 ? 's' : ''}. Entry fee: ${modeInfo.fee}. Winner gets ₹500 + ₹10/kill.`;
 
   // ── Update hero background color ────────────────────────────────
   const heroSection = document.getElementById('registerHero');
@@ -70,31 +83,134 @@ document.addEventListener('DOMContentLoaded', () => {
   const infoFee = document.getElementById('infoFee');
   const feeDisplay = document.getElementById('feeDisplay');
 
+  const infoPrize = document.getElementById('infoPrize');
+
   if (infoGame) infoGame.textContent = gameInfo.name;
   if (infoMode) infoMode.textContent = capitalize(mode);
-  if (infoFee) infoFee.textContent = modeInfo.fee;
-  if (feeDisplay) feeDisplay.textContent = modeInfo.fee;
 
-  // ── Show/hide player sections and team name ─────────────────────
-  const teamNameSection = document.getElementById('teamNameSection');
-  if (teamNameSection) {
-    teamNameSection.style.display = modeInfo.showTeam ? 'block' : 'none';
-    if (modeInfo.showTeam) {
-      teamNameSection.querySelector('input').required = true;
+  /**
+   * Show fee + prizes in the hero, info bar and payment box.
+   * Called with the standard pricing first, then again with the
+   * selected tournament's (possibly overridden) pricing.
+   */
+  function renderPricing({ entryFee, prizes }) {
+    const fee = `₹${entryFee}`;
+    if (infoFee) infoFee.textContent = fee;
+    if (feeDisplay) feeDisplay.textContent = fee;
+    if (infoPrize) infoPrize.textContent = `₹${prizes.winner}`;
+    if (heroSubtitle) {
+      heroSubtitle.textContent = `${modeInfo.players} player${modeInfo.players > 1 ? 's' : ''}. ` +
+        `Entry fee: ${fee}. Winner gets ₹${prizes.winner} + ₹${prizes.perKill}/kill.`;
+    }
+  }
+
+  // ── Load the tournament being registered for ────────────────────
+  // Picks ?tournament=<id> if given, otherwise the next open event.
+  // The form stays disabled until an open tournament is found.
+  let tournament = null;
+  submitBtn.disabled = true;
+  loadTournament();
+  loadPlayer();
+  loadPaymentOptions();
+
+  async function loadTournament() {
+    const [result, pricing] = await Promise.all([
+      apiRequest(`/api/v1/tournaments?game=${game}&mode=${mode}`, 'GET'),
+      getPricing(),
+    ]);
+    const infoSlots = document.getElementById('infoSlots');
+
+    // Standard pricing for this game/mode until a tournament is picked
+    if (pricing) renderPricing(pricing.games[game]?.[mode] || pricing.games.pubg.solo);
+
+    if (!result.success) {
+      if (infoSlots) infoSlots.textContent = '—';
+      showToast('Could not load tournament details. Please refresh the page.', 'error');
+      return;
+    }
+
+    const open = result.data.filter(t => t.isOpen);
+    tournament = open.find(t => t.id === requestedTournamentId) || open[0] || null;
+
+    if (!tournament) {
+      if (infoSlots) infoSlots.textContent = '0';
+      if (heroSubtitle) heroSubtitle.textContent = 'No open tournament for this mode right now. Check back soon!';
+      submitBtn.innerHTML = '⛔ Registrations Closed';
+      return;
     }
+
+    // The API already resolved this tournament's fee + prizes
+    renderPricing(tournament);
+
+    const start = formatTournamentTime(tournament.startTime);
+    if (infoSlots) infoSlots.textContent = `${tournament.slotsLeft}/${tournament.maxSlots}`;
+    if (heroSubtitle) {
+      heroSubtitle.textContent = `${tournament.title ? tournament.title + ' — ' : ''}starts ${start}. ` +
+        `${heroSubtitle.textContent} Only ${tournament.slotsLeft} slots left!`;
+    }
+
+    submitBtn.disabled = false;
+  }
+
+  // ── Solo form vs. saved team picker ─────────────────────────────
+  // Duo/squad entries are made with a saved team (see account.html)
+  const teamSection = document.getElementById('teamSection');
+  const soloSection = document.getElementById('soloSection');
+  const teamSelect = document.getElementById('teamSelect');
+  const teamMembers = document.getElementById('teamMembers');
+  let teams = [];
+
+  if (modeInfo.showTeam) {
+    teamSection.style.display = 'block';
+    soloSection.style.display = 'none';
+    soloSection.querySelectorAll('.form-input').forEach(input => {
+      input.required = false;
+    });
+  }
+
+  // ── Payment method: online (when enabled) or UPI + screenshot ───
+  const paymentMethods = document.getElementById('paymentMethods');
+  const manualPayment = document.getElementById('manualPayment');
+
+  async function loadPaymentOptions() {
+    const result = await apiRequest('/api/v1/payments/config', 'GET');
+    if (!result.success || !result.data.enabled) return;
+
+    paymentMethods.style.display = 'grid';
+    updatePaymentMethod();
+  }
+
+  function selectedPaymentMethod() {
+    if (paymentMethods.style.display === 'none') return 'upi';
+    return form.querySelector('input[name="paymentMethod"]:checked').value;
+  }
+
+  // Online payments need no transaction ID or screenshot
+  function updatePaymentMethod() {
+    const online = selectedPaymentMethod() === 'online';
+    manualPayment.style.display = online ? 'none' : 'block';
+    manualPayment.querySelectorAll('.form-input').forEach(input => {
+      input.required = !online;
+    });
   }
 
-  // Show player sections based on player count
-  for (let i = 2; i <= 4; i++) {
-    const section = document.getElementById(`player${i}Section`);
-    if (section) {
-      const isVisible = i <= modeInfo.players;
-      section.style.display = isVisible ? 'block' : 'none';
-      // Set required on visible player inputs
-      section.querySelectorAll('.form-input').forEach(input => {
-        input.required = isVisible;
-      });
+  paymentMethods.addEventListener('change', updatePaymentMethod);
+
+  // Mock gateway: stand-in for the provider's checkout window.
+  // Resolves true once the payment is captured and the entry approved.
+  async function completeOnlinePayment(payment) {
+    if (payment.checkout?.type !== 'mock') {
+      showToast('Online checkout is not supported in this browser yet. Please contact us with your registration ID.', 'error');
+      return false;
     }
+
+    const paid = confirm(`Test payment of ₹${payment.amount / 100} (mock gateway).\n\nOK = pay · Cancel = simulate a failed payment`);
+    const result = await apiRequest(
+      `/api/v1/payments/mock/${encodeURIComponent(payment.orderId)}/complete`,
+      'POST',
+      { outcome: paid ? 'captured' : 'failed' }
+    );
+    return result.success && result.data.status === 'approved';
   }
 
   // ── Real-time blur validation ───────────────────────────────────
@@ -137,7 +253,13 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    // 2. Validate all visible required fields
+    // 2. Must have an open tournament to register into
+    if (!tournament) {
+      showToast('There is no open tournament for this mode right now.', 'error');
+      return;
+    }
+
+    // 3. Validate all visible required fields
     let isValid = true;
     form.querySelectorAll('.form-input[required]').forEach(input => {
       // Only validate visible inputs
@@ -147,6 +269,14 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    // Duo/squad: a team and exactly the right number of players
+    if (modeInfo.showTeam && pickedMemberIds().length !== modeInfo.players) {
+      showToast(teams.length
+        ? `Pick exactly ${modeInfo.players} players from your team.`
+        : 'Duo and squad entries need a saved team.', 'error');
+      isValid = false;
+    }
+
     // Check the agreement checkbox
     const agreeCheckbox = document.getElementById('agreeRules');
     if (agreeCheckbox && !agreeCheckbox.checked) {
@@ -161,37 +291,61 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    // 3. Build registration data
-    const players = [];
-    for (let i = 1; i <= modeInfo.players; i++) {
-      players.push({
-        inGameName: document.getElementById(`p${i}Name`)?.value.trim(),
-        inGameId:   document.getElementById(`p${i}Id`)?.value.trim(),
-        phone:      document.getElementById(`p${i}Phone`)?.value.trim(),
-        email:      document.getElementById(`p${i}Email`)?.value.trim(),
-      });
-    }
-
+    // 4. Build registration data (the server copies a team's roster itself)
+    //    Sent as multipart: the screenshot file + the fields as a JSON "payload"
+    const paymentMethod = selectedPaymentMethod();
     const data = {
+      tournamentId: tournament.id,
       game: game,
       mode: mode,
-      teamName: modeInfo.showTeam ? document.getElementById('teamName')?.value.trim() : undefined,
-      players: players,
-      transactionId: document.getElementById('transactionId').value.trim(),
+      paymentMethod,
     };
 
-    // 4. Loading state
+    if (paymentMethod === 'upi') {
+      data.transactionId = document.getElementById('transactionId').value.trim();
+    }
+
+    if (modeInfo.showTeam) {
+      data.teamId = teamSelect.value;
+      data.memberIds = pickedMemberIds();
+    } else {
+      data.players = [{
+        inGameName: document.getElementById('p1Name').value.trim(),
+        inGameId:   document.getElementById('p1Id').value.trim(),
+        phone:      document.getElementById('p1Phone').value.trim(),
+        email:      document.getElementById('p1Email').value.trim(),
+      }];
+    }
+
+    // 5. Loading state
     submitBtn.disabled = true;
     submitBtn.innerHTML = '⏳ Registering...';
 
     try {
-      // 5. Send to API
-      const result = await apiRequest('/api/v1/register', 'POST', data);
+      // 6. Send to API
+      // Logged-in players get the entry linked to their account
+      const formData = new FormData();
+      formData.append('payload', JSON.stringify(data));
+      if (paymentMethod === 'upi') {
+        formData.append('screenshot', document.getElementById('paymentScreenshot').files[0]);
+      }
 
-      // 6. Handle response
-      if (result.success) {
+      const result = await apiRequest('/api/v1/register', 'POST', formData, getPlayerToken());
+
+      // 7. Handle response
+      if (result.success && result.data.payment) {
+        // Online: the slot is confirmed once the gateway reports the payment
+        submitBtn.innerHTML = '⏳ Waiting for payment...';
+        if (await completeOnlinePayment(result.data.payment)) {
+          showToast('Payment received — your slot is confirmed! 🎮', 'success');
+        } else {
+          showToast('Payment not completed. Your entry is pending — contact us with your registration ID.', 'error');
+        }
+      } else if (result.success) {
         showToast('Registration successful! You\'ll receive match details soon. 🎮', 'success');
+      }
 
+      if (result.success) {
         // Activate step 3
         const step3 = document.getElementById('step3');
         const connectors = document.querySelectorAll('.step-connector');
@@ -205,6 +359,15 @@ document.addEventListener('DOMContentLoaded', () => {
         // Disable form
         form.querySelectorAll('input, select, textarea, button').forEach(el => el.disabled = true);
         submitBtn.innerHTML = '✅ Registration Complete!';
+
+        // Show the registration ID and where to check its status
+        const successBox = document.getElementById('registrationSuccess');
+        if (successBox) {
+          document.getElementById('registrationIdDisplay').textContent = result.data.registrationId;
+          document.getElementById('statusLink').href = `/status.html?id=${encodeURIComponent(result.data.registrationId)}`;
+          successBox.style.display = 'block';
+          successBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
       } else {
         showToast(result.message || 'Registration failed. Please try again.', 'error');
         submitBtn.disabled = false;
@@ -219,6 +382,89 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // ── Player account: prefill Player 1 ────────────────────────────
+  // Only fills empty fields so nothing the player typed is overwritten
+  async function loadPlayer() {
+    const bar = document.getElementById('playerBar');
+    const loginUrl = `/account.html?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+    const profile = await loadPlayerProfile();
+
+    if (!profile) {
+      if (modeInfo.showTeam) {
+        document.getElementById('teamHint').innerHTML =
+          `Duo and squad entries use a saved team. <a href="${loginUrl}">Log in</a> to pick yours.`;
+        return;
+      }
+      if (bar) bar.innerHTML = `Played with us before? <a href="${loginUrl}">Log in</a> to fill in your details automatically.`;
+      return;
+    }
+
+    if (modeInfo.showTeam) {
+      if (bar) bar.innerHTML = `Logged in as <strong>${escapeHtml(profile.name || profile.phone || profile.email)}</strong>. <a href="/account.html">My teams</a>`;
+      loadTeams();
+      return;
+    }
+
+    const saved = profile.games?.[game] || {};
+    const fill = (id, value) => {
+      const input = document.getElementById(id);
+      if (input && value && !input.value) input.value = value;
+    };
+    fill('p1Name', saved.inGameName);
+    fill('p1Id', saved.inGameId);
+    fill('p1Phone', profile.phone);
+    fill('p1Email', profile.email);
+
+    if (bar) {
+      const who = profile.name || profile.phone || profile.email;
+      bar.innerHTML = `Logged in as <strong>${escapeHtml(who)}</strong> — your details are filled in below. <a href="/account.html">My registrations</a>`;
+    }
+  }
+
+  // ── Saved teams (duo/squad) ─────────────────────────────────────
+  // Only teams the player captains for this game can be entered
+  async function loadTeams() {
+    const hint = document.getElementById('teamHint');
+    const result = await apiRequest('/api/v1/teams', 'GET', null, getPlayerToken());
+
+    if (!result.success) {
+      hint.textContent = result.message || 'Could not load your teams.';
+      return;
+    }
+
+    teams = result.data.filter(t => t.game === game && t.isCaptain && t.members.length >= modeInfo.players);
+
+    if (!teams.length) {
+      hint.innerHTML = `You need a ${gameInfo.name} team with at least ${modeInfo.players} members that you captain. ` +
+        '<a href="/account.html">Create one or invite teammates</a> on your account page.';
+      return;
+    }
+
+    hint.textContent = `Pick your team and the ${modeInfo.players} players for this match. Their details are copied from the team roster.`;
+    teamSelect.innerHTML = teams.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('');
+    document.getElementById('teamSelectGroup').style.display = 'block';
+    renderTeamMembers();
+  }
+
+  function renderTeamMembers() {
+    const team = teams.find(t => t.id === teamSelect.value);
+    if (!team) return;
+
+    // Preselect the whole roster when it is exactly the right size
+    const preselect = team.members.length === modeInfo.players;
+    teamMembers.innerHTML = team.members.map(m => `
+      <label class="form-checkbox-group team-pick">
+        <input type="checkbox" class="form-checkbox" value="${m.id}" ${preselect ? 'checked' : ''} />
+        <span>${escapeHtml(m.inGameName)} <small>${escapeHtml(m.inGameId)}${m.isCaptain ? ' · Captain' : ''}</small></span>
+      </label>`).join('');
+  }
+
+  teamSelect.addEventListener('change', renderTeamMembers);
+
+  function pickedMemberIds() {
+    return [...teamMembers.querySelectorAll('input:checked')].map(input => input.value);
+  }
+
   // ── Helper: Validate a single field ─────────────────────────────
   function validateField(input) {
     const value = input.value.trim();
@@ -243,6 +489,19 @@ document.addEventListener('DOMContentLoaded', () => {
       return false;
     }
 
+    // Payment screenshot — image, max 2 MB (checked again by the server)
+    if (type === 'file' && input.files[0]) {
+      const file = input.files[0];
+      if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.type)) {
+        showFieldError(input, 'Screenshot must be a JPEG, PNG or WebP image');
+        return false;
+      }
+      if (file.size > 2 * 1024 * 1024) {
+        showFieldError(input, 'Screenshot must be 2 MB or smaller');
+        return false;
+      }
+    }
+
     // Transaction ID — must be at least 5 characters
     if (id === 'transactionId' && value.length < 5) {
       showFieldError(input, 'Transaction ID must be at least 5 characters');
@@ -47,6 +47,8 @@ export default defineConfig({
         about: resolve(__dirname, 'about.html'),
         contact: resolve(__dirname, 'contact.html'),
         register: resolve(__dirname, 'register.html'),
+        status: resolve(__dirname, 'status.html'),
+        account: resolve(__dirname, 'account.html'),
         admin: resolve(__dirname, 'admin.html'),
       },
     },